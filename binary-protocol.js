@@ -0,0 +1,280 @@
+const { DelimiterParser } = require('@serialport/parser-delimiter');
+
+// Framed binary protocol ("sensor-board binary/1"), the alternative to the text
+// lines once both sides have agreed on it (see DeviceSerialPort.negotiate).
+//
+// Every packet is
+//
+//   COBS( id:u8  seq:u8  payload:0..250 bytes  crc:u16le )  0x00
+//
+// COBS removes every zero byte from the packet so 0x00 only ever marks the end
+// of one; the CRC is CRC-16/CCITT-FALSE (poly 0x1021, init 0xFFFF) over id, seq
+// and payload. Host requests have ids below 0x80 and carry a sequence number the
+// device echoes in its reply, so a late reply is never mistaken for the answer
+// to a later request. Samples the device streams on its own carry the device's
+// sequence number instead, and a jump in it means frames were lost.
+//
+//   host → device                       device → host
+//   PING   0x01                         ACK           0x80
+//   READ   0x02                         HELLO         0x81  version:u8 channels:u8 maxRateHz:u16le
+//   SET    0x03  output:u8 value:u8     SAMPLE        0x82  deviceTime:u32le (ms) value:f32le × channels
+//   STREAM 0x04  rateHz:u16le (0 stops) STREAM_SAMPLE 0x84  same payload as SAMPLE
+//   TEXT   0x05  back to text lines     ERROR         0xff  code:u8 message:utf8
+//
+// PING is answered with HELLO, READ with SAMPLE, everything else with ACK or
+// ERROR. The firmware sends an unsolicited HELLO (seq 0) when it switches over.
+//
+// All functions work on plain Buffers, so firmware test benches can use them
+// (or `node binary-protocol.js vectors`) as the reference implementation.
+
+const VERSION = 1;
+
+const MESSAGES = {
+    PING: 0x01,
+    READ: 0x02,
+    SET: 0x03,
+    STREAM: 0x04,
+    TEXT: 0x05,
+    ACK: 0x80,
+    HELLO: 0x81,
+    SAMPLE: 0x82,
+    STREAM_SAMPLE: 0x84,
+    ERROR: 0xff
+};
+
+const MAX_PAYLOAD = 250;
+
+function messageName(id) {
+    return Object.keys(MESSAGES).find(name => MESSAGES[name] === id) || `0x${id.toString(16).padStart(2, '0')}`;
+}
+
+// CRC-16/CCITT-FALSE; crc16(Buffer.from('123456789')) === 0x29b1
+function crc16(bytes) {
+    let crc = 0xffff;
+    for (const byte of bytes) {
+        crc ^= byte << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+        }
+    }
+    return crc;
+}
+
+function cobsEncode(bytes) {
+    const out = [0];
+    let codeAt = 0;
+    let code = 1;
+    for (const byte of bytes) {
+        if (byte !== 0) {
+            out.push(byte);
+            code++;
+        }
+        if (byte === 0 || code === 0xff) {
+            out[codeAt] = code;
+            codeAt = out.length;
+            out.push(0);
+            code = 1;
+        }
+    }
+    out[codeAt] = code;
+    return Buffer.from(out);
+}
+
+// Returns null for input that can't be COBS (a zero byte, or a block running past the end)
+function cobsDecode(bytes) {
+    const out = [];
+    let i = 0;
+    while (i < bytes.length) {
+        const code = bytes[i++];
+        if (code === 0 || i + code - 1 > bytes.length) return null;
+        for (let j = 1; j < code; j++) {
+            if (bytes[i] === 0) return null;
+            out.push(bytes[i++]);
+        }
+        if (code < 0xff && i < bytes.length) out.push(0);
+    }
+    return Buffer.from(out);
+}
+
+// id, seq, payload and CRC, before COBS
+function buildPacket(id, seq, payload = Buffer.alloc(0)) {
+    payload = Buffer.from(payload);
+    if (payload.length > MAX_PAYLOAD) {
+        throw new RangeError(`Packet payload of ${payload.length} bytes exceeds ${MAX_PAYLOAD}`);
+    }
+    const body = Buffer.concat([Buffer.from([id & 0xff, seq & 0xff]), payload]);
+    const crc = Buffer.alloc(2);
+    crc.writeUInt16LE(crc16(body));
+    return Buffer.concat([body, crc]);
+}
+
+// The bytes on the wire, terminating zero included
+function encodePacket(id, seq, payload) {
+    return Buffer.concat([cobsEncode(buildPacket(id, seq, payload)), Buffer.from([0])]);
+}
+
+// Decodes one frame (without its terminating zero). Resolves to
+// { ok: true, id, seq, payload } or { ok: false, kind: 'malformed' | 'crc', error }.
+function decodePacket(frame) {
+    const bytes = cobsDecode(frame);
+    if (!bytes) {
+        return { ok: false, kind: 'malformed', error: 'invalid COBS frame' };
+    }
+    if (bytes.length < 4) {
+        return { ok: false, kind: 'malformed', error: `frame too short (${bytes.length} bytes)` };
+    }
+    const body = bytes.subarray(0, bytes.length - 2);
+    const received = bytes.readUInt16LE(bytes.length - 2);
+    const expected = crc16(body);
+    if (received !== expected) {
+        const hex = value => value.toString(16).padStart(4, '0');
+        return { ok: false, kind: 'crc', error: `CRC mismatch (got ${hex(received)}, expected ${hex(expected)})` };
+    }
+    return { ok: true, id: body[0], seq: body[1], payload: Buffer.from(body.subarray(2)) };
+}
+
+// Payloads
+
+function encodeSample(deviceTime, values) {
+    const payload = Buffer.alloc(4 + 4 * values.length);
+    payload.writeUInt32LE(Math.round(deviceTime) >>> 0, 0);
+    values.forEach((value, i) => payload.writeFloatLE(value, 4 + 4 * i));
+    return payload;
+}
+
+function decodeSample(payload) {
+    if (payload.length < 4 || (payload.length - 4) % 4 !== 0) {
+        throw new RangeError(`Sample payload of ${payload.length} bytes is not a timestamp plus float32 values`);
+    }
+    const values = [];
+    for (let offset = 4; offset < payload.length; offset += 4) {
+        values.push(payload.readFloatLE(offset));
+    }
+    return { deviceTime: payload.readUInt32LE(0), values };
+}
+
+function encodeHello({ version = VERSION, channels, maxRateHz = 0 }) {
+    const payload = Buffer.alloc(4);
+    payload.writeUInt8(version, 0);
+    payload.writeUInt8(channels, 1);
+    payload.writeUInt16LE(maxRateHz, 2);
+    return payload;
+}
+
+function decodeHello(payload) {
+    if (payload.length < 4) {
+        throw new RangeError(`HELLO payload of ${payload.length} bytes is too short`);
+    }
+    return { version: payload[0], channels: payload[1], maxRateHz: payload.readUInt16LE(2) };
+}
+
+function encodeError(code, message = '') {
+    return Buffer.concat([Buffer.from([code & 0xff]), Buffer.from(message, 'utf8')]).subarray(0, MAX_PAYLOAD);
+}
+
+function decodeError(payload) {
+    return { code: payload.length > 0 ? payload[0] : null, message: payload.subarray(1).toString('utf8') };
+}
+
+function encodeRate(rateHz) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16LE(Math.max(0, Math.min(0xffff, Math.round(rateHz))));
+    return payload;
+}
+
+// Frames lost between two sequence numbers (mod 256); 0 for the first one seen
+function sequenceGap(previous, seq) {
+    if (previous === null || previous === undefined) return 0;
+    return (seq - previous - 1 + 256) % 256;
+}
+
+// A Transform stream that emits one COBS frame (without the zero) at a time
+function createPacketParser() {
+    return new DelimiterParser({ delimiter: [0] });
+}
+
+function hex(bytes) {
+    return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+}
+
+// Reference packets for firmware tests: what the host sends and what it expects back
+function testVectors() {
+    const packet = (description, id, seq, payload = Buffer.alloc(0)) => ({
+        description,
+        id,
+        seq,
+        payload: hex(payload),
+        packet: hex(buildPacket(id, seq, payload)),
+        wire: hex(encodePacket(id, seq, payload))
+    });
+    return [
+        packet('PING', MESSAGES.PING, 1),
+        packet('READ', MESSAGES.READ, 2),
+        packet('SET output 0 (magnet) on', MESSAGES.SET, 3, [0, 1]),
+        packet('STREAM at 100 Hz', MESSAGES.STREAM, 4, encodeRate(100)),
+        packet('TEXT', MESSAGES.TEXT, 5),
+        packet('ACK', MESSAGES.ACK, 3),
+        packet('HELLO v1, 2 channels, 200 Hz', MESSAGES.HELLO, 0, encodeHello({ channels: 2, maxRateHz: 200 })),
+        packet('SAMPLE t=1000 ms, 0.5 and 1.25', MESSAGES.SAMPLE, 2, encodeSample(1000, [0.5, 1.25])),
+        packet('ERROR 1 "unknown command"', MESSAGES.ERROR, 9, encodeError(1, 'unknown command')),
+        packet('zero bytes in the payload', MESSAGES.SAMPLE, 0, encodeSample(0, [0, 0]))
+    ];
+}
+
+const USAGE = `Usage: node binary-protocol.js <command>
+
+  encode <id> <seq> [payload hex]   print the wire bytes of a packet
+  decode <hex>                      decode wire bytes (with or without the trailing 00)
+  vectors                           reference packets as JSON, for firmware tests`;
+
+function main(argv = process.argv.slice(2)) {
+    const [command, ...args] = argv;
+    const bytesOf = text => Buffer.from((text || '').replace(/[^0-9a-f]/gi, ''), 'hex');
+    if (command === 'encode' && args.length >= 2) {
+        console.log(hex(encodePacket(Number(args[0]), Number(args[1]), bytesOf(args.slice(2).join('')))));
+        return 0;
+    }
+    if (command === 'decode' && args.length >= 1) {
+        let bytes = bytesOf(args.join(''));
+        if (bytes[bytes.length - 1] === 0) bytes = bytes.subarray(0, bytes.length - 1);
+        const packet = decodePacket(bytes);
+        console.log(JSON.stringify(packet.ok
+            ? { ...packet, name: messageName(packet.id), payload: hex(packet.payload) }
+            : packet, null, 2));
+        return packet.ok ? 0 : 1;
+    }
+    if (command === 'vectors') {
+        console.log(JSON.stringify({ version: VERSION, vectors: testVectors() }, null, 2));
+        return 0;
+    }
+    console.error(USAGE);
+    return 2;
+}
+
+if (require.main === module) {
+    process.exit(main());
+}
+
+module.exports = {
+    VERSION,
+    MESSAGES,
+    MAX_PAYLOAD,
+    messageName,
+    crc16,
+    cobsEncode,
+    cobsDecode,
+    buildPacket,
+    encodePacket,
+    decodePacket,
+    encodeSample,
+    decodeSample,
+    encodeHello,
+    decodeHello,
+    encodeError,
+    decodeError,
+    encodeRate,
+    sequenceGap,
+    createPacketParser,
+    testVectors,
+    main
+};
@@ -0,0 +1,279 @@
+const RingBuffer = require('./ring-buffer');
+
+const ANALYTICS_DEFAULTS = {
+    windowMs: 10000,       // sliding window for blink rates
+    burstGapMs: 500,       // blinks closer than this belong to the same burst
+    burstMinCount: 3,      // blinks needed to call it a burst
+    sampleWindow: 2048,    // raw samples kept for the frequency estimate
+    minHz: 0.1,
+    maxHz: Infinity
+};
+
+// count/min/max/mean/median/stddev of a list of numbers (nulls when empty)
+function describe(values) {
+    const count = values.length;
+    if (count === 0) {
+        return { count, min: null, max: null, mean: null, median: null, stddev: null };
+    }
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mean = values.reduce((sum, v) => sum + v, 0) / count;
+    const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / count;
+    const mid = count >> 1;
+    return {
+        count,
+        min: sorted[0],
+        max: sorted[count - 1],
+        mean,
+        median: count % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2,
+        stddev: Math.sqrt(variance)
+    };
+}
+
+function histogram(values, { bins = 10, min, max } = {}) {
+    if (values.length === 0) return [];
+    const lo = min !== undefined ? min : Math.min(...values);
+    const hi = max !== undefined ? max : Math.max(...values);
+    const width = (hi - lo) / bins || 1;
+    const result = Array.from({ length: bins }, (_, i) => ({ from: lo + i * width, to: lo + (i + 1) * width, count: 0 }));
+    for (const value of values) {
+        if (value < lo || value > hi) continue;
+        result[Math.min(bins - 1, Math.floor((value - lo) / width))].count++;
+    }
+    return result;
+}
+
+// Groups event times (ms) into bursts of at least minCount events no more than maxGap apart
+function findBursts(times, { maxGap, minCount }) {
+    const bursts = [];
+    let current = null;
+    for (const t of times) {
+        if (current && t - current.end <= maxGap) {
+            current.end = t;
+            current.count++;
+        } else {
+            if (current && current.count >= minCount) bursts.push(current);
+            current = { start: t, end: t, count: 1 };
+        }
+    }
+    if (current && current.count >= minCount) bursts.push(current);
+    return bursts.map(b => ({ ...b, duration: b.end - b.start }));
+}
+
+// Blink rates (per second) of a sliding window stepped across the event times
+function slidingRates(times, { windowMs, stepMs = windowMs / 2, start = times[0], end = times[times.length - 1] }) {
+    if (times.length === 0 || end - start < windowMs) {
+        return [];
+    }
+    const rates = [];
+    let lo = 0;
+    let hi = 0;
+    for (let t = start + windowMs; t <= end; t += stepMs) {
+        while (hi < times.length && times[hi] <= t) hi++;
+        while (lo < hi && times[lo] <= t - windowMs) lo++;
+        rates.push({ t, rate: (hi - lo) / (windowMs / 1000) });
+    }
+    return rates;
+}
+
+// In-place iterative radix-2 FFT; re and im must have a power-of-two length
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = (-2 * Math.PI) / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const wr = Math.cos(angle * k);
+                const wi = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + size / 2;
+                const tr = re[b] * wr - im[b] * wi;
+                const ti = re[b] * wi + im[b] * wr;
+                re[b] = re[a] - tr;
+                im[b] = im[a] - ti;
+                re[a] += tr;
+                im[a] += ti;
+            }
+        }
+    }
+}
+
+// Dominant frequency of an irregularly sampled series [{ t, value }] (t in ms).
+// Resamples onto a uniform grid at the median sample interval, removes the mean,
+// applies a Hann window and picks the strongest periodogram bin between minHz
+// and maxHz, refined by parabolic interpolation.
+function dominantFrequency(points, { minHz = 0, maxHz = Infinity } = {}) {
+    if (points.length < 8) return null;
+
+    const gaps = [];
+    for (let i = 1; i < points.length; i++) gaps.push(points[i].t - points[i - 1].t);
+    const dt = describe(gaps).median;
+    if (!(dt > 0)) return null;
+
+    const t0 = points[0].t;
+    const count = Math.floor((points[points.length - 1].t - t0) / dt) + 1;
+    const grid = new Array(count);
+    for (let i = 0, j = 0; i < count; i++) {
+        const t = t0 + i * dt;
+        while (j < points.length - 2 && points[j + 1].t < t) j++;
+        const a = points[j];
+        const b = points[j + 1];
+        const f = b.t === a.t ? 0 : Math.min(1, Math.max(0, (t - a.t) / (b.t - a.t)));
+        grid[i] = a.value + (b.value - a.value) * f;
+    }
+
+    const mean = grid.reduce((sum, v) => sum + v, 0) / count;
+    if (grid.every(v => Math.abs(v - mean) < 1e-9)) return null;
+    let n = 1;
+    while (n < count) n <<= 1;
+    const re = new Array(n).fill(0);
+    const im = new Array(n).fill(0);
+    for (let i = 0; i < count; i++) {
+        const hann = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / Math.max(1, count - 1));
+        re[i] = (grid[i] - mean) * hann;
+    }
+    fft(re, im);
+
+    const sampleRate = 1000 / dt;
+    const power = [];
+    for (let k = 0; k <= n / 2; k++) power.push(re[k] ** 2 + im[k] ** 2);
+
+    let best = -1;
+    let total = 0;
+    for (let k = 1; k <= n / 2; k++) {
+        const hz = (k * sampleRate) / n;
+        if (hz < minHz || hz > maxHz) continue;
+        total += power[k];
+        if (best < 0 || power[k] > power[best]) best = k;
+    }
+    if (best < 0 || total === 0) return null;
+
+    let offset = 0;
+    if (best > 0 && best < n / 2) {
+        const [a, b, c] = [power[best - 1], power[best], power[best + 1]];
+        const denominator = a - 2 * b + c;
+        if (denominator !== 0) offset = (0.5 * (a - c)) / denominator;
+    }
+    return {
+        frequency: ((best + offset) * sampleRate) / n,
+        // Share of the in-band power in the peak bin; low values mean no clear periodicity
+        strength: power[best] / total,
+        sampleRate,
+        resolution: sampleRate / n
+    };
+}
+
+// Collects blink events and raw samples per channel and derives timing
+// statistics from them. Works live (rolling figures from current()) and at the
+// end of a session (summary()).
+class BlinkAnalytics {
+    constructor(options = {}) {
+        this.options = { ...ANALYTICS_DEFAULTS, ...options };
+        this.channels = new Map();
+        this.samples = new RingBuffer(this.options.sampleWindow);
+    }
+
+    channel(name) {
+        if (!this.channels.has(name)) {
+            this.channels.set(name, { key: null, starts: [], durations: [] });
+        }
+        return this.channels.get(name);
+    }
+
+    // Subscribes to a FlickerDetector's blink and sample events
+    attach(detector) {
+        for (const [name, channelDetector] of detector.channels) {
+            this.channel(name).key = channelDetector.key;
+        }
+        detector.on('blinkStart', event => this.addBlinkStart(event));
+        detector.on('blinkEnd', event => this.addBlinkEnd(event));
+        detector.on('sample', sample => this.addSample(sample));
+        return this;
+    }
+
+    addBlinkStart({ channel, t }) {
+        this.channel(channel).starts.push(t);
+    }
+
+    addBlinkEnd({ channel, duration }) {
+        this.channel(channel).durations.push(duration);
+    }
+
+    addSample(sample) {
+        this.samples.push(sample);
+    }
+
+    intervals(name) {
+        const { starts } = this.channel(name);
+        return starts.slice(1).map((t, i) => t - starts[i]);
+    }
+
+    frequency(name) {
+        const { key } = this.channel(name);
+        if (!key) return null;
+        const points = this.samples.toArray()
+            .filter(sample => typeof sample[key] === 'number')
+            .map(sample => ({ t: sample.t, value: sample[key] }));
+        return dominantFrequency(points, this.options);
+    }
+
+    // Rolling figures for one channel as of time `now` (ms)
+    current(name, now = Date.now()) {
+        const { windowMs } = this.options;
+        const { starts, durations } = this.channel(name);
+        const recent = starts.filter(t => t > now - windowMs);
+        // The intervals between the blinks in the window; slice(-0) would be all of them
+        const intervals = recent.length < 2 ? [] : this.intervals(name).slice(-(recent.length - 1));
+        return {
+            blinks: starts.length,
+            rate: recent.length / (windowMs / 1000),
+            intervals: describe(intervals),
+            lastDuration: durations.length > 0 ? durations[durations.length - 1] : null
+        };
+    }
+
+    channelSummary(name) {
+        const { windowMs, burstGapMs, burstMinCount } = this.options;
+        const { starts, durations } = this.channel(name);
+        const intervals = this.intervals(name);
+        const rates = slidingRates(starts, { windowMs });
+        const frequency = this.frequency(name);
+        return {
+            blinks: starts.length,
+            intervals: describe(intervals),
+            durations: describe(durations),
+            rate: {
+                windowMs,
+                ...describe(rates.map(r => r.rate)),
+                series: rates
+            },
+            bursts: findBursts(starts, { maxGap: burstGapMs, minCount: burstMinCount }),
+            // Blink frequency from the mean interval, and the spectral estimate from raw samples
+            blinkFrequency: intervals.length > 0 ? 1000 / describe(intervals).mean : null,
+            dominantFrequency: frequency
+        };
+    }
+
+    summary() {
+        const channels = {};
+        for (const name of this.channels.keys()) {
+            channels[name] = this.channelSummary(name);
+        }
+        return channels;
+    }
+}
+
+module.exports = BlinkAnalytics;
+module.exports.describe = describe;
+module.exports.histogram = histogram;
+module.exports.findBursts = findBursts;
+module.exports.slidingRates = slidingRates;
+module.exports.dominantFrequency = dominantFrequency;
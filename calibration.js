@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { describe } = require('./blink-analytics');
+const DeviceSerialPort = require('./serialport');
+const { DeviceError } = require('./errors');
+
+const CALIBRATION_DIR = path.join(__dirname, 'calibration');
+
+const CALIBRATION_DEFAULTS = {
+    channels: [
+        { name: 'sensor1', key: 'value1' },
+        { name: 'sensor2', key: 'value2' }
+    ],
+    idleMs: 3000,
+    stimulus: null,          // actuator to pulse for the "on" amplitude, e.g. 'ac' or 'magnet'
+    stimulusMs: 1000,        // how long each pulse is held
+    settleMs: 200,           // ignored samples after every switch
+    repeats: 3,
+    rateHz: 20,
+    noiseSigmas: 6,          // thresholds never go below this many noise standard deviations
+    defaultThreshold: 0.75,  // used when there is no stimulus to measure the amplitude
+    dir: CALIBRATION_DIR,
+    save: true
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Collects the device's streamed samples for `durationMs`, starting a stream if none is running
+async function collectSamples(device, durationMs, rateHz) {
+    const samples = [];
+    const onSample = sample => samples.push(sample);
+    const ownsStream = !device.stream;
+    if (ownsStream) device.startStream({ rateHz });
+    device.on('sample', onSample);
+    try {
+        await sleep(durationMs);
+    } finally {
+        device.off('sample', onSample);
+        if (ownsStream) device.stopStream();
+    }
+    return samples;
+}
+
+function channelValues(samples, key) {
+    return samples.map(sample => sample[key]).filter(value => typeof value === 'number');
+}
+
+// Standard deviation estimated from the median absolute deviation, so the odd
+// blink during the idle phase doesn't inflate the noise
+function robustNoise(values, median) {
+    return 1.4826 * describe(values.map(value => Math.abs(value - median))).median;
+}
+
+// Thresholds from the measured levels: halfway to the stimulus amplitude when
+// the channel responded to it, but always clear of the noise
+function deriveThresholds({ noise, amplitude }, options) {
+    const floor = options.noiseSigmas * noise;
+    const responded = amplitude !== null && Math.abs(amplitude) > floor;
+    const threshold = Math.max(responded ? Math.abs(amplitude) / 2 : options.defaultThreshold, floor);
+    const offThreshold = Math.max(threshold / 2, floor / 2);
+    return { threshold, offThreshold };
+}
+
+// Measures baseline and noise per channel while idle, optionally pulses an
+// actuator to measure the "on" amplitude, derives thresholds and (by default)
+// saves them under the device's serial number.
+async function calibrate(device, options = {}) {
+    const settings = { ...CALIBRATION_DEFAULTS, ...options };
+    const { channels, rateHz } = settings;
+
+    console.log(`Calibrating: sampling idle signal for ${settings.idleMs}ms...`);
+    const idle = await collectSamples(device, settings.idleMs, rateHz);
+    if (idle.length < 3) {
+        throw new Error(`Calibration got only ${idle.length} idle samples`);
+    }
+
+    const onSamples = [];
+    if (settings.stimulus) {
+        const actuator = device.protocol.actuators[settings.stimulus];
+        if (!actuator?.on) {
+            throw new Error(`Protocol has no actuator "${settings.stimulus}" to use as stimulus`);
+        }
+        try {
+            for (let i = 0; i < settings.repeats; i++) {
+                console.log(`Calibrating: ${settings.stimulus} pulse ${i + 1}/${settings.repeats}...`);
+                await device.invoke(actuator.on);
+                await sleep(settings.settleMs);
+                onSamples.push(...await collectSamples(device, settings.stimulusMs, rateHz));
+                await device.invoke(actuator.off);
+                await sleep(settings.settleMs);
+            }
+        } finally {
+            if (device.state[settings.stimulus]) {
+                await device.invoke(actuator.off);
+            }
+        }
+    }
+
+    const result = {
+        serialNumber: device.portInfo?.serialNumber || null,
+        port: device.portPath,
+        createdAt: new Date().toISOString(),
+        stimulus: settings.stimulus,
+        samples: { idle: idle.length, on: onSamples.length },
+        channels: {}
+    };
+    for (const { name, key } of channels) {
+        const idleValues = channelValues(idle, key);
+        const idleStats = describe(idleValues);
+        if (idleStats.count === 0) continue;
+        const onStats = describe(channelValues(onSamples, key));
+        const levels = {
+            baseline: idleStats.median,
+            noise: robustNoise(idleValues, idleStats.median),
+            amplitude: onStats.count > 0 ? onStats.median - idleStats.median : null
+        };
+        result.channels[name] = { key, ...levels, ...deriveThresholds(levels, settings) };
+    }
+
+    if (settings.save && !result.serialNumber) {
+        console.log('Calibration not saved: the board reports no serial number to store it under');
+    } else if (settings.save) {
+        result.file = saveCalibration(result, settings.dir);
+        console.log(`Calibration saved to ${result.file}`);
+    }
+    return result;
+}
+
+function calibrationFile(serialNumber, dir = CALIBRATION_DIR) {
+    const name = String(serialNumber).replace(/[^\w.-]/g, '_');
+    return path.join(dir, `${name}.json`);
+}
+
+// Calibrations are keyed by serial number; one shared file for boards without
+// one would hand a rig's thresholds to whichever board came along next
+function saveCalibration(calibration, dir = CALIBRATION_DIR) {
+    if (!calibration.serialNumber) {
+        throw new DeviceError('Cannot save a calibration without a serial number', { code: 'ENOSERIAL' });
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    const file = calibrationFile(calibration.serialNumber, dir);
+    const { file: _previous, ...data } = calibration;
+    fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+    return file;
+}
+
+// Returns the stored calibration for a serial number, or null if there is none
+function loadCalibration(serialNumber, dir = CALIBRATION_DIR) {
+    if (!serialNumber) return null;
+    const file = calibrationFile(serialNumber, dir);
+    if (!fs.existsSync(file)) return null;
+    return { ...JSON.parse(fs.readFileSync(file, 'utf8')), file };
+}
+
+// deviceOptions are passed to the DeviceSerialPort (port selection etc.)
+async function main(argv = process.argv.slice(2), deviceOptions = {}) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            stimulus: { type: 'string' },
+            idle: { type: 'string', default: String(CALIBRATION_DEFAULTS.idleMs) },
+            pulse: { type: 'string', default: String(CALIBRATION_DEFAULTS.stimulusMs) },
+            repeats: { type: 'string', default: String(CALIBRATION_DEFAULTS.repeats) },
+            json: { type: 'boolean', default: false }
+        }
+    });
+    const device = new DeviceSerialPort(deviceOptions);
+    try {
+        await device.initialize();
+        const result = await calibrate(device, {
+            stimulus: values.stimulus || null,
+            idleMs: Number(values.idle),
+            stimulusMs: Number(values.pulse),
+            repeats: Number(values.repeats)
+        });
+        if (values.json) {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            for (const [name, channel] of Object.entries(result.channels)) {
+                const amplitude = channel.amplitude !== null ? channel.amplitude.toFixed(3) : 'n/a';
+                console.log(`${name}: baseline ${channel.baseline.toFixed(3)}, noise ${channel.noise.toFixed(3)}, ` +
+                    `amplitude ${amplitude} -> threshold ${channel.threshold.toFixed(3)} / off ${channel.offThreshold.toFixed(3)}`);
+            }
+        }
+    } finally {
+        await device.close();
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    main().then(code => process.exit(code), (error) => {
+        console.error('Calibration failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    calibrate,
+    collectSamples,
+    deriveThresholds,
+    saveCalibration,
+    loadCalibration,
+    calibrationFile,
+    CALIBRATION_DIR,
+    CALIBRATION_DEFAULTS,
+    main
+};
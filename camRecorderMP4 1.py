@@ -1,5 +1,8 @@
 import cv2
+import json
 import os
+import socket
+import threading
 import time
 from datetime import datetime
 from pynput import keyboard
@@ -7,6 +10,11 @@ from pynput import keyboard
 blinkTime = 0 #Place-holder for the most recent blink time
 video_duration = 5 #Seconds of footage to keep per file, up to 2x this duration is stored around a blink event
 
+#Blink events come from the flicker detector's event publisher (event-publisher.js, "flicker-event/1")
+events_host = os.environ.get('FLICKER_EVENTS_HOST', '127.0.0.1')
+events_port = int(os.environ.get('FLICKER_EVENTS_PORT', '41234'))
+subscribe_interval = 10 #Seconds between subscription renewals, the publisher drops subscribers silent for 30s
+
 #Try to open the camera device
 #Returns two values: (1) the open cam stream and (2) the camera index
 #Returns NONE, -1 if no cameras could open
@@ -34,6 +42,47 @@ def on_press(key):
     except Exception as e:
         print(e)
 
+#Subscribes to the flicker detector and sets blinkTime on every detected blink
+#Runs until stop is set; keeps retrying while the detector isn't running
+def listen_for_blinks(stop):
+    global blinkTime
+    sock = socket.socket(socket.AF_INET, socket.SOCK_DGRAM)
+    sock.settimeout(1.0)
+    last_subscribe = 0
+    subscribed = False
+    while not stop.is_set():
+        try:
+            if time.time() - last_subscribe > subscribe_interval:
+                sock.sendto(json.dumps({'type': 'subscribe', 'name': 'camRecorder'}).encode(), (events_host, events_port))
+                last_subscribe = time.time()
+            data, _ = sock.recvfrom(65535)
+        except socket.timeout:
+            continue
+        except OSError:
+            #Windows reports an unreachable publisher as a reset connection
+            time.sleep(1)
+            continue
+
+        try:
+            event = json.loads(data)
+        except ValueError:
+            continue
+
+        if event.get('type') == 'subscribed':
+            #Every renewal is acknowledged; only report the first one
+            if not subscribed:
+                print("Subscribed to flicker events on port", events_port)
+                subscribed = True
+        elif event.get('type') == 'blinkStart':
+            blinkTime = event['wallTime'] / 1000 #Epoch ms -> seconds, same clock as time.time()
+            print("Blink detected by", event.get('channel'), "at", datetime.fromtimestamp(blinkTime).strftime('%H:%M:%S'))
+
+    try:
+        sock.sendto(json.dumps({'type': 'unsubscribe'}).encode(), (events_host, events_port))
+    except OSError:
+        pass
+    sock.close()
+
 def main():
     cap, capIndex = get_video_device()
 
@@ -51,6 +100,11 @@ def main():
     listener = keyboard.Listener(
         on_press=on_press)
     listener.start()
+
+    # Real blink events from the flicker detector; the keyboard stays available as a fallback
+    stop_events = threading.Event()
+    events_thread = threading.Thread(target=listen_for_blinks, args=(stop_events,), daemon=True)
+    events_thread.start()
     
     files = []
     current_writer = None
@@ -91,6 +145,7 @@ def main():
     except KeyboardInterrupt:
         print("Recording stopped by user")
     finally:
+        stop_events.set()
         if current_writer:
             current_writer.release()
         cap.release()
@@ -0,0 +1,120 @@
+const EventEmitter = require('events');
+
+const DETECTION_DEFAULTS = {
+    threshold: 0.75,       // rise above baseline that starts a blink
+    offThreshold: null,    // level above baseline that ends it (default: threshold / 2)
+    baselineWindow: 25,    // samples in the moving-median baseline
+    minOnMs: 0,            // shorter excursions are treated as noise
+    minOffMs: 0,           // shorter dips below offThreshold don't end a blink
+    refractoryMs: 0        // dead time after a blink ends
+};
+
+function median(values) {
+    const sorted = values.slice().sort((a, b) => a - b);
+    const mid = sorted.length >> 1;
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Detects blinks on one sensor channel as excursions above an adaptive baseline.
+// The baseline is the median of recent samples taken while the light is off; a
+// blink starts when a sample rises `threshold` above it (held for minOnMs) and
+// ends once it falls below `offThreshold` (held for minOffMs). Emits:
+//   'blinkStart' { channel, t, value, baseline }
+//   'blinkEnd'   { channel, start, end, duration, peak, baseline }
+class ChannelDetector extends EventEmitter {
+    // options: { name, key, ...DETECTION_DEFAULTS }; key is the sample field to watch
+    constructor(options = {}) {
+        super();
+        this.name = options.name || options.key || 'value1';
+        this.key = options.key || 'value1';
+        const settings = { ...DETECTION_DEFAULTS, ...options };
+        this.threshold = settings.threshold;
+        this.offThreshold = settings.offThreshold !== null ? settings.offThreshold : settings.threshold / 2;
+        this.baselineWindow = settings.baselineWindow;
+        this.minOnMs = settings.minOnMs;
+        this.minOffMs = settings.minOffMs;
+        this.refractoryMs = settings.refractoryMs;
+        this.blinkCount = 0;
+        this.reset();
+    }
+
+    reset() {
+        this.isOn = false;
+        this.lastValue = null;
+        this.history = [];
+        this.baseline = null;
+        this.pendingOn = null;    // { t, value } of a rise not yet held for minOnMs
+        this.pendingOff = null;   // t of a fall not yet held for minOffMs
+        this.blink = null;        // { start, value, peak } of the blink in progress
+        this.lastBlinkEnd = -Infinity;
+    }
+
+    updateBaseline(value) {
+        this.history.push(value);
+        if (this.history.length > this.baselineWindow) {
+            this.history.shift();
+        }
+        this.baseline = median(this.history);
+    }
+
+    // Feeds one reading taken at time t (ms). Returns 'start' or 'end' when a
+    // blink starts or ends with this sample, otherwise null.
+    update(value, t = Date.now()) {
+        this.lastValue = value;
+        if (this.baseline === null) {
+            this.updateBaseline(value);
+            return null;
+        }
+
+        const rise = value - this.baseline;
+        return this.isOn ? this.updateOn(value, rise, t) : this.updateOff(value, rise, t);
+    }
+
+    updateOff(value, rise, t) {
+        if (rise < this.threshold || t - this.lastBlinkEnd < this.refractoryMs) {
+            this.pendingOn = null;
+            this.updateBaseline(value);
+            return null;
+        }
+
+        if (!this.pendingOn) {
+            this.pendingOn = { t, value, peak: value };
+        }
+        this.pendingOn.peak = Math.max(this.pendingOn.peak, value);
+        if (t - this.pendingOn.t < this.minOnMs) return null;
+
+        const { t: start, value: startValue, peak } = this.pendingOn;
+        this.pendingOn = null;
+        this.isOn = true;
+        this.blink = { start, value: startValue, peak };
+        this.blinkCount++;
+        this.emit('blinkStart', { channel: this.name, t: start, value: startValue, baseline: this.baseline });
+        return 'start';
+    }
+
+    updateOn(value, rise, t) {
+        this.blink.peak = Math.max(this.blink.peak, value);
+        if (rise >= this.offThreshold) {
+            this.pendingOff = null;
+            return null;
+        }
+
+        if (this.pendingOff === null) {
+            this.pendingOff = t;
+        }
+        if (t - this.pendingOff < this.minOffMs) return null;
+
+        const end = this.pendingOff;
+        const { start, peak } = this.blink;
+        this.pendingOff = null;
+        this.isOn = false;
+        this.blink = null;
+        this.lastBlinkEnd = end;
+        this.updateBaseline(value);
+        this.emit('blinkEnd', { channel: this.name, start, end, duration: end - start, peak, baseline: this.baseline });
+        return 'end';
+    }
+}
+
+module.exports = ChannelDetector;
+module.exports.DETECTION_DEFAULTS = DETECTION_DEFAULTS;
@@ -0,0 +1,8 @@
+const { performance } = require('perf_hooks');
+
+// Epoch milliseconds with sub-millisecond resolution that never step backwards
+function now() {
+    return performance.timeOrigin + performance.now();
+}
+
+module.exports = { now };
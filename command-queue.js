@@ -0,0 +1,111 @@
+const { CommandTimeoutError } = require('./errors');
+
+// Serializes commands on a line-based link: each command is written only after
+// the previous one has finished, and resolves with the first line matching its
+// `expect` pattern (or right after the write when it expects no reply).
+class CommandQueue {
+    constructor(write, debug = () => {}) {
+        this.write = write;
+        this.debug = debug;
+        this.pending = [];
+        this.active = null;
+    }
+
+    get size() {
+        return this.pending.length + (this.active ? 1 : 0);
+    }
+
+    // options.priority puts the command ahead of everything still waiting;
+    // options.drain is passed on to write() to wait for the bytes to be transmitted
+    enqueue(command, options = {}) {
+        return new Promise((resolve, reject) => {
+            this.pending[options.priority ? 'unshift' : 'push']({
+                command,
+                expect: options.expect || null,
+                parse: options.parse || ((line) => line),
+                timeout: options.timeout !== undefined ? options.timeout : 1000,
+                drain: Boolean(options.drain),
+                resolve,
+                reject,
+                timer: null
+            });
+            this.next();
+        });
+    }
+
+    next() {
+        if (this.active || this.pending.length === 0) return;
+
+        const entry = this.pending.shift();
+        this.active = entry;
+        this.debug(`Dispatching command "${entry.command}" (${this.pending.length} queued)`);
+
+        if (entry.expect) {
+            // The reply may arrive before the write callback fires, so the clock starts at dispatch
+            entry.timer = setTimeout(() => {
+                this.debug(`Command "${entry.command}" timed out after ${entry.timeout}ms`);
+                this.finish(entry, new CommandTimeoutError(entry.command, entry.timeout));
+            }, entry.timeout);
+        }
+
+        this.write(entry.command, { drain: entry.drain }).then(() => {
+            if (this.active === entry && !entry.expect) {
+                this.finish(entry, null, undefined);
+            }
+        }, (error) => {
+            if (this.active === entry) this.finish(entry, error);
+        });
+    }
+
+    // Offers a received line (a decoded packet in binary mode) to the active
+    // command; returns true if it was consumed. A RegExp only matches text lines.
+    handleLine(line) {
+        const entry = this.active;
+        if (!entry || !entry.expect) return false;
+
+        const match = typeof entry.expect === 'function'
+            ? entry.expect(line)
+            : typeof line === 'string' && line.match(entry.expect);
+        if (!match) return false;
+
+        try {
+            this.finish(entry, null, entry.parse(line, match));
+        } catch (error) {
+            this.finish(entry, error);
+        }
+        return true;
+    }
+
+    finish(entry, error, value) {
+        clearTimeout(entry.timer);
+        this.active = null;
+        if (error) {
+            entry.reject(error);
+        } else {
+            entry.resolve(value);
+        }
+        this.next();
+    }
+
+    // Fails the command waiting for a reply, e.g. with a firmware error line;
+    // returns false when no command is waiting
+    fail(error) {
+        const entry = this.active;
+        if (!entry || !entry.expect) return false;
+        this.finish(entry, error);
+        return true;
+    }
+
+    // Rejects the active command and everything still waiting, e.g. when the port goes away
+    rejectAll(error) {
+        const entries = this.active ? [this.active, ...this.pending] : this.pending;
+        this.active = null;
+        this.pending = [];
+        for (const entry of entries) {
+            clearTimeout(entry.timer);
+            entry.reject(error);
+        }
+    }
+}
+
+module.exports = CommandQueue;
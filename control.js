@@ -0,0 +1,315 @@
+const EventEmitter = require('events');
+const { parseArgs } = require('util');
+const { DeviceError } = require('./errors');
+const SessionRecorder = require('./session-recorder');
+const { sessionMeta } = require('./session-recorder');
+const { now } = require('./clock');
+const { logger } = require('./logging');
+
+const log = logger('control');
+
+const CONTROL_DEFAULTS = {
+    key: 'value1',              // sample field that is controlled
+    actuator: 'magnet',
+    mode: 'onoff',              // 'onoff', 'pwm' or 'pid'
+    setpoint: null,             // target value of `key` (onoff and pid)
+    reverse: false,             // true when switching the actuator on lowers the value
+    rateHz: 10,
+    hysteresis: 0.05,           // onoff: switch on below setpoint - h, off above setpoint + h
+    duty: 0.5,                  // pwm: fixed duty cycle, 0..1
+    period: 2000,               // pwm and pid: time-proportioning window (ms)
+    kp: 1,
+    ki: 0,                      // per second
+    kd: 0,                      // seconds
+    minSwitchInterval: 100,     // ms between two actuator switches; faster requests wait
+    staleAfter: null,           // ms without a reading before stopping (default: 3 sample periods)
+    duration: Infinity
+};
+
+// PID on the measured value with the output clamped to 0..1. The integral only
+// grows while the output isn't saturated (no windup) and the derivative acts on
+// the measurement, so setpoint changes don't kick the output.
+class Pid {
+    constructor({ kp, ki, kd }) {
+        this.kp = kp;
+        this.ki = ki;
+        this.kd = kd;
+        this.integral = 0;
+        this.previous = null;
+    }
+
+    update(error, value, dt) {
+        const derivative = this.previous !== null && dt > 0 ? -(value - this.previous) / dt : 0;
+        this.previous = value;
+        const proportional = this.kp * error + this.kd * derivative;
+        const integral = this.integral + this.ki * error * dt;
+        const output = proportional + integral;
+        if (output >= 0 && output <= 1) {
+            this.integral = integral;
+        } else if ((output > 1 && error < 0) || (output < 0 && error > 0)) {
+            // Unwinding is always allowed
+            this.integral = integral;
+        }
+        return Math.min(1, Math.max(0, proportional + this.integral));
+    }
+}
+
+// Drives one actuator from one sensor channel at a fixed rate. The output of
+// every mode is a duty cycle (0..1); onoff only ever asks for 0 or 1, pwm and
+// pid are applied by time proportioning: within each `period` window the
+// actuator is on for the first duty × period ms.
+//
+// Every tick is emitted as 'tick' { t, value, setpoint, error, output, on } and
+// recorded (with the samples and commands) when a recorder is given; 'stale'
+// { age } is emitted before a stop for missing readings. Whatever ends the run,
+// the actuator is left off.
+// options: CONTROL_DEFAULTS plus recorder (a SessionRecorder, options for one,
+// or false)
+class ClosedLoopController extends EventEmitter {
+    constructor(device, options = {}) {
+        super();
+        this.device = device;
+        const { recorder, ...settings } = options;
+        this.settings = { ...CONTROL_DEFAULTS, ...settings };
+        this.recorderOption = recorder !== undefined ? recorder : false;
+        this.recorder = null;
+        this.setpoint = this.settings.setpoint;
+        this.pid = new Pid(this.settings);
+        this.stopReason = null;
+        this.lastSwitch = -Infinity;
+        this.stats = null;
+    }
+
+    validate() {
+        const { mode, actuator, key, duty, period, rateHz } = this.settings;
+        const errors = [];
+        if (!['onoff', 'pwm', 'pid'].includes(mode)) errors.push(`unknown mode "${mode}"`);
+        if (!this.device.protocol.actuators[actuator]) errors.push(`unknown actuator "${actuator}"`);
+        if (typeof key !== 'string') errors.push('missing sample key');
+        if (mode !== 'pwm' && typeof this.setpoint !== 'number') errors.push(`${mode} needs a numeric setpoint`);
+        if (mode === 'pwm' && !(duty >= 0 && duty <= 1)) errors.push('duty must be between 0 and 1');
+        if (!(period > 0)) errors.push('period must be positive');
+        if (!(rateHz > 0)) errors.push('rateHz must be positive');
+        if (errors.length > 0) {
+            throw new DeviceError(`Invalid controller settings: ${errors.join(', ')}`, { code: 'ECONTROL' });
+        }
+    }
+
+    // Changes the target while running
+    setSetpoint(setpoint) {
+        this.setpoint = setpoint;
+    }
+
+    // Duty cycle (0..1) wanted for the measured `value`
+    output(value, dt) {
+        const { mode, reverse, hysteresis, duty } = this.settings;
+        if (mode === 'pwm') return duty;
+        const error = reverse ? value - this.setpoint : this.setpoint - value;
+        if (mode === 'pid') return this.pid.update(error, reverse ? -value : value, dt);
+        if (error > hysteresis) return 1;
+        if (error < -hysteresis) return 0;
+        return this.device.state[this.settings.actuator] ? 1 : 0;
+    }
+
+    // Time proportioning: on for the first `output` share of each window
+    wantOn(output, t) {
+        if (output <= 0) return false;
+        if (output >= 1) return true;
+        const { period } = this.settings;
+        return (t - this.startTime) % period < output * period;
+    }
+
+    async apply(on, t) {
+        const { actuator, minSwitchInterval } = this.settings;
+        if (this.device.state[actuator] === on) return false;
+        if (t - this.lastSwitch < minSwitchInterval) {
+            this.stats.deferred++;
+            return false;
+        }
+        const commands = this.device.protocol.actuators[actuator];
+        await this.device.invoke(on ? commands.on : commands.off);
+        this.lastSwitch = t;
+        this.stats.switches++;
+        return true;
+    }
+
+    async tick(sample, previousT) {
+        const { key, actuator } = this.settings;
+        const value = sample[key];
+        if (typeof value !== 'number') {
+            throw new DeviceError(`Sample has no "${key}"`, { code: 'ECONTROL' });
+        }
+        const dt = previousT === null ? 0 : (sample.t - previousT) / 1000;
+        const output = this.output(value, dt);
+        const switched = await this.apply(this.wantOn(output, sample.t), sample.t);
+        const on = this.device.state[actuator];
+        const entry = {
+            t: sample.t,
+            value,
+            setpoint: this.settings.mode === 'pwm' ? null : this.setpoint,
+            error: this.settings.mode === 'pwm' ? null : this.setpoint - value,
+            output,
+            on,
+            switched
+        };
+        this.stats.ticks++;
+        if (on) this.stats.onTicks++;
+        this.emit('tick', entry);
+        this.recorder?.record('event', { event: 'control', ...entry });
+    }
+
+    stop(reason = 'stopped') {
+        if (!this.stopReason) this.stopReason = reason;
+        this.device.stopStream();
+    }
+
+    async openRecorder() {
+        if (this.recorderOption === false) return;
+        this.recorder = this.recorderOption instanceof SessionRecorder
+            ? this.recorderOption
+            : new SessionRecorder(this.recorderOption);
+        await this.recorder.open({ ...sessionMeta({ device: this.device }), control: { ...this.settings, setpoint: this.setpoint } });
+        this.recorder.attach({ device: this.device });
+    }
+
+    // Resolves with { status: 'completed' | 'stopped' | 'stale' | 'failed',
+    // duration, ticks, switches, deferred, onFraction, error, files }
+    async run() {
+        this.validate();
+        const { rateHz, duration, actuator } = this.settings;
+        const staleAfter = this.settings.staleAfter !== null ? this.settings.staleAfter : 3000 / rateHz;
+        if (this.device.stream) {
+            throw new DeviceError('Stop the sample stream before starting the controller', { code: 'ESTREAMING' });
+        }
+        this.stats = { ticks: 0, onTicks: 0, switches: 0, deferred: 0 };
+        this.stopReason = null;
+        this.startTime = now();
+        await this.openRecorder();
+
+        let lastSample = now();
+        const watchdog = setInterval(() => {
+            const age = now() - lastSample;
+            if (age > staleAfter) {
+                log(`no reading for ${age.toFixed(0)}ms, stopping`);
+                this.emit('stale', { age });
+                this.stop('stale');
+            }
+        }, Math.max(10, staleAfter / 4));
+        const onDisconnect = () => this.stop('stale');
+        this.device.on('disconnected', onDisconnect);
+        const timer = Number.isFinite(duration) ? setTimeout(() => this.stop('completed'), duration) : null;
+
+        let error = null;
+        try {
+            let previousT = null;
+            for await (const sample of this.device.samples({ rateHz })) {
+                lastSample = now();
+                await this.tick(sample, previousT);
+                previousT = sample.t;
+                if (this.stopReason) break;
+            }
+        } catch (caught) {
+            error = caught;
+            this.stop('failed');
+        } finally {
+            clearInterval(watchdog);
+            clearTimeout(timer);
+            this.device.off('disconnected', onDisconnect);
+            if (this.device.state[actuator] || this.stopReason === 'stale') {
+                // Sent even if the tracked state says off: after stale readings it can't be trusted
+                await this.device.safety.switchOff(actuator).catch((offError) => {
+                    log(`Failed to switch ${actuator} off: ${offError.message}`);
+                });
+            }
+        }
+
+        const status = this.stopReason || 'stopped';
+        const result = {
+            status,
+            duration: now() - this.startTime,
+            ticks: this.stats.ticks,
+            switches: this.stats.switches,
+            deferred: this.stats.deferred,
+            onFraction: this.stats.ticks > 0 ? this.stats.onTicks / this.stats.ticks : 0,
+            error: error ? error.message : null,
+            files: this.recorder ? await this.recorder.close({ status, error: error?.message || null }) : []
+        };
+        this.emit('end', result);
+        return result;
+    }
+}
+
+function formatTick(entry) {
+    const setpoint = entry.setpoint === null ? '' : `  setpoint ${entry.setpoint.toFixed(3)}`;
+    return `[${new Date(entry.t).toISOString()}] value ${entry.value.toFixed(3)}${setpoint}  output ${entry.output.toFixed(2)}  ${entry.on ? 'on' : 'off'}`;
+}
+
+// deviceOptions are passed to the DeviceSerialPort (port selection etc.)
+async function main(argv = process.argv.slice(2), deviceOptions = {}) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            mode: { type: 'string', default: CONTROL_DEFAULTS.mode },
+            actuator: { type: 'string', default: CONTROL_DEFAULTS.actuator },
+            key: { type: 'string', default: CONTROL_DEFAULTS.key },
+            setpoint: { type: 'string' },
+            hysteresis: { type: 'string', default: String(CONTROL_DEFAULTS.hysteresis) },
+            duty: { type: 'string', default: String(CONTROL_DEFAULTS.duty) },
+            period: { type: 'string', default: String(CONTROL_DEFAULTS.period) },
+            kp: { type: 'string', default: String(CONTROL_DEFAULTS.kp) },
+            ki: { type: 'string', default: String(CONTROL_DEFAULTS.ki) },
+            kd: { type: 'string', default: String(CONTROL_DEFAULTS.kd) },
+            reverse: { type: 'boolean', default: false },
+            rate: { type: 'string', default: String(CONTROL_DEFAULTS.rateHz) },
+            duration: { type: 'string' },
+            'no-record': { type: 'boolean', default: false },
+            quiet: { type: 'boolean', default: false }
+        }
+    });
+    const DeviceSerialPort = require('./serialport');
+    const device = new DeviceSerialPort({ debug: false, ...deviceOptions });
+    const controller = new ClosedLoopController(device, {
+        mode: values.mode,
+        actuator: values.actuator,
+        key: values.key,
+        setpoint: values.setpoint !== undefined ? Number(values.setpoint) : null,
+        hysteresis: Number(values.hysteresis),
+        duty: Number(values.duty),
+        period: Number(values.period),
+        kp: Number(values.kp),
+        ki: Number(values.ki),
+        kd: Number(values.kd),
+        reverse: values.reverse,
+        rateHz: Number(values.rate),
+        duration: values.duration !== undefined ? Number(values.duration) * 1000 : Infinity,
+        recorder: values['no-record'] ? false : {}
+    });
+    if (!values.quiet) controller.on('tick', entry => console.log(formatTick(entry)));
+    controller.on('stale', ({ age }) => console.error(`No reading for ${age.toFixed(0)}ms, switching ${values.actuator} off`));
+    process.on('SIGINT', () => controller.stop('stopped'));
+
+    try {
+        await device.initialize();
+        const result = await controller.run();
+        console.log(`${values.mode} control of ${values.actuator}: ${result.status} after ${(result.duration / 1000).toFixed(1)}s, ` +
+            `${result.switches} switches (${result.deferred} deferred), on ${(result.onFraction * 100).toFixed(0)}% of ticks`);
+        if (result.error) console.error(result.error);
+        for (const file of result.files) console.log(`Session recording: ${file}`);
+        return ['completed', 'stopped'].includes(result.status) ? 0 : 1;
+    } finally {
+        await device.close();
+    }
+}
+
+if (require.main === module) {
+    main().then(code => process.exit(code), (error) => {
+        console.error('Control failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = ClosedLoopController;
+module.exports.Pid = Pid;
+module.exports.CONTROL_DEFAULTS = CONTROL_DEFAULTS;
+module.exports.formatTick = formatTick;
+module.exports.main = main;
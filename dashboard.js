@@ -0,0 +1,303 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { parseArgs } = require('util');
+const FlickerDetector = require('./flicker-detector');
+
+const DASHBOARD_DEFAULTS = {
+    host: '127.0.0.1',
+    port: 8080,
+    keepAliveMs: 15000,
+    statsIntervalMs: 1000
+};
+
+const LOOPBACK = ['127.0.0.1', 'localhost', '::1'];
+
+const PAGE = path.join(__dirname, 'dashboard', 'index.html');
+
+// Local web dashboard for a running DeviceSerialPort (and optionally the
+// FlickerDetector consuming it). Everything is served from this process; the
+// page has no external assets.
+//
+//   GET  /                              the dashboard page
+//   GET  /events                        server-sent events: hello (status snapshot),
+//                                       sample, blinkStart, blinkEnd, drift, state,
+//                                       command, status, stats
+//   GET  /api/status                    status snapshot as JSON
+//   POST /api/actuators/<name>/<on|off> switches an actuator through invoke(), so
+//                                       interlocks apply (409 when one refuses)
+//   POST /api/all-off                   safety allOff
+//
+// POSTs switch real hardware, so they have to come from the page itself: the
+// Host (and the Origin, when sent) must be this dashboard's address, and the
+// body type must be application/json, which a cross-site form can't send
+// without a CORS preflight this server never answers.
+class Dashboard {
+    constructor({ device, detector = null, ...options } = {}) {
+        this.device = device;
+        this.detector = detector;
+        this.options = { ...DASHBOARD_DEFAULTS, ...options };
+        this.server = null;
+        this.clients = new Set();
+        this.detachers = [];
+        this.timers = [];
+    }
+
+    get url() {
+        const address = this.server?.address();
+        return address ? `http://${this.options.host}:${address.port}/` : null;
+    }
+
+    // host:port values this server answers to; a loopback bind also answers to
+    // the other loopback names, a wildcard bind to whatever Host was asked for
+    allowedHosts(req) {
+        const port = this.server.address().port;
+        const host = this.options.host;
+        if (host === '0.0.0.0' || host === '::') return [req.headers.host];
+        const names = LOOPBACK.includes(host) ? LOOPBACK : [host];
+        return names.map(name => `${name.includes(':') ? `[${name}]` : name}:${port}`);
+    }
+
+    // Why a state-changing request is refused, or null when it may go ahead
+    checkRequest(req) {
+        const allowed = this.allowedHosts(req);
+        if (!allowed.includes(req.headers.host)) {
+            return [403, `Host "${req.headers.host}" is not this dashboard`];
+        }
+        const origin = req.headers.origin;
+        if (origin !== undefined && !allowed.some(host => origin === `http://${host}`)) {
+            return [403, `Cross-origin request from "${origin}" refused`];
+        }
+        const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+        if (type !== 'application/json') {
+            return [415, 'Content-Type must be application/json'];
+        }
+        return null;
+    }
+
+    channels() {
+        if (!this.detector) {
+            return this.device.protocol.frame.channels.map(key => ({ name: key, key, threshold: null, offThreshold: null }));
+        }
+        return [...this.detector.channels.values()].map(channel => ({
+            name: channel.name,
+            key: channel.key,
+            threshold: channel.threshold,
+            offThreshold: channel.offThreshold
+        }));
+    }
+
+    status() {
+        const device = this.device;
+        const blinks = {};
+        const rates = {};
+        if (this.detector) {
+            for (const [name, channel] of this.detector.channels) {
+                blinks[name] = channel.blinkCount;
+                rates[name] = this.detector.analytics.current(name).rate;
+            }
+        }
+        return {
+            connected: device.isConnected,
+            reconnecting: device.reconnecting,
+            port: device.portPath,
+            serialNumber: device.portInfo?.serialNumber || null,
+            simulated: Boolean(device.simulator),
+            state: { ...device.state },
+            actuators: Object.keys(device.protocol.actuators),
+            channels: this.channels(),
+            stream: device.streamStats || device.lastStreamStats,
+            blinks,
+            rates
+        };
+    }
+
+    broadcast(event, data) {
+        const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+        for (const client of this.clients) {
+            client.write(message);
+        }
+    }
+
+    start() {
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch((error) => {
+                this.sendJson(res, 500, { error: error.message });
+            });
+        });
+        this.attach();
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.options.port, this.options.host, () => {
+                this.server.off('error', reject);
+                resolve(this.url);
+            });
+        });
+    }
+
+    attach() {
+        const listen = (emitter, event, handler) => {
+            emitter.on(event, handler);
+            this.detachers.push(() => emitter.off(event, handler));
+        };
+        const device = this.device;
+
+        listen(this.detector || device, 'sample', (sample) => {
+            const baselines = {};
+            if (this.detector) {
+                for (const [name, channel] of this.detector.channels) {
+                    baselines[name] = channel.baseline;
+                }
+            }
+            this.broadcast('sample', { ...sample, baselines });
+        });
+        if (this.detector) {
+            for (const event of ['blinkStart', 'blinkEnd', 'drift']) {
+                listen(this.detector, event, data => this.broadcast(event, data));
+            }
+        }
+        listen(device, 'stateChange', change => this.broadcast('state', { ...change, state: { ...device.state } }));
+        listen(device, 'command', ({ t, name, error }) => {
+            if (name !== 'sensor.read') this.broadcast('command', { t, name, error: error || null });
+        });
+        for (const event of ['disconnected', 'reconnecting', 'reconnected']) {
+            listen(device, event, (data = {}) => this.broadcast('status', {
+                event,
+                error: data.error ? data.error.message : null,
+                ...this.status()
+            }));
+        }
+
+        const stats = setInterval(() => {
+            if (this.clients.size > 0) this.broadcast('stats', this.status());
+        }, this.options.statsIntervalMs);
+        const keepAlive = setInterval(() => {
+            for (const client of this.clients) client.write(': keep-alive\n\n');
+        }, this.options.keepAliveMs);
+        stats.unref();
+        keepAlive.unref();
+        this.timers.push(stats, keepAlive);
+    }
+
+    sendJson(res, status, body) {
+        if (res.headersSent) return;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    async handleRequest(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'GET' && (pathname === '/' || pathname === '/index.html')) {
+            const page = await fs.promises.readFile(PAGE);
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(page);
+            return;
+        }
+        if (req.method === 'GET' && pathname === '/events') {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive'
+            });
+            res.write(`event: hello\ndata: ${JSON.stringify(this.status())}\n\n`);
+            this.clients.add(res);
+            req.on('close', () => this.clients.delete(res));
+            return;
+        }
+        if (req.method === 'GET' && pathname === '/api/status') {
+            this.sendJson(res, 200, this.status());
+            return;
+        }
+
+        if (req.method === 'POST') {
+            const refused = this.checkRequest(req);
+            if (refused) {
+                this.sendJson(res, refused[0], { error: refused[1] });
+                return;
+            }
+        }
+
+        const actuatorRoute = pathname.match(/^\/api\/actuators\/(\w+)\/(on|off)$/);
+        if (req.method === 'POST' && actuatorRoute) {
+            const [, name, position] = actuatorRoute;
+            const actuator = this.device.protocol.actuators[name];
+            if (!actuator) {
+                this.sendJson(res, 404, { error: `Unknown actuator "${name}"` });
+                return;
+            }
+            await this.runCommand(res, () => this.device.invoke(actuator[position]));
+            return;
+        }
+        if (req.method === 'POST' && pathname === '/api/all-off') {
+            await this.runCommand(res, async () => {
+                const failures = await this.device.allOff('dashboard');
+                if (failures.length > 0) throw failures[0].error;
+            });
+            return;
+        }
+
+        this.sendJson(res, 404, { error: 'Not found' });
+    }
+
+    // Runs a device command for a request and answers with the new state or the error
+    async runCommand(res, command) {
+        if (!this.device.isConnected) {
+            this.sendJson(res, 503, { error: 'Device is not connected' });
+            return;
+        }
+        try {
+            await command();
+            this.sendJson(res, 200, { state: { ...this.device.state } });
+        } catch (error) {
+            this.sendJson(res, error.code === 'EINTERLOCK' ? 409 : 500, { error: error.message, code: error.code });
+        }
+    }
+
+    stop() {
+        for (const detach of this.detachers) detach();
+        this.detachers = [];
+        for (const timer of this.timers) clearInterval(timer);
+        this.timers = [];
+        for (const client of this.clients) client.end();
+        this.clients.clear();
+        if (!this.server) return Promise.resolve();
+        const server = this.server;
+        this.server = null;
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+}
+
+// deviceOptions are passed to the DeviceSerialPort (port selection etc.)
+async function main(argv = process.argv.slice(2), deviceOptions = {}) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            port: { type: 'string', default: String(DASHBOARD_DEFAULTS.port) },
+            host: { type: 'string', default: DASHBOARD_DEFAULTS.host },
+            rate: { type: 'string', default: '20' }
+        }
+    });
+    const detector = new FlickerDetector({ device: { debug: false, ...deviceOptions } });
+    const dashboard = new Dashboard({ device: detector.device, detector, host: values.host, port: Number(values.port) });
+    process.on('SIGINT', () => detector.stop());
+    try {
+        await detector.initialize();
+        console.log(`Dashboard: ${await dashboard.start()}`);
+        await detector.run({ rateHz: Number(values.rate) });
+    } finally {
+        await dashboard.stop();
+        await detector.cleanup();
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    main().then(code => process.exit(code), (error) => {
+        console.error('Dashboard failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = Dashboard;
+module.exports.main = main;
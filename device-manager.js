@@ -0,0 +1,325 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const DeviceSerialPort = require('./serialport');
+const FlickerDetector = require('./flicker-detector');
+const ExperimentRunner = require('./experiment');
+const { loadExperiment } = require('./experiment');
+const { DeviceError } = require('./errors');
+
+// Device events forwarded by the manager, tagged with the device id
+const DEVICE_EVENTS = [
+    'sample', 'stateChange', 'command', 'disconnected', 'reconnecting', 'reconnected',
+    'watchdog', 'allOff', 'firmwareError', 'frameError'
+];
+const DETECTOR_EVENTS = ['blinkStart', 'blinkEnd', 'drift'];
+
+// A rig file lists the boards to run, each addressed by an alias or its serial
+// number:
+//
+//   { "defaults": { "baudRate": 9600, "safety": { "maxOnTime": { "magnet": 5000 } } },
+//     "devices": [
+//       { "alias": "left", "serialNumber": "A9X1" },
+//       { "alias": "right", "port": "/dev/ttyUSB1", "rtscts": false }
+//     ] }
+//
+// Everything besides alias and serialNumber is passed to the DeviceSerialPort,
+// on top of `defaults`.
+function loadRig(definition) {
+    if (typeof definition === 'string') {
+        const file = path.resolve(definition);
+        try {
+            definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (error) {
+            throw new DeviceError(`Failed to read rig ${file}: ${error.message}`, { code: 'ERIG' });
+        }
+    }
+    return Array.isArray(definition) ? { defaults: {}, devices: definition } : { defaults: {}, devices: [], ...definition };
+}
+
+// Runs several boards from one process. Every board gets its own
+// DeviceSerialPort; opening, commands, detectors and experiments run on all of
+// them in parallel, and a board that fails or disconnects is reported (and
+// reconnected by its own DeviceSerialPort) without stopping the others.
+//
+// Events: every device event in DEVICE_EVENTS and detector event in
+// DETECTOR_EVENTS is re-emitted with the device id added ({ device, ... });
+// 'deviceError' { device, error } replaces the device's 'error' event and
+// 'status' { device, status, error } reports open/failed/disconnected/closed.
+class DeviceManager extends EventEmitter {
+    constructor(rig = {}) {
+        super();
+        const { defaults, devices } = loadRig(rig);
+        this.defaults = defaults;
+        this.entries = new Map();
+        for (const definition of devices) {
+            this.add(definition);
+        }
+    }
+
+    // Registers a board; resolves its id from alias, serialNumber or port
+    add({ alias, serialNumber, port, ...options }) {
+        const id = alias || serialNumber || (typeof port === 'string' ? port : null);
+        if (!id) {
+            throw new DeviceError('A rig device needs an alias, serialNumber or port', { code: 'ERIG' });
+        }
+        if (this.entries.has(id)) {
+            throw new DeviceError(`Duplicate rig device "${id}"`, { code: 'ERIG' });
+        }
+        const device = new DeviceSerialPort({
+            debug: false,
+            ...this.defaults,
+            ...options,
+            port: serialNumber ? { ...(typeof port === 'object' ? port : {}), serialNumber } : port,
+            interactive: false
+        });
+        const entry = { id, alias: alias || null, serialNumber: serialNumber || null, device, status: 'closed', error: null, detector: null, runner: null };
+        this.entries.set(id, entry);
+        this.forward(entry, device, DEVICE_EVENTS);
+        device.on('error', error => this.fail(entry, error));
+        device.on('disconnected', ({ error }) => this.setStatus(entry, 'disconnected', error));
+        device.on('reconnected', () => this.setStatus(entry, 'open'));
+        return entry;
+    }
+
+    forward(entry, emitter, events) {
+        for (const event of events) {
+            emitter.on(event, (data = {}) => this.emit(event, { device: entry.id, ...data }));
+        }
+    }
+
+    setStatus(entry, status, error = null) {
+        entry.status = status;
+        entry.error = error;
+        this.emit('status', { device: entry.id, status, error: error ? error.message : null });
+    }
+
+    fail(entry, error) {
+        entry.error = error;
+        this.emit('deviceError', { device: entry.id, error });
+    }
+
+    get ids() {
+        return [...this.entries.keys()];
+    }
+
+    // Looks a board up by id, alias or the serial number its port reports
+    entry(id) {
+        const entry = this.entries.get(id)
+            || [...this.entries.values()].find(e => e.serialNumber === id || e.device.portInfo?.serialNumber === id);
+        if (!entry) {
+            throw new DeviceError(`No rig device "${id}"`, { code: 'ENODEVICE' });
+        }
+        return entry;
+    }
+
+    get(id) {
+        return this.entry(id).device;
+    }
+
+    // Entries for `ids` (default: every board that is open)
+    select(ids = null) {
+        if (ids) return [].concat(ids).map(id => this.entry(id));
+        return [...this.entries.values()].filter(entry => entry.status === 'open');
+    }
+
+    // Runs `task(entry)` on every selected board at once and collects
+    // { <id>: { ok, value } | { ok: false, error } }
+    async each(entries, task) {
+        const results = await Promise.allSettled(entries.map(entry => task(entry)));
+        const byId = {};
+        entries.forEach((entry, i) => {
+            const result = results[i];
+            byId[entry.id] = result.status === 'fulfilled'
+                ? { ok: true, value: result.value }
+                : { ok: false, error: result.reason };
+            if (result.status === 'rejected') this.fail(entry, result.reason);
+        });
+        return byId;
+    }
+
+    // Opens every registered board; boards that fail to open are marked 'failed'
+    async openAll() {
+        const pending = [...this.entries.values()].filter(entry => entry.status === 'closed' || entry.status === 'failed');
+        return this.each(pending, async (entry) => {
+            try {
+                await entry.device.initialize();
+            } catch (error) {
+                this.setStatus(entry, 'failed', error);
+                throw error;
+            }
+            this.setStatus(entry, 'open');
+            return entry.device.portPath;
+        });
+    }
+
+    // Runs a protocol command on one board
+    invoke(id, name, args = {}) {
+        return this.get(id).invoke(name, args);
+    }
+
+    // Runs a protocol command on every open board (or those in `ids`)
+    broadcast(name, args = {}, ids = null) {
+        return this.each(this.select(ids), entry => entry.device.invoke(name, args));
+    }
+
+    allOff(reason = 'request', ids = null) {
+        return this.each(this.select(ids), entry => entry.device.allOff(reason));
+    }
+
+    // Runs a FlickerDetector per board until stopDetectors() or `duration` ms;
+    // resolves with each board's summary()
+    runDetectors({ rateHz = 20, duration = Infinity, ids = null, ...detectorOptions } = {}) {
+        return this.each(this.select(ids), async (entry) => {
+            const detector = new FlickerDetector({ ...detectorOptions, device: entry.device });
+            entry.detector = detector;
+            this.forward(entry, detector, DETECTOR_EVENTS);
+            try {
+                await detector.initialize();
+                await detector.run({ rateHz, duration });
+                return detector.summary();
+            } finally {
+                detector.removeAllListeners();
+                entry.detector = null;
+            }
+        });
+    }
+
+    stopDetectors() {
+        for (const entry of this.entries.values()) {
+            if (entry.detector) entry.detector.stop();
+        }
+    }
+
+    // Runs the same experiment on every selected board, each recorded to its
+    // own session file (<name>_<device id>); resolves with each board's run result
+    runExperiment(experiment, { ids = null, recorder = {}, dryRun = false } = {}) {
+        const definition = loadExperiment(experiment);
+        const base = recorder && recorder.name
+            ? recorder.name
+            : `${definition.name}_${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        return this.each(this.select(ids), (entry) => {
+            const runner = new ExperimentRunner(entry.device, definition, {
+                dryRun,
+                recorder: recorder === false ? false : { ...recorder, name: `${base}_${entry.id.replace(/[^\w.-]/g, '_')}` }
+            });
+            runner.on('step', step => this.emit('step', { device: entry.id, ...step }));
+            runner.on('abort', ({ reason }) => this.emit('abort', { device: entry.id, reason }));
+            entry.runner = runner;
+            return runner.run().finally(() => {
+                runner.removeAllListeners();
+                entry.runner = null;
+            });
+        });
+    }
+
+    abortExperiments(reason) {
+        for (const entry of this.entries.values()) {
+            if (entry.runner) entry.runner.abort(reason);
+        }
+    }
+
+    status() {
+        return [...this.entries.values()].map(({ id, alias, device, status, error }) => ({
+            id,
+            alias,
+            serialNumber: device.portInfo?.serialNumber || null,
+            port: device.portPath,
+            status,
+            error: error ? error.message : null,
+            state: { ...device.state }
+        }));
+    }
+
+    // Closes every board; one that fails to close doesn't keep the others open
+    async closeAll() {
+        this.stopDetectors();
+        this.abortExperiments('closing');
+        const entries = [...this.entries.values()].filter(entry => entry.status !== 'closed');
+        const results = await this.each(entries, entry => entry.device.close());
+        for (const entry of entries) this.setStatus(entry, 'closed');
+        return results;
+    }
+}
+
+function formatResults(results, format = value => String(value)) {
+    return Object.entries(results).map(([id, result]) =>
+        `${id.padEnd(16)}${result.ok ? format(result.value) : `failed: ${result.error.message}`}`
+    ).join('\n');
+}
+
+const USAGE = `Usage: node device-manager.js --rig <rig.json> <command> [options]
+
+Commands:
+  status                          open every board and show where it is
+  invoke <command> [--device id]  run a protocol command on one board, or all of them
+  flicker [--duration s]          run a flicker detector on every board
+  experiment <file>               run an experiment on every board in parallel`;
+
+async function main(argv = process.argv.slice(2)) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            rig: { type: 'string' },
+            device: { type: 'string', multiple: true },
+            duration: { type: 'string', default: '30' },
+            json: { type: 'boolean', default: false }
+        }
+    });
+    const [command, ...args] = positionals;
+    if (!values.rig || !['status', 'invoke', 'flicker', 'experiment'].includes(command)) {
+        console.error(USAGE);
+        return 2;
+    }
+
+    const manager = new DeviceManager(values.rig);
+    manager.on('status', ({ device, status, error }) => console.log(`[${device}] ${status}${error ? `: ${error}` : ''}`));
+    manager.on('deviceError', ({ device, error }) => console.error(`[${device}] ${error.message}`));
+    manager.on('blinkStart', ({ device, channel, value }) => console.log(`[${device}] blink on ${channel} (${value.toFixed(3)})`));
+    const onInterrupt = () => {
+        manager.stopDetectors();
+        manager.abortExperiments('interrupted');
+    };
+    process.on('SIGINT', onInterrupt);
+
+    const print = (results, format) => console.log(values.json ? JSON.stringify(results, (key, value) =>
+        (value instanceof Error ? { error: value.message, code: value.code } : value), 2) : formatResults(results, format));
+    try {
+        await manager.openAll();
+        let results;
+        if (command === 'status') {
+            const status = manager.status();
+            console.log(values.json ? JSON.stringify(status, null, 2) : status.map(s =>
+                `${s.id.padEnd(16)}${s.status.padEnd(14)}${s.port || ''}${s.serialNumber ? ` (${s.serialNumber})` : ''}${s.error ? ` ${s.error}` : ''}`
+            ).join('\n'));
+            return status.every(s => s.status === 'open') ? 0 : 1;
+        } else if (command === 'invoke') {
+            results = await manager.broadcast(args[0], {}, values.device || null);
+            print(results, value => (value === undefined ? 'ok' : JSON.stringify(value)));
+        } else if (command === 'flicker') {
+            results = await manager.runDetectors({ duration: Number(values.duration) * 1000, ids: values.device || null });
+            print(results, summary => `${summary.totalBlinks} blinks in ${summary.duration.toFixed(1)}s`);
+        } else {
+            results = await manager.runExperiment(args[0], { ids: values.device || null });
+            print(results, result => `${result.status}${result.error ? ` (${result.error})` : ''}`);
+            return Object.values(results).every(result => result.ok && result.value.status === 'completed') ? 0 : 1;
+        }
+        return Object.values(results).every(result => result.ok) ? 0 : 1;
+    } finally {
+        process.off('SIGINT', onInterrupt);
+        await manager.closeAll();
+    }
+}
+
+if (require.main === module) {
+    main().then(code => process.exit(code), (error) => {
+        console.error('Device manager failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = DeviceManager;
+module.exports.loadRig = loadRig;
+module.exports.main = main;
@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+const { parseArgs } = require('util');
+const DeviceSerialPort = require('./serialport');
+const FlickerDetector = require('./flicker-detector');
+const Dashboard = require('./dashboard');
+const { runFlickerTest } = require('./flicker-detector-test');
+const { describePort } = require('./port-spec');
+const { toggleDebug } = require('./logging');
+
+const USAGE = `Usage: devicectl <command> [options]
+
+Commands:
+  list                                  list serial ports
+  read [--count N] [--interval ms]      read the sensors
+  magnet on|off [--for ms]              switch the electromagnet
+  ac on|off [--for ms]                  switch the AC output
+  monitor [--rate Hz] [--duration s] [--dashboard port]
+                                        stream samples until Ctrl+C
+  flicker [--duration s] [--threshold x] [--channels name=key,...] [--out dir]
+                                        run the flicker detector
+  calibrate [--stimulus ac|magnet] [--idle ms] [--pulse ms] [--repeats N] [--channels ...]
+                                        measure and store detection thresholds
+  replay|sweep <session> ...            re-run recorded sessions (see replay.js)
+  experiment <file> [--dry-run|--validate]
+                                        run an experiment protocol (see experiment.js)
+  latency [--actuator ac] [--key value1] [--repetitions N]
+                                        measure command-to-effect latency
+  dashboard [--port 8080]               flicker detector with the web dashboard
+  diagnose [--baud-rates 9600,...] [--requests N] [--all] [--no-probe]
+                                        probe line settings and report link health
+  control --mode onoff|pwm|pid [--actuator magnet] [--key value1] [--setpoint x] ...
+                                        drive an actuator from sensor feedback (see control.js)
+  rig --rig <rig.json> status|invoke|flicker|experiment ...
+                                        run several boards at once (see device-manager.js)
+  report [files...] [--format html|markdown] [--from date] [--to date]
+                                        session and comparison reports from logs/ (see report.js)
+  capture view|replay <capture.jsonl>
+                                        hex dump or re-parse of a raw traffic capture (see serial-capture.js)
+
+Port selection (default: SERIAL_PORT, then SERIAL_PORT_CONFIG):
+  --port <path | key=value,... | json>  --serial <number>  --config <file>
+  --baud <rate>  --simulate  --interactive (pick a port from a list)  --debug
+  --binary    use the firmware's framed binary protocol, falling back to text lines
+  --capture <file>  record every byte sent and received (view with "devicectl capture view")
+  --replay <capture>  play a capture back as the device instead of opening a port
+
+Diagnostics: --debug, DEBUG=serial-device:* (namespaces in logging.js); kill -USR2 <pid>
+toggles them while a command runs.
+
+Output:
+  --json      machine-readable results on stdout, progress on stderr
+
+A switched-on output stays on after "magnet on" / "ac on" unless --for is given.
+
+Exit codes:
+  0 ok, 1 failure, 2 usage error, 3 no matching port, 4 port locked,
+  5 device error (timeout, disconnect, open failure), 6 refused by an interlock`;
+
+const PORT_OPTIONS = {
+    port: { type: 'string' },
+    serial: { type: 'string' },
+    config: { type: 'string' },
+    baud: { type: 'string' },
+    simulate: { type: 'boolean' },
+    interactive: { type: 'boolean' },
+    debug: { type: 'boolean' },
+    binary: { type: 'boolean' },
+    capture: { type: 'string' },
+    replay: { type: 'string' }
+};
+
+const COMMAND_OPTIONS = {
+    list: {},
+    read: { count: { type: 'string', default: '1' }, interval: { type: 'string', default: '0' } },
+    magnet: { for: { type: 'string' } },
+    ac: { for: { type: 'string' } },
+    monitor: { rate: { type: 'string', default: '20' }, duration: { type: 'string' }, dashboard: { type: 'string' } },
+    flicker: {
+        duration: { type: 'string', default: '30' },
+        threshold: { type: 'string' },
+        channels: { type: 'string' },
+        out: { type: 'string' },
+        rate: { type: 'string', default: '20' }
+    },
+    calibrate: {
+        stimulus: { type: 'string' },
+        idle: { type: 'string', default: '3000' },
+        pulse: { type: 'string', default: '1000' },
+        repeats: { type: 'string', default: '3' },
+        channels: { type: 'string' }
+    }
+};
+
+// Subcommands that are their module's own CLI
+const DELEGATED = {
+    replay: argv => require('./replay').main(['replay', ...argv]),
+    sweep: argv => require('./replay').main(['sweep', ...argv]),
+    experiment: (argv, device) => require('./experiment').main(argv, device),
+    latency: (argv, device) => require('./latency').main(argv, device),
+    dashboard: (argv, device) => require('./dashboard').main(argv, device),
+    diagnose: (argv, device) => require('./diagnostics').main(argv, device),
+    control: (argv, device) => require('./control').main(argv, device),
+    // Each board of a rig has its own port settings in the rig file
+    rig: argv => require('./device-manager').main(argv),
+    // Works on the logs only
+    report: argv => require('./report').main(argv),
+    capture: (argv, device) => require('./serial-capture').main(argv, device)
+};
+
+const EXIT_CODES = {
+    EUSAGE: 2,
+    ENOPORT: 3,
+    EAMBIGUOUSPORT: 3,
+    ELOCKED: 4,
+    EOPEN: 5,
+    ETIMEDOUT: 5,
+    EDISCONNECTED: 5,
+    ENOTOPEN: 5,
+    EINTERLOCK: 6
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function usageError(message) {
+    const error = new Error(message);
+    error.code = 'EUSAGE';
+    return error;
+}
+
+function exitCode(error) {
+    if (EXIT_CODES[error.code]) return EXIT_CODES[error.code];
+    if (typeof error.code === 'string' && error.code.startsWith('ERR_PARSE_ARGS')) return 2;
+    return 1;
+}
+
+function deviceOptions(values) {
+    const options = { debug: Boolean(values.debug), interactive: Boolean(values.interactive) };
+    if (values.port) options.port = values.port;
+    else if (values.serial) options.port = { serialNumber: values.serial };
+    else if (values.config) options.port = { config: values.config };
+    if (values.baud) options.baudRate = Number(values.baud);
+    if (values.binary) options.binary = true;
+    if (values.simulate) options.simulate = values.binary ? { binary: true } : true;
+    if (values.capture) options.capture = values.capture;
+    if (values.replay) options.replay = values.replay;
+    return options;
+}
+
+// Separates the port flags from the arguments of a delegated subcommand
+function splitPortOptions(argv) {
+    const { tokens } = parseArgs({ args: argv, options: PORT_OPTIONS, strict: false, allowPositionals: true, tokens: true });
+    const values = {};
+    const rest = [];
+    for (const token of tokens) {
+        if (token.kind === 'option' && PORT_OPTIONS[token.name]) {
+            values[token.name] = token.value !== undefined ? token.value : true;
+        } else if (token.kind === 'option') {
+            rest.push(token.inlineValue ? `${token.rawName}=${token.value}` : token.rawName);
+        } else if (token.kind === 'positional') {
+            rest.push(token.value);
+        } else {
+            rest.push('--');
+        }
+    }
+    return { values, rest };
+}
+
+// "sensor1=value1,sensor2=value2" or just "value1,value2"
+function parseChannels(text) {
+    if (!text) return undefined;
+    return text.split(',').map((entry) => {
+        const [name, key] = entry.split('=').map(part => part.trim());
+        return { name, key: key || name };
+    });
+}
+
+function number(values, name) {
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || value < 0) {
+        throw usageError(`--${name} must be a non-negative number, got "${values[name]}"`);
+    }
+    return value;
+}
+
+async function withDevice(options, run) {
+    const device = new DeviceSerialPort(options);
+    await device.initialize();
+    let keepOutputs = false;
+    try {
+        keepOutputs = await run(device);
+    } finally {
+        await device.close({ keepOutputs: keepOutputs === true });
+    }
+}
+
+function formatSample(sample) {
+    const values = Object.keys(sample).filter(key => key !== 't').map(key => `${key}=${sample[key].toFixed(3)}`);
+    return `${new Date(sample.t).toISOString()}  ${values.join('  ')}`;
+}
+
+function switchActuator(name, { values, positionals, options, output }) {
+    const position = positionals[0];
+    if (!['on', 'off'].includes(position)) {
+        throw usageError(`Usage: devicectl ${name} on|off [--for ms]`);
+    }
+    const hold = values.for !== undefined ? number(values, 'for') : null;
+    return withDevice(options, async (device) => {
+        const actuator = device.protocol.actuators[name];
+        await device.invoke(actuator[position]);
+        if (position === 'on' && hold !== null) {
+            await sleep(hold);
+            await device.invoke(actuator.off);
+        }
+        output({ actuator: name, on: device.state[name] }, () => `${name} ${device.state[name] ? 'on' : 'off'}`);
+        // Leave the output as requested instead of the usual all-off on close
+        return device.state[name];
+    });
+}
+
+const commands = {
+    async list({ options, output }) {
+        const device = new DeviceSerialPort(options);
+        const ports = await device.listPorts();
+        output(ports, () => (ports.length === 0 ? 'No serial ports found' : ports.map(describePort).join('\n')));
+    },
+
+    read({ values, options, output }) {
+        const count = number(values, 'count');
+        const interval = number(values, 'interval');
+        return withDevice(options, async (device) => {
+            const samples = [];
+            for (let i = 0; i < count; i++) {
+                if (i > 0) await sleep(interval);
+                samples.push(await device.readSample());
+            }
+            output(samples, () => samples.map(formatSample).join('\n'));
+        });
+    },
+
+    magnet: context => switchActuator('magnet', context),
+
+    ac: context => switchActuator('ac', context),
+
+    monitor({ values, options, output, json, stdout }) {
+        const rateHz = number(values, 'rate');
+        const duration = values.duration !== undefined ? number(values, 'duration') * 1000 : Infinity;
+        return withDevice(options, async (device) => {
+            let dashboard = null;
+            if (values.dashboard !== undefined) {
+                dashboard = new Dashboard({ device, port: Number(values.dashboard) });
+                console.log(`Dashboard: ${await dashboard.start()}`);
+            }
+            const stop = () => device.stopStream();
+            const timer = Number.isFinite(duration) ? setTimeout(stop, duration) : null;
+            process.once('SIGINT', stop);
+            try {
+                for await (const sample of device.samples({ rateHz })) {
+                    if (json) stdout.write(JSON.stringify(sample) + '\n');
+                    else output(null, () => formatSample(sample));
+                }
+            } finally {
+                clearTimeout(timer);
+                process.off('SIGINT', stop);
+                if (dashboard) await dashboard.stop();
+            }
+        });
+    },
+
+    async flicker({ values, options, output }) {
+        const detector = { device: options, channels: parseChannels(values.channels) };
+        if (values.threshold !== undefined) detector.threshold = number(values, 'threshold');
+        const { result, error, logFile, sessionFile } = await runFlickerTest(number(values, 'duration') * 1000, {
+            detector,
+            logsDir: values.out,
+            rateHz: number(values, 'rate')
+        });
+        if (error) throw error;
+        output({ summary: result, logFile, sessionFile }, () => `Log: ${logFile}\nSession: ${sessionFile}`);
+    },
+
+    async calibrate({ values, options, output }) {
+        const detector = new FlickerDetector({ device: options, channels: parseChannels(values.channels), calibration: false });
+        try {
+            await detector.initialize();
+            const result = await detector.calibrate({
+                stimulus: values.stimulus || null,
+                idleMs: number(values, 'idle'),
+                stimulusMs: number(values, 'pulse'),
+                repeats: number(values, 'repeats')
+            });
+            output(result, () => Object.entries(result.channels).map(([name, channel]) =>
+                `${name}: baseline ${channel.baseline.toFixed(3)}, noise ${channel.noise.toFixed(3)}, ` +
+                `threshold ${channel.threshold.toFixed(3)} / off ${channel.offThreshold.toFixed(3)}`
+            ).join('\n'));
+        } finally {
+            await detector.cleanup();
+        }
+    }
+};
+
+// Results go to `stdout`; with --json nothing else does
+async function main(argv = process.argv.slice(2), stdout = process.stdout) {
+    const [command, ...args] = argv;
+    if (!command || command === 'help' || command === '--help' || command === '-h') {
+        console.log(USAGE);
+        return command ? 0 : 2;
+    }
+
+    if (DELEGATED[command]) {
+        const { values, rest } = splitPortOptions(args);
+        const code = await DELEGATED[command](rest, deviceOptions(values));
+        return code;
+    }
+    if (!COMMAND_OPTIONS[command]) {
+        console.error(`Unknown command "${command}"\n\n${USAGE}`);
+        return 2;
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args,
+            allowPositionals: true,
+            options: { ...PORT_OPTIONS, ...COMMAND_OPTIONS[command], json: { type: 'boolean', default: false } }
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    const { values, positionals } = parsed;
+    const json = values.json;
+
+    const log = console.log;
+    if (json) console.log = console.error;
+    const output = (data, text) => {
+        if (json) stdout.write(JSON.stringify(data, null, 2) + '\n');
+        else log(text());
+    };
+    try {
+        await commands[command]({ values, positionals, options: deviceOptions(values), output, json, stdout });
+        return 0;
+    } catch (error) {
+        if (json) {
+            stdout.write(JSON.stringify({ error: error.message, code: error.code || null }) + '\n');
+        } else {
+            console.error(`devicectl ${command}: ${error.message}`);
+        }
+        return exitCode(error);
+    } finally {
+        console.log = log;
+    }
+}
+
+if (require.main === module) {
+    process.on('SIGUSR2', () => {
+        console.error(`devicectl: diagnostic output ${toggleDebug() ? 'on' : 'off'}`);
+    });
+    main().then(code => process.exit(code), (error) => {
+        console.error('devicectl:', error.message);
+        process.exit(exitCode(error));
+    });
+}
+
+module.exports = { main, splitPortOptions, parseChannels, exitCode, USAGE };
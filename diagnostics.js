@@ -0,0 +1,310 @@
+const { parseArgs } = require('util');
+const { describe } = require('./blink-analytics');
+const { DeviceError } = require('./errors');
+const { describePort } = require('./port-spec');
+const DeviceSerialPort = require('./serialport');
+const { now } = require('./clock');
+const { logger } = require('./logging');
+
+const log = logger('diagnostics');
+
+const DIAGNOSTICS_DEFAULTS = {
+    baudRates: [9600, 19200, 38400, 57600, 115200],
+    flowControl: [true, false],     // rtscts values to try
+    attempts: 2,                    // sensor reads per candidate setting
+    probeTimeout: 300,
+    all: false,                     // probe every candidate instead of stopping at the first that answers
+    probe: true,
+    requests: 50,                   // reads for the round-trip and error-rate measurement
+    timeout: 1000,
+    maxErrorRate: 0.05
+};
+
+// Counts lines from the device that are neither sensor frames nor firmware
+// error lines, plus lines dropped for a bad checksum, while `run` is going
+async function countGarbage(device, run) {
+    let garbage = 0;
+    const onResponse = () => garbage++;
+    const onParsed = () => garbage--;
+    const onFrameError = () => garbage++;
+    device.on('response', onResponse);
+    device.on('data', onParsed);
+    device.on('firmwareError', onParsed);
+    device.on('frameError', onFrameError);
+    try {
+        const result = await run();
+        return { result, garbage };
+    } finally {
+        device.off('response', onResponse);
+        device.off('data', onParsed);
+        device.off('firmwareError', onParsed);
+        device.off('frameError', onFrameError);
+    }
+}
+
+function currentSettings(device) {
+    return { baudRate: device.baudRate, ...device.lineSettings };
+}
+
+function formatSettings({ baudRate, dataBits, parity, stopBits, rtscts }) {
+    const line = dataBits !== undefined ? `, ${dataBits}${parity[0].toUpperCase()}${stopBits}` : '';
+    return `${baudRate} baud${line}, RTS/CTS ${rtscts ? 'on' : 'off'}`;
+}
+
+// Tries the current line settings first, then every other baud rate and
+// flow-control combination, until a sensor read gets a valid reply. The port
+// is left open with the settings that worked, or the original ones if none did.
+async function probeLineSettings(device, options = {}) {
+    const settings = { ...DIAGNOSTICS_DEFAULTS, ...options };
+    const original = currentSettings(device);
+    const candidates = [{ baudRate: original.baudRate, rtscts: original.rtscts }];
+    for (const baudRate of settings.baudRates) {
+        for (const rtscts of settings.flowControl) {
+            if (!candidates.some(c => c.baudRate === baudRate && c.rtscts === rtscts)) {
+                candidates.push({ baudRate, rtscts });
+            }
+        }
+    }
+
+    const results = [];
+    let found = null;
+    try {
+        for (const candidate of candidates) {
+            if (candidate.baudRate !== device.baudRate || candidate.rtscts !== device.lineSettings.rtscts) {
+                await device.reconfigure(candidate);
+            }
+            const { result: replies, garbage } = await countGarbage(device, async () => {
+                let count = 0;
+                for (let i = 0; i < settings.attempts; i++) {
+                    try {
+                        await device.readSample(settings.probeTimeout);
+                        count++;
+                    } catch (error) {
+                        if (error.code !== 'ETIMEDOUT') throw error;
+                    }
+                }
+                return count;
+            });
+            const ok = replies > 0;
+            results.push({ ...candidate, ok, replies, attempts: settings.attempts, garbage });
+            log(`Probe ${formatSettings(candidate)}: ${replies}/${settings.attempts} replies, ${garbage} garbage lines`);
+            if (ok && !found) {
+                found = candidate;
+                if (!settings.all) break;
+            }
+        }
+    } finally {
+        // Also when a read fails for a reason other than a timeout, so the
+        // port isn't left at a candidate's settings
+        const keep = found || original;
+        if (keep.baudRate !== device.baudRate || keep.rtscts !== device.lineSettings.rtscts) {
+            await device.reconfigure(keep);
+        }
+    }
+    return { original, found, candidates: results };
+}
+
+// Sends `requests` sensor reads one after another and reports how many came
+// back, the round-trip times (ms) and the lines that couldn't be parsed
+async function measureLink(device, options = {}) {
+    const { requests, timeout } = { ...DIAGNOSTICS_DEFAULTS, ...options };
+    const rtts = [];
+    const errors = [];
+    let timeouts = 0;
+    const { garbage } = await countGarbage(device, async () => {
+        for (let i = 0; i < requests; i++) {
+            const sent = now();
+            try {
+                const sample = await device.readSample(timeout);
+                rtts.push(sample.t - sent);
+            } catch (error) {
+                if (error.code === 'ETIMEDOUT') {
+                    timeouts++;
+                } else {
+                    errors.push(error.message);
+                }
+            }
+        }
+    });
+    return {
+        requests,
+        ok: rtts.length,
+        timeouts,
+        failures: errors.length,
+        errors: [...new Set(errors)],
+        garbage,
+        errorRate: requests > 0 ? (requests - rtts.length) / requests : 0,
+        rtt: describe(rtts)
+    };
+}
+
+// Modem status inputs from the port, and the outputs as last set (null: as
+// the OS left them on open, normally both asserted)
+async function readModemLines(device) {
+    return { ...(await device.getModemLines()), outputs: device.modemOutputs };
+}
+
+function healthChecks(report, maxErrorRate) {
+    const checks = [];
+    const add = (level, message) => checks.push({ level, message });
+    const { probe, link, modemLines, settings } = report;
+
+    if (probe) {
+        if (!probe.found) {
+            add('fail', 'No valid sensor reply at any baud rate or flow-control setting: check power, the cable and that the firmware is running');
+        } else if (probe.found.baudRate !== probe.original.baudRate || probe.found.rtscts !== probe.original.rtscts) {
+            add('warn', `The board answers at ${formatSettings(probe.found)}, not the configured ${formatSettings(probe.original)}; ` +
+                `put "baudRate": ${probe.found.baudRate}, "rtscts": ${probe.found.rtscts} in the port config (SERIAL_PORT_CONFIG)`);
+        } else {
+            add('ok', `The board answers at the configured ${formatSettings(probe.original)}`);
+        }
+    }
+    if (modemLines && settings.rtscts && !modemLines.cts) {
+        add('warn', 'CTS is not asserted, so with RTS/CTS flow control nothing gets sent; is CTS wired?');
+    }
+    if (link) {
+        const summary = `${link.ok}/${link.requests} reads answered`;
+        if (link.ok === 0) {
+            add('fail', `${summary}: the board doesn't respond`);
+        } else if (link.errorRate > maxErrorRate) {
+            add('warn', `${summary} (${(link.errorRate * 100).toFixed(1)}% errors, ${link.timeouts} timeouts)`);
+        } else {
+            add('ok', `${summary}, median round trip ${link.rtt.median.toFixed(1)}ms`);
+        }
+        if (link.garbage > 0) {
+            add('warn', `${link.garbage} lines couldn't be parsed (noise, a wrong baud rate or another program on the port)`);
+        }
+    }
+    return checks;
+}
+
+// Runs the whole check on an open device: modem lines, the line-settings probe
+// (unless `probe` is false) and the link measurement. Resolves with a report
+// whose `healthy` is false when any check failed.
+async function diagnose(device, options = {}) {
+    const settings = { ...DIAGNOSTICS_DEFAULTS, ...options };
+    if (!device.port?.isOpen) {
+        throw new DeviceError('Open the port before running diagnostics', { code: 'ENOTOPEN' });
+    }
+    if (device.stream) {
+        throw new DeviceError('Stop the sample stream before running diagnostics', { code: 'ESTREAMING' });
+    }
+
+    const report = {
+        t: now(),
+        port: device.portPath,
+        portInfo: device.portInfo,
+        modemLines: null,
+        probe: null,
+        settings: null,
+        link: null
+    };
+    try {
+        report.modemLines = await readModemLines(device);
+    } catch (error) {
+        report.modemLines = { error: error.message };
+    }
+    if (settings.probe) {
+        report.probe = await probeLineSettings(device, settings);
+    }
+    report.settings = currentSettings(device);
+    if (!report.probe || report.probe.found) {
+        report.link = await measureLink(device, settings);
+    }
+    report.mode = device.mode;
+    report.packets = device.mode === 'binary' ? { ...device.packetStats } : null;
+    report.checks = healthChecks(report, settings.maxErrorRate);
+    report.healthy = report.checks.every(check => check.level !== 'fail');
+    return report;
+}
+
+function formatReport(report) {
+    const f = v => (v === null ? 'n/a' : v.toFixed(2));
+    const lines = [
+        `Port:        ${report.portInfo ? describePort(report.portInfo) : report.port}`,
+        `Settings:    ${formatSettings(report.settings)}`
+    ];
+    if (report.probe) {
+        lines.push('Probe:');
+        for (const c of report.probe.candidates) {
+            const garbage = c.garbage > 0 ? `, ${c.garbage} garbage lines` : '';
+            lines.push(`  ${formatSettings(c).padEnd(28)}${c.ok ? 'ok' : 'no reply'} (${c.replies}/${c.attempts}${garbage})`);
+        }
+    }
+    if (report.link) {
+        const { link } = report;
+        lines.push(`Link:        ${link.ok}/${link.requests} answered, ${link.timeouts} timeouts, ${link.failures} errors, ` +
+            `${link.garbage} garbage lines (error rate ${(link.errorRate * 100).toFixed(1)}%)`);
+        lines.push(`Round trip:  min ${f(link.rtt.min)}  median ${f(link.rtt.median)}  mean ${f(link.rtt.mean)}  ` +
+            `max ${f(link.rtt.max)}  stddev ${f(link.rtt.stddev)} ms`);
+        for (const error of link.errors) lines.push(`  error: ${error}`);
+    }
+    if (report.packets) {
+        const p = report.packets;
+        lines.push(`Packets:     ${p.packets} received, ${p.crcErrors} CRC errors, ${p.malformed} malformed, ` +
+            `${p.unmatched} unmatched, ${p.sequenceGaps} sequence gaps (${p.missed} lost)`);
+    }
+    const modem = report.modemLines;
+    if (modem?.error) {
+        lines.push(`Modem lines: unavailable (${modem.error})`);
+    } else if (modem) {
+        const state = value => (value ? 'on' : 'off');
+        const outputs = modem.outputs
+            ? `DTR ${state(modem.outputs.dtr)}, RTS ${state(modem.outputs.rts)}`
+            : 'DTR/RTS as set on open';
+        lines.push(`Modem lines: CTS ${state(modem.cts)}, DSR ${state(modem.dsr)}, DCD ${state(modem.dcd)}; ${outputs}`);
+    }
+    lines.push('Health:');
+    const marks = { ok: '✓', warn: '⚠', fail: '❌' };
+    for (const check of report.checks) {
+        lines.push(`  ${marks[check.level]} ${check.message}`);
+    }
+    return lines.join('\n');
+}
+
+// deviceOptions are passed to the DeviceSerialPort (port selection etc.)
+async function main(argv = process.argv.slice(2), deviceOptions = {}) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            'baud-rates': { type: 'string', default: DIAGNOSTICS_DEFAULTS.baudRates.join(',') },
+            requests: { type: 'string', default: String(DIAGNOSTICS_DEFAULTS.requests) },
+            timeout: { type: 'string', default: String(DIAGNOSTICS_DEFAULTS.timeout) },
+            all: { type: 'boolean', default: false },
+            'no-probe': { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false }
+        }
+    });
+    const device = new DeviceSerialPort({ debug: false, reconnect: false, ...deviceOptions });
+    try {
+        await device.initialize();
+        const report = await device.diagnose({
+            baudRates: values['baud-rates'].split(',').map(Number),
+            requests: Number(values.requests),
+            timeout: Number(values.timeout),
+            all: values.all,
+            probe: !values['no-probe']
+        });
+        console.log(values.json ? JSON.stringify(report, null, 2) : formatReport(report));
+        return report.healthy ? 0 : 1;
+    } finally {
+        await device.close();
+    }
+}
+
+if (require.main === module) {
+    main().then(code => process.exit(code), (error) => {
+        console.error('Diagnostics failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    diagnose,
+    probeLineSettings,
+    measureLink,
+    readModemLines,
+    formatReport,
+    DIAGNOSTICS_DEFAULTS,
+    main
+};
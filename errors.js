@@ -0,0 +1,83 @@
+class DeviceError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = options.code || 'EDEVICE';
+        this.retryable = Boolean(options.retryable);
+        if (options.cause) this.cause = options.cause;
+    }
+}
+
+class PortNotFoundError extends DeviceError {
+    constructor(spec) {
+        super(`No serial port matches ${JSON.stringify(spec)}`, { code: 'ENOPORT' });
+        this.spec = spec;
+    }
+}
+
+class AmbiguousPortError extends DeviceError {
+    constructor(spec, ports) {
+        const paths = ports.map(port => port.path).join(', ');
+        super(`${ports.length} serial ports match ${JSON.stringify(spec)}: ${paths}`, { code: 'EAMBIGUOUSPORT' });
+        this.spec = spec;
+        this.ports = ports;
+    }
+}
+
+class CommandTimeoutError extends DeviceError {
+    constructor(command, timeout) {
+        super(`Command "${command}" got no reply within ${timeout}ms`, { code: 'ETIMEDOUT', retryable: true });
+        this.command = command;
+        this.timeout = timeout;
+    }
+}
+
+class DisconnectedError extends DeviceError {
+    constructor(message = 'Device disconnected', options = {}) {
+        super(message, { code: 'EDISCONNECTED', retryable: true, ...options });
+    }
+}
+
+// Another process (or a stale handle) holds the port; usually clears after a retry
+class PortLockedError extends DeviceError {
+    constructor(path, cause) {
+        super(`Port ${path} is locked by another process: ${cause.message}`, { code: 'ELOCKED', retryable: true, cause });
+        this.path = path;
+    }
+
+    static matches(error) {
+        return /cannot lock port|port is locked|resource temporarily unavailable|EBUSY/i.test(error.message);
+    }
+}
+
+class InterlockError extends DeviceError {
+    constructor(interlock, command, state) {
+        super(`Command "${command}" violates interlock "${interlock}"`, { code: 'EINTERLOCK' });
+        this.interlock = interlock;
+        this.command = command;
+        this.state = state;
+    }
+}
+
+// An error line from the firmware (see the protocol's `errors` pattern), e.g.
+// "ERR 3 overheated" in answer to the command that was waiting for a reply
+class FirmwareError extends DeviceError {
+    constructor(line, { firmwareCode = null, detail = null, command = null } = {}) {
+        const where = command ? ` on command "${command}"` : '';
+        super(`Firmware error${where}: ${detail || line}`, { code: 'EFIRMWARE' });
+        this.line = line;
+        this.firmwareCode = firmwareCode;
+        this.command = command;
+    }
+}
+
+module.exports = {
+    DeviceError,
+    PortNotFoundError,
+    AmbiguousPortError,
+    CommandTimeoutError,
+    DisconnectedError,
+    PortLockedError,
+    InterlockError,
+    FirmwareError
+};
@@ -0,0 +1,186 @@
+const dgram = require('dgram');
+const EventEmitter = require('events');
+const os = require('os');
+const { performance } = require('perf_hooks');
+
+// Local event feed ("flicker-event/1") over UDP on 127.0.0.1:41234.
+//
+// A client subscribes by sending the datagram {"type":"subscribe"} to the
+// publisher's port, and must repeat it at least every 30 s to stay subscribed
+// ({"type":"unsubscribe"} leaves early). The publisher answers with a
+// "subscribed" event and from then on sends every event to the client's
+// address, one JSON object per datagram:
+//
+//   schema     "flicker-event/1"
+//   type       blinkStart, blinkEnd, drift, sessionStart, sessionEnd,
+//              disconnected, reconnected, watchdog, allOff, subscribed
+//   seq        per-publisher sequence number, starting at 1 (gaps mean lost datagrams)
+//   source     "<hostname>:<pid>" of the publisher
+//   wallTime   when the event happened, epoch ms with sub-ms resolution (for
+//              blinks: the time of the sample that started/ended it)
+//   monotonic  the same instant on the publisher's monotonic clock, ms since
+//              the publisher process started; unaffected by clock changes
+//   sentAt     epoch ms when the datagram was sent
+//   ...        the event's own fields, e.g. channel, value, baseline for
+//              blinkStart or start, end, duration, peak for blinkEnd
+
+const SCHEMA = 'flicker-event/1';
+
+const PUBLISHER_DEFAULTS = {
+    host: '127.0.0.1',
+    port: 41234,
+    subscriberTimeoutMs: 30000
+};
+
+function wallNow() {
+    return performance.timeOrigin + performance.now();
+}
+
+class EventPublisher extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = { ...PUBLISHER_DEFAULTS, ...options };
+        this.socket = null;
+        this.subscribers = new Map();   // "address:port" -> { address, port, name, lastSeen }
+        this.seq = 0;
+        this.source = `${os.hostname()}:${process.pid}`;
+        this.detachers = [];
+    }
+
+    get address() {
+        return this.socket ? this.socket.address() : null;
+    }
+
+    // Binds the publisher's port; resolves with { address, port }
+    start() {
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket('udp4');
+            socket.once('error', reject);
+            socket.on('message', (message, remote) => this.handleMessage(message, remote));
+            socket.bind(this.options.port, this.options.host, () => {
+                socket.off('error', reject);
+                socket.on('error', error => this.emit('error', error));
+                socket.unref();
+                this.socket = socket;
+                resolve(socket.address());
+            });
+        });
+    }
+
+    handleMessage(message, remote) {
+        let request;
+        try {
+            request = JSON.parse(message.toString());
+        } catch (error) {
+            return;
+        }
+        const id = `${remote.address}:${remote.port}`;
+        if (request.type === 'subscribe') {
+            const known = this.subscribers.has(id);
+            this.subscribers.set(id, { address: remote.address, port: remote.port, name: request.name || null, lastSeen: Date.now() });
+            if (!known) this.emit('subscribe', { id, name: request.name || null });
+            this.send(remote, this.event('subscribed', { subscriberTimeoutMs: this.options.subscriberTimeoutMs }));
+        } else if (request.type === 'unsubscribe') {
+            if (this.subscribers.delete(id)) this.emit('unsubscribe', { id });
+        }
+    }
+
+    event(type, fields = {}) {
+        const wallTime = fields.t !== undefined ? fields.t : wallNow();
+        const { t, ...rest } = fields;
+        return {
+            schema: SCHEMA,
+            type,
+            seq: ++this.seq,
+            source: this.source,
+            wallTime,
+            monotonic: wallTime - performance.timeOrigin,
+            ...rest
+        };
+    }
+
+    send(target, event) {
+        const data = Buffer.from(JSON.stringify({ ...event, sentAt: wallNow() }));
+        this.socket.send(data, target.port, target.address, (error) => {
+            if (error) this.emit('error', error);
+        });
+    }
+
+    // Sends an event to every live subscriber; `fields.t` (epoch ms) dates it
+    publish(type, fields = {}) {
+        if (!this.socket) return null;
+        const event = this.event(type, fields);
+        const expired = Date.now() - this.options.subscriberTimeoutMs;
+        for (const [id, subscriber] of this.subscribers) {
+            if (subscriber.lastSeen < expired) {
+                this.subscribers.delete(id);
+                this.emit('unsubscribe', { id, expired: true });
+            } else {
+                this.send(subscriber, event);
+            }
+        }
+        return event;
+    }
+
+    // Publishes blink events of a detector and connection events of a device until stop()
+    attach({ device = null, detector = null } = {}) {
+        const listen = (emitter, event, handler) => {
+            emitter.on(event, handler);
+            this.detachers.push(() => emitter.off(event, handler));
+        };
+        if (detector) {
+            for (const event of ['blinkStart', 'blinkEnd', 'drift']) {
+                listen(detector, event, data => this.publish(event, data));
+            }
+        }
+        if (device) {
+            listen(device, 'disconnected', ({ path, error }) => this.publish('disconnected', { path, error: error ? error.message : null }));
+            listen(device, 'reconnected', data => this.publish('reconnected', data));
+            listen(device, 'watchdog', data => this.publish('watchdog', data));
+            listen(device, 'allOff', ({ reason, failures }) => this.publish('allOff', { reason, failures: failures.length }));
+        }
+        return this;
+    }
+
+    stop() {
+        for (const detach of this.detachers) detach();
+        this.detachers = [];
+        if (!this.socket) return Promise.resolve();
+        const socket = this.socket;
+        this.socket = null;
+        this.subscribers.clear();
+        return new Promise(resolve => socket.close(resolve));
+    }
+}
+
+// Subscribes to a publisher and calls onEvent for every event; keeps the
+// subscription alive until close()
+function subscribe({ host = PUBLISHER_DEFAULTS.host, port = PUBLISHER_DEFAULTS.port, name = null, onEvent, renewMs = 10000 } = {}) {
+    const socket = dgram.createSocket('udp4');
+    const request = type => socket.send(JSON.stringify({ type, name }), port, host);
+    socket.on('message', (message) => {
+        try {
+            onEvent(JSON.parse(message.toString()));
+        } catch (error) {
+            // Not an event
+        }
+    });
+    socket.on('error', () => {});
+    request('subscribe');
+    const timer = setInterval(() => request('subscribe'), renewMs);
+    timer.unref();
+    return {
+        socket,
+        close() {
+            clearInterval(timer);
+            return new Promise((resolve) => {
+                socket.send(JSON.stringify({ type: 'unsubscribe' }), port, host, () => socket.close(resolve));
+            });
+        }
+    };
+}
+
+module.exports = EventPublisher;
+module.exports.subscribe = subscribe;
+module.exports.SCHEMA = SCHEMA;
+module.exports.PUBLISHER_DEFAULTS = PUBLISHER_DEFAULTS;
@@ -0,0 +1,426 @@
+const EventEmitter = require('events');
+const path = require('path');
+const { parseArgs } = require('util');
+const { performance } = require('perf_hooks');
+const { DeviceError } = require('./errors');
+const { loadProtocol } = require('./protocol');
+const SessionRecorder = require('./session-recorder');
+const { sessionMeta } = require('./session-recorder');
+
+// An experiment is a JS or JSON module of the form
+//
+//   { name, description,
+//     rateHz,       sample rate of the recording windows (default 20)
+//     abort,        conditions checked on every recorded sample, e.g.
+//                   [{ key: 'value1', above: 3 }, { key: 'value2', below: 0.05, forMs: 500 }]
+//     steps: [
+//       { command: 'ac.on', args: {} }                   protocol command, through invoke()
+//       { wait: 3000 }                                     advance the schedule by ms
+//       { repeat: 10, every: 2000, steps: [...] }          loop; with `every` each iteration
+//                                                          starts on a fixed grid
+//       { record: 'start', window: 'stimulus' }            start streaming and recording samples
+//       { record: 'stop' }
+//       { mark: 'text' }                                   annotation in the step log
+//     ] }
+//
+// Steps run on an absolute schedule measured from the start of the run, so
+// command latency doesn't accumulate into the following waits. The device is
+// switched off (safety allOff) whenever a run ends, failed or not.
+
+const STEP_TYPES = ['command', 'wait', 'repeat', 'record', 'mark'];
+
+function loadExperiment(definition) {
+    if (typeof definition === 'string') {
+        definition = require(path.resolve(definition));
+    }
+    return { rateHz: 20, abort: [], ...definition };
+}
+
+function stepType(step) {
+    return STEP_TYPES.find(type => step[type] !== undefined) || null;
+}
+
+// Scheduled length (ms) of a list of steps
+function stepsDuration(steps) {
+    return steps.reduce((total, step) => {
+        if (step.wait !== undefined) return total + step.wait;
+        if (step.repeat !== undefined) {
+            return total + (step.every !== undefined ? step.repeat * step.every : step.repeat * stepsDuration(step.steps));
+        }
+        return total;
+    }, 0);
+}
+
+// Returns a list of problems (empty when the experiment is valid). Commands are
+// checked against the device protocol.
+function validateExperiment(experiment, protocol = loadProtocol()) {
+    const errors = [];
+    let recording = false;
+
+    if (!Array.isArray(experiment.steps) || experiment.steps.length === 0) {
+        errors.push('experiment has no steps');
+        return errors;
+    }
+    if (!(experiment.rateHz > 0)) {
+        errors.push(`rateHz must be positive, got ${experiment.rateHz}`);
+    }
+    (experiment.abort || []).forEach((condition, i) => {
+        if (typeof condition.key !== 'string') errors.push(`abort ${i + 1}: missing sample key`);
+        if (condition.above === undefined && condition.below === undefined) {
+            errors.push(`abort ${i + 1}: needs "above" or "below"`);
+        }
+    });
+
+    const check = (steps, prefix) => steps.forEach((step, i) => {
+        const at = `step ${prefix}${i + 1}`;
+        const type = stepType(step);
+        switch (type) {
+        case 'command': {
+            const command = protocol.commands[step.command];
+            if (!command) {
+                errors.push(`${at}: unknown command "${step.command}"`);
+                break;
+            }
+            const missing = (command.args || []).filter(arg => (step.args || {})[arg] === undefined);
+            if (missing.length > 0) {
+                errors.push(`${at}: command "${step.command}" requires ${missing.map(arg => `"${arg}"`).join(', ')}`);
+            }
+            break;
+        }
+        case 'wait':
+            if (!(step.wait >= 0)) errors.push(`${at}: wait must be a non-negative number of ms`);
+            break;
+        case 'repeat':
+            if (!Number.isInteger(step.repeat) || step.repeat < 1) {
+                errors.push(`${at}: repeat must be a positive integer`);
+            }
+            if (!Array.isArray(step.steps) || step.steps.length === 0) {
+                errors.push(`${at}: repeat has no steps`);
+                break;
+            }
+            if (step.every !== undefined && stepsDuration(step.steps) > step.every) {
+                errors.push(`${at}: body takes ${stepsDuration(step.steps)}ms, longer than every ${step.every}ms`);
+            }
+            check(step.steps, `${prefix}${i + 1}.`);
+            break;
+        case 'record':
+            if (step.record === 'start') {
+                if (recording) errors.push(`${at}: recording window already open`);
+                recording = true;
+            } else if (step.record === 'stop') {
+                if (!recording) errors.push(`${at}: no recording window to stop`);
+                recording = false;
+            } else {
+                errors.push(`${at}: record must be "start" or "stop"`);
+            }
+            break;
+        case 'mark':
+            break;
+        default:
+            errors.push(`${at}: unknown step ${JSON.stringify(step)}`);
+        }
+    });
+    check(experiment.steps, '');
+    return errors;
+}
+
+// Runs an experiment against a connected DeviceSerialPort. Emits 'step' for
+// every executed step (the same entries end up in the run's `steps` log) and
+// 'abort' { reason } when an abort condition or device event ends the run.
+// options: { dryRun, recorder } where recorder is a SessionRecorder, options for
+// one, or false to record nothing
+class ExperimentRunner extends EventEmitter {
+    constructor(device, experiment, options = {}) {
+        super();
+        this.device = device;
+        this.experiment = loadExperiment(experiment);
+        this.dryRun = Boolean(options.dryRun);
+        this.recorderOption = options.recorder !== undefined ? options.recorder : {};
+        this.recorder = null;
+        this.log = [];
+        this.windows = [];
+        this.controller = null;
+    }
+
+    validate() {
+        const protocol = this.device ? this.device.protocol : loadProtocol();
+        const errors = validateExperiment(this.experiment, protocol);
+        if (errors.length > 0) {
+            throw new DeviceError(`Invalid experiment "${this.experiment.name}":\n  ${errors.join('\n  ')}`, { code: 'EEXPERIMENT' });
+        }
+    }
+
+    elapsed() {
+        return performance.now() - this.start;
+    }
+
+    // Actual offset of a step scheduled at `scheduled`; a dry run keeps to the schedule
+    offsetOf(scheduled) {
+        return this.dryRun ? scheduled : this.elapsed();
+    }
+
+    // Sleeps until `offset` ms after the start of the run, finishing the last
+    // millisecond with immediate timers for accuracy
+    async sleepUntil(offset) {
+        if (this.dryRun) return;
+        const signal = this.controller.signal;
+        let remaining;
+        while ((remaining = offset - this.elapsed()) > 0) {
+            signal.throwIfAborted();
+            await new Promise((resolve) => {
+                const timer = remaining > 2 ? setTimeout(done, remaining - 1) : setImmediate(done);
+                function done() {
+                    signal.removeEventListener('abort', cancel);
+                    resolve();
+                }
+                function cancel() {
+                    clearTimeout(timer);
+                    clearImmediate(timer);
+                    resolve();
+                }
+                signal.addEventListener('abort', cancel, { once: true });
+            });
+        }
+        signal.throwIfAborted();
+    }
+
+    // `offset` is when the step started, for steps that take a while to complete
+    logStep(path, action, scheduled, detail = {}, offset = this.offsetOf(scheduled)) {
+        const entry = {
+            t: this.startTime + offset,
+            offset,
+            scheduled,
+            late: offset - scheduled,
+            step: path,
+            action,
+            ...detail
+        };
+        this.log.push(entry);
+        this.emit('step', entry);
+        this.recorder?.record('event', { event: 'step', ...entry });
+        return entry;
+    }
+
+    // Executes `steps` from schedule offset `due`; returns the offset after them
+    async runSteps(steps, due, prefix) {
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
+            const at = `${prefix}${i + 1}`;
+            switch (stepType(step)) {
+            case 'command': {
+                await this.sleepUntil(due);
+                // Lateness is the scheduling delay, not the device round trip
+                const offset = this.offsetOf(due);
+                if (!this.dryRun) await this.device.invoke(step.command, step.args || {});
+                this.logStep(at, 'command', due, { command: step.command, args: step.args || {} }, offset);
+                break;
+            }
+            case 'wait':
+                due += step.wait;
+                await this.sleepUntil(due);
+                break;
+            case 'repeat':
+                for (let n = 0; n < step.repeat; n++) {
+                    const iterationStart = due;
+                    due = await this.runSteps(step.steps, due, `${at}[${n + 1}].`);
+                    if (step.every !== undefined) due = iterationStart + step.every;
+                }
+                await this.sleepUntil(due);
+                break;
+            case 'record':
+                await this.sleepUntil(due);
+                if (step.record === 'start') this.startWindow(step.window || `window ${this.windows.length + 1}`, due);
+                else this.stopWindow(due);
+                this.logStep(at, 'record', due, { record: step.record, window: this.currentWindow?.name || step.window });
+                break;
+            case 'mark':
+                await this.sleepUntil(due);
+                this.logStep(at, 'mark', due, { mark: step.mark });
+                break;
+            }
+        }
+        return due;
+    }
+
+    get currentWindow() {
+        const last = this.windows[this.windows.length - 1];
+        return last && last.end === null ? last : null;
+    }
+
+    startWindow(name, scheduled) {
+        this.windows.push({ name, start: this.startTime + this.offsetOf(scheduled), end: null, samples: 0 });
+        if (!this.dryRun) this.device.startStream({ rateHz: this.experiment.rateHz });
+    }
+
+    stopWindow(scheduled) {
+        const window = this.currentWindow;
+        if (!window) return;
+        window.end = this.startTime + this.offsetOf(scheduled);
+        if (!this.dryRun) this.device.stopStream();
+    }
+
+    // Aborts the run at the next step boundary or wait
+    abort(reason) {
+        if (!this.controller || this.controller.signal.aborted) return;
+        this.emit('abort', { reason });
+        this.controller.abort(new DeviceError(`Experiment aborted: ${reason}`, { code: 'EABORTED' }));
+    }
+
+    watch() {
+        const held = new Map();
+        const onSample = (sample) => {
+            const window = this.currentWindow;
+            if (window) window.samples++;
+            this.experiment.abort.forEach((condition, i) => {
+                const value = sample[condition.key];
+                const hit = typeof value === 'number' &&
+                    ((condition.above !== undefined && value > condition.above) ||
+                     (condition.below !== undefined && value < condition.below));
+                if (!hit) {
+                    held.delete(i);
+                    return;
+                }
+                if (!held.has(i)) held.set(i, sample.t);
+                if (sample.t - held.get(i) >= (condition.forMs || 0)) {
+                    this.abort(condition.name || `${condition.key} ${condition.above !== undefined ? `above ${condition.above}` : `below ${condition.below}`} (${value})`);
+                }
+            });
+        };
+        const onDisconnected = () => this.abort('device disconnected');
+        const onWatchdog = ({ actuator }) => this.abort(`watchdog switched ${actuator} off`);
+        this.device.on('sample', onSample);
+        this.device.on('disconnected', onDisconnected);
+        this.device.on('watchdog', onWatchdog);
+        return () => {
+            this.device.off('sample', onSample);
+            this.device.off('disconnected', onDisconnected);
+            this.device.off('watchdog', onWatchdog);
+        };
+    }
+
+    async openRecorder() {
+        if (this.dryRun || this.recorderOption === false) return;
+        this.recorder = this.recorderOption instanceof SessionRecorder
+            ? this.recorderOption
+            : new SessionRecorder(this.recorderOption);
+        await this.recorder.open({
+            ...sessionMeta({ device: this.device }),
+            experiment: { name: this.experiment.name, description: this.experiment.description, steps: this.experiment.steps }
+        });
+        this.recorder.attach({ device: this.device });
+    }
+
+    // Resolves with { name, status: 'completed' | 'aborted' | 'failed', startTime,
+    // duration, planned, steps, windows, error, files }
+    async run() {
+        this.validate();
+        this.log = [];
+        this.windows = [];
+        this.controller = new AbortController();
+        this.startTime = Date.now();
+        this.start = performance.now();
+        await this.openRecorder();
+        const unwatch = this.dryRun ? () => {} : this.watch();
+
+        let status = 'completed';
+        let error = null;
+        let end = 0;
+        try {
+            end = await this.runSteps(this.experiment.steps, 0, '');
+        } catch (caught) {
+            error = this.controller.signal.aborted ? this.controller.signal.reason : caught;
+            status = error.code === 'EABORTED' ? 'aborted' : 'failed';
+        } finally {
+            unwatch();
+            this.stopWindow(end);
+            if (!this.dryRun) {
+                // Whatever happened, leave every output off
+                await this.device.allOff(`experiment ${status}`).catch(() => {});
+            }
+        }
+
+        const result = {
+            name: this.experiment.name,
+            status,
+            startTime: new Date(this.startTime).toISOString(),
+            duration: this.dryRun ? end : this.elapsed(),
+            planned: stepsDuration(this.experiment.steps),
+            steps: this.log,
+            windows: this.windows,
+            error: error ? error.message : null,
+            files: this.recorder ? await this.recorder.close({ status, error: error?.message || null }) : []
+        };
+        this.emit('end', result);
+        return result;
+    }
+}
+
+function formatStep(entry) {
+    const what = entry.action === 'command' ? entry.command
+        : entry.action === 'record' ? `record ${entry.record} (${entry.window})`
+        : entry.mark;
+    const late = entry.late >= 0.05 ? ` (+${entry.late.toFixed(1)}ms)` : '';
+    return `[${new Date(entry.t).toISOString()}] ${(entry.offset / 1000).toFixed(3).padStart(8)}s  ${entry.step.padEnd(10)} ${what}${late}`;
+}
+
+// deviceOptions are passed to the DeviceSerialPort (port selection etc.)
+async function main(argv = process.argv.slice(2), deviceOptions = {}) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            'dry-run': { type: 'boolean', default: false },
+            validate: { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false }
+        }
+    });
+    if (positionals.length !== 1) {
+        console.error('Usage: node experiment.js <experiment.json> [--dry-run | --validate] [--json]');
+        return 2;
+    }
+
+    const experiment = loadExperiment(positionals[0]);
+    if (values.validate) {
+        const errors = validateExperiment(experiment);
+        for (const error of errors) console.error(`  ${error}`);
+        console.log(errors.length === 0 ? `${experiment.name}: valid, ${stepsDuration(experiment.steps)}ms planned` : `${experiment.name}: ${errors.length} problem(s)`);
+        return errors.length === 0 ? 0 : 1;
+    }
+
+    // Required here so validation and dry runs don't need the serial stack
+    const DeviceSerialPort = require('./serialport');
+    const device = values['dry-run'] ? null : new DeviceSerialPort(deviceOptions);
+    const runner = new ExperimentRunner(device, experiment, { dryRun: values['dry-run'] });
+    if (!values.json) runner.on('step', entry => console.log(formatStep(entry)));
+    runner.on('abort', ({ reason }) => console.error(`Aborting: ${reason}`));
+    process.on('SIGINT', () => runner.abort('interrupted'));
+
+    try {
+        if (device) await device.initialize();
+        const result = await runner.run();
+        if (values.json) {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            console.log(`${result.name}: ${result.status} after ${(result.duration / 1000).toFixed(3)}s (planned ${(result.planned / 1000).toFixed(3)}s)`);
+            if (result.error) console.error(result.error);
+            for (const file of result.files) console.log(`Session recording: ${file}`);
+        }
+        return result.status === 'completed' ? 0 : 1;
+    } finally {
+        if (device) await device.close();
+    }
+}
+
+if (require.main === module) {
+    main().then(code => process.exit(code), (error) => {
+        console.error('Experiment failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = ExperimentRunner;
+module.exports.loadExperiment = loadExperiment;
+module.exports.validateExperiment = validateExperiment;
+module.exports.stepsDuration = stepsDuration;
+module.exports.formatStep = formatStep;
+module.exports.main = main;
@@ -1,16 +1,45 @@
 const FlickerDetector = require('./flicker-detector');
+const SessionRecorder = require('./session-recorder');
+const EventPublisher = require('./event-publisher');
+const Dashboard = require('./dashboard');
+const { sessionMeta } = require('./session-recorder');
+const { PortLockedError } = require('./errors');
 const fs = require('fs');
 const path = require('path');
 
-async function runFlickerTest(duration = 30000) {
-    const detector1 = new FlickerDetector(); // For sensor 1
-    const detector2 = new FlickerDetector(); // For sensor 2
-    let isRunning = true;
-    
+function formatStats(stats, unit) {
+    if (stats.count === 0) return 'n/a';
+    const f = v => v.toFixed(0);
+    return `min ${f(stats.min)} / median ${f(stats.median)} / max ${f(stats.max)} / stddev ${f(stats.stddev)} ${unit}`;
+}
+
+function formatAnalytics(label, analytics) {
+    const frequency = analytics.dominantFrequency;
+    return [
+        `${label} intervals: ${formatStats(analytics.intervals, 'ms')}`,
+        `${label} durations: ${formatStats(analytics.durations, 'ms')}`,
+        `${label} bursts: ${analytics.bursts.length}`,
+        `${label} dominant frequency: ${frequency ? `${frequency.frequency.toFixed(2)} Hz (strength ${frequency.strength.toFixed(2)})` : 'n/a'}`
+    ].join('\n');
+}
+
+// options: { detector: FlickerDetector options, logsDir (default logs/), rateHz }
+// Resolves with { result, error, logFile, sessionFile }; failures are logged and
+// reported in `error` rather than thrown.
+async function runFlickerTest(duration = 30000, options = {}) {
+    // One detector watches both sensors (value1 and value2) of the same device
+    const detector = new FlickerDetector(options.detector);
+    const channelNames = [...detector.channels.keys()];
+    const logsDir = options.logsDir || path.join(__dirname, 'logs');
+    // Raw samples, events and commands go to logs/sessions for later analysis
+    const recorder = new SessionRecorder({ dir: path.join(logsDir, 'sessions') });
+    // Blink and session events for local subscribers such as the camera recorder
+    let dashboard = null;
+    const publisher = new EventPublisher(process.env.FLICKER_EVENTS_PORT ? { port: Number(process.env.FLICKER_EVENTS_PORT) } : {});
+
     // Setup logging
-    const logsDir = path.join(__dirname, 'logs');
     if (!fs.existsSync(logsDir)) {
-        fs.mkdirSync(logsDir);
+        fs.mkdirSync(logsDir, { recursive: true });
     }
 
     // Create log file with timestamp
@@ -20,7 +49,8 @@ async function runFlickerTest(duration = 30000) {
     // Initialize log file with header
     fs.writeFileSync(logFile, '=== Flicker Event Log ===\n');
     fs.appendFileSync(logFile, `Test started: ${new Date().toISOString()}\n`);
-    fs.appendFileSync(logFile, `Detection threshold: ${detector1.threshold}\n\n`);
+    const thresholds = channelNames.map(name => detector.channel(name).threshold);
+    fs.appendFileSync(logFile, `Detection threshold: ${thresholds.join(', ')}\n\n`);
 
     // Function to log flicker events
     function logFlickerEvent(sensorValue, sensorNumber) {
@@ -31,76 +61,108 @@ async function runFlickerTest(duration = 30000) {
     }
 
     // Handle graceful shutdown
-    process.on('SIGINT', async () => {
+    const onInterrupt = () => {
         console.log('\nTest interrupted by user');
-        isRunning = false;
-    });
+        detector.stop();
+    };
+    process.on('SIGINT', onInterrupt);
 
+    let sessionFile = null;
+    let result = null;
+    let failure = null;
     try {
-        // Initialize device connection (only need to do this once)
-        await detector1.initialize();
+        await detector.initialize();
+        if (detector.calibration) {
+            const calibrated = channelNames.map(name => detector.channel(name).threshold.toFixed(3));
+            fs.appendFileSync(logFile, `Calibration: ${path.relative(__dirname, detector.calibration.file)} ` +
+                `(${detector.calibration.createdAt}), thresholds ${calibrated.join(', ')}\n`);
+        }
         console.log('Starting flicker detection...\n');
-        
-        const startTime = Date.now();
-        
-        // Main detection loop
-        while (isRunning && (Date.now() - startTime) < duration) {
-            try {
-                const reading = await detector1.device.ReadSensor();
-
-                // Check sensor 1
-                if (detector1.detectStateChange(reading.value1)) {
-                    if (detector1.isOn && !detector1.wasOn) {
-                        logFlickerEvent(reading.value1, 1);
-                        detector1.blinkCount++;
-                    }
-                    detector1.wasOn = detector1.isOn;
-                }
-
-                // Check sensor 2
-                if (detector2.detectStateChange(reading.value2)) {
-                    if (detector2.isOn && !detector2.wasOn) {
-                        logFlickerEvent(reading.value2, 2);
-                        detector2.blinkCount++;
-                    }
-                    detector2.wasOn = detector2.isOn;
-                }
-
-                await new Promise(resolve => setTimeout(resolve, 50));
-
-            } catch (error) {
-                console.error(`Sensor read error: ${error.message}`);
-            }
+
+        const device = detector.device;
+        sessionFile = await recorder.open({ ...sessionMeta({ device, detector }), durationMs: duration });
+        recorder.attach({ device, detector });
+        try {
+            const { port } = await publisher.start();
+            publisher.attach({ device, detector });
+            publisher.publish('sessionStart', { sessionFile, durationMs: duration, channels: channelNames });
+            console.log(`Publishing events on udp://127.0.0.1:${port}`);
+        } catch (error) {
+            console.error(`Event publisher not started: ${error.message}`);
+        }
+        if (process.env.FLICKER_DASHBOARD_PORT) {
+            dashboard = new Dashboard({ device, detector, port: Number(process.env.FLICKER_DASHBOARD_PORT) });
+            console.log(`Dashboard: ${await dashboard.start()}`);
         }
+        fs.appendFileSync(logFile, `Session recording: ${path.relative(__dirname, sessionFile)}\n\n`);
+
+        // Log replugs; the stream keeps its schedule and counts the missed samples as dropped
+        device.on('disconnected', ({ error }) => {
+            const reason = error ? error.message : 'port closed';
+            console.error(`Device disconnected, waiting for reconnect... (${reason})`);
+            fs.appendFileSync(logFile, `[${new Date().toISOString()}] Device disconnected: ${reason}\n`);
+        });
+        device.on('reconnected', ({ attempts }) => {
+            console.log(`Device reconnected after ${attempts} attempt(s)`);
+            fs.appendFileSync(logFile, `[${new Date().toISOString()}] Device reconnected\n`);
+        });
+
+        detector.on('drift', ({ channel, baseline, calibrated }) => {
+            fs.appendFileSync(logFile, `[${new Date().toISOString()}] ${channel} baseline drifted: ` +
+                `${baseline.toFixed(3)} (calibrated ${calibrated.toFixed(3)})\n`);
+        });
+
+        detector.on('blinkStart', (event) => {
+            logFlickerEvent(event.value, channelNames.indexOf(event.channel) + 1);
+        });
+
+        await detector.run({ rateHz: options.rateHz || 20, duration });
 
         // Log summary
-        const totalTime = ((Date.now() - startTime) / 1000).toFixed(1);
+        result = detector.summary();
+        const totalTime = result.duration.toFixed(1);
         const summary = [
             `\nTest completed after ${totalTime} seconds`,
-            `Sensor 1 flicker events: ${detector1.blinkCount}`,
-            `Sensor 2 flicker events: ${detector2.blinkCount}`,
-            `Sensor 1 average rate: ${(detector1.blinkCount / totalTime).toFixed(2)} events/sec`,
-            `Sensor 2 average rate: ${(detector2.blinkCount / totalTime).toFixed(2)} events/sec\n`
+            ...channelNames.map((name, i) => `Sensor ${i + 1} flicker events: ${result.channels[name].blinks}`),
+            ...channelNames.map((name, i) => `Sensor ${i + 1} average rate: ${result.channels[name].rate.toFixed(2)} events/sec`),
+            ...channelNames.map((name, i) => formatAnalytics(`Sensor ${i + 1}`, result.channels[name].analytics)),
+            `Samples: ${result.stream.samples} (dropped: ${result.stream.dropped}, late: ${result.stream.late})\n`
         ].join('\n');
-        
+
         console.log(summary);
         fs.appendFileSync(logFile, summary);
+        publisher.publish('sessionEnd', { duration: result.duration, totalBlinks: result.totalBlinks });
+        await recorder.close(result);
 
     } catch (error) {
+        failure = error;
+        if (error instanceof PortLockedError) {
+            console.error('Port is locked by another process; close it and retry.');
+        }
         console.error('Test failed:', error.message);
         fs.appendFileSync(logFile, `\nTest failed: ${error.message}\n`);
+        recorder.record('event', { event: 'failed', error: error.message, code: error.code });
+        await recorder.close();
     } finally {
-        await detector1.cleanup();
+        process.off('SIGINT', onInterrupt);
+        if (dashboard) await dashboard.stop();
+        await publisher.stop();
+        await detector.cleanup();
     }
+    return { result, error: failure, logFile, sessionFile };
 }
 
-// Run test with optional duration from command line
-const testDuration = process.argv[2] ? parseInt(process.argv[2]) * 1000 : 30000;
+if (require.main === module) {
+    // Run test with optional duration from command line
+    const testDuration = process.argv[2] ? parseInt(process.argv[2]) * 1000 : 30000;
+
+    console.log('Starting Flicker Detection Test');
+    console.log('Press Ctrl+C to stop the test early\n');
 
-console.log('Starting Flicker Detection Test');
-console.log('Press Ctrl+C to stop the test early\n');
+    runFlickerTest(testDuration).catch(error => {
+        console.error('Unhandled error:', error);
+        process.exit(1);
+    });
+}
 
-runFlickerTest(testDuration).catch(error => {
-    console.error('Unhandled error:', error);
-    process.exit(1);
-});
\ No newline at end of file
+module.exports = { runFlickerTest, formatStats, formatAnalytics };
\ No newline at end of file
@@ -1,45 +1,212 @@
+const EventEmitter = require('events');
 const DeviceSerialPort = require('./serialport');
+const ChannelDetector = require('./channel-detector');
+const BlinkAnalytics = require('./blink-analytics');
+const { calibrate, loadCalibration, CALIBRATION_DIR } = require('./calibration');
 
-class FlickerDetector {
-    constructor() {
-        this.device = new DeviceSerialPort();
-        this.isOn = false;
-        this.wasOn = false;
-        this.lastValue = null;
-        this.threshold = 0.75;
-        this.blinkCount = 0;
+const DEFAULT_CHANNELS = [
+    { name: 'sensor1', key: 'value1' },
+    { name: 'sensor2', key: 'value2' }
+];
+
+// Monitors any number of sensor channels from a single reading stream.
+// options: {
+//   device,    an existing DeviceSerialPort, options for creating one, or false
+//              for offline use (samples fed through update() or consume())
+//   channels,  [{ name, key, threshold, offThreshold, ... }] (default: value1 and value2)
+//   analytics, options for the BlinkAnalytics that feed summary()
+//   calibration, true (default) to load the device's stored calibration on
+//              initialize(), a directory to load it from, a calibration result
+//              to apply, or false
+//   driftTolerance, baseline shift (as a fraction of the threshold) away from
+//              the calibrated baseline that triggers a drift warning (default 0.5)
+//   ...        detection defaults applied to every channel, see channel-detector.js
+// }
+// Thresholds given explicitly win over calibrated ones.
+// Re-emits 'blinkStart' / 'blinkEnd' from every channel, tagged with the channel
+// name, emits 'sample' for every sample it processes and 'drift'
+// { channel, t, baseline, calibrated, delta } when a channel's baseline leaves
+// the calibrated one.
+class FlickerDetector extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        const {
+            device,
+            channels = DEFAULT_CHANNELS,
+            analytics,
+            calibration = true,
+            driftTolerance = 0.5,
+            ...detection
+        } = options;
+
+        // A device we create is ours to open and close; a shared one is left to its owner
+        this.ownsDevice = device !== false && !(device instanceof DeviceSerialPort);
+        if (device === false) {
+            this.device = null;
+        } else {
+            this.device = this.ownsDevice ? new DeviceSerialPort(device) : device;
+        }
+
+        this.channels = new Map();
+        this.explicitThresholds = new Set();
+        for (const channel of channels) {
+            const detector = new ChannelDetector({ ...detection, ...channel });
+            if (this.channels.has(detector.name)) {
+                throw new Error(`Duplicate channel name "${detector.name}"`);
+            }
+            const settings = { ...detection, ...channel };
+            if (settings.threshold !== undefined || settings.offThreshold !== undefined) {
+                this.explicitThresholds.add(detector.name);
+            }
+            detector.on('blinkStart', event => this.emit('blinkStart', event));
+            detector.on('blinkEnd', event => this.emit('blinkEnd', event));
+            this.channels.set(detector.name, detector);
+        }
+
+        this.startTime = null;
+        this.lastSampleTime = null;
+        this.sampleCount = 0;
+        this.analytics = new BlinkAnalytics(analytics).attach(this);
+
+        this.calibration = null;
+        this.calibrationSource = calibration;
+        this.driftTolerance = driftTolerance;
+        this.drifting = new Set();
+        if (calibration && typeof calibration === 'object') {
+            this.applyCalibration(calibration);
+        }
+    }
+
+    channel(name) {
+        return this.channels.get(name);
     }
 
     async initialize() {
         console.log('Initializing flicker detector...');
-        await this.device.initialize();
+        if (this.ownsDevice || !this.device.isConnected) {
+            await this.device.initialize();
+        }
         console.log('✓ Connected to port:', this.device.portPath);
+
+        const source = this.calibrationSource;
+        if (source === true || typeof source === 'string') {
+            const stored = loadCalibration(this.device.portInfo?.serialNumber, source === true ? CALIBRATION_DIR : source);
+            if (stored) {
+                this.applyCalibration(stored);
+                console.log(`✓ Loaded calibration from ${stored.file} (${stored.createdAt})`);
+            }
+        }
+    }
+
+    // Measures the device's channels (see calibration.js) and applies the result
+    async calibrate(options = {}) {
+        const dir = typeof this.calibrationSource === 'string' ? this.calibrationSource : CALIBRATION_DIR;
+        const channels = [...this.channels.values()].map(({ name, key }) => ({ name, key }));
+        const result = await calibrate(this.device, { channels, dir, ...options });
+        this.applyCalibration(result);
+        return result;
+    }
+
+    applyCalibration(calibration) {
+        for (const [name, detector] of this.channels) {
+            const calibrated = calibration.channels?.[name];
+            if (calibrated && !this.explicitThresholds.has(name)) {
+                detector.threshold = calibrated.threshold;
+                detector.offThreshold = calibrated.offThreshold;
+            }
+        }
+        this.calibration = calibration;
+        this.drifting.clear();
+    }
+
+    // Warns once per excursion when a settled baseline moves too far from the calibrated one
+    checkDrift(detector, t) {
+        const calibrated = this.calibration.channels?.[detector.name];
+        if (!calibrated || detector.isOn || detector.history.length < detector.baselineWindow) return;
+
+        const delta = detector.baseline - calibrated.baseline;
+        if (Math.abs(delta) <= this.driftTolerance * detector.threshold) {
+            this.drifting.delete(detector.name);
+        } else if (!this.drifting.has(detector.name)) {
+            this.drifting.add(detector.name);
+            console.warn(`Warning: ${detector.name} baseline ${detector.baseline.toFixed(3)} has drifted from the ` +
+                `calibrated ${calibrated.baseline.toFixed(3)}; consider recalibrating`);
+            this.emit('drift', { channel: detector.name, t, baseline: detector.baseline, calibrated: calibrated.baseline, delta });
+        }
+    }
+
+    // Feeds one sample ({ t, value1, value2, ... }) to every channel
+    update(sample) {
+        const t = sample.t !== undefined ? sample.t : Date.now();
+        if (this.startTime === null) this.startTime = t;
+        this.lastSampleTime = t;
+        this.sampleCount++;
+
+        this.emit('sample', { ...sample, t });
+        for (const detector of this.channels.values()) {
+            const value = sample[detector.key];
+            if (typeof value === 'number') {
+                detector.update(value, t);
+                if (this.calibration) this.checkDrift(detector, t);
+            }
+        }
+    }
+
+    async consume(samples) {
+        for await (const sample of samples) {
+            this.update(sample);
+        }
     }
 
-    detectStateChange(currentValue) {
-        if (this.lastValue === null) {
-            this.lastValue = currentValue;
-            return false;
+    // Streams from the device until stopped or `duration` ms have passed
+    async run({ rateHz = 20, duration = Infinity } = {}) {
+        const samples = this.device.samples({ rateHz });
+        const timer = Number.isFinite(duration) ? setTimeout(() => this.stop(), duration) : null;
+        try {
+            await this.consume(samples);
+        } finally {
+            clearTimeout(timer);
         }
+    }
 
-        const change = currentValue - this.lastValue;
-        this.lastValue = currentValue;
-        
-        this.isOn = change >= this.threshold;
-        return true;
+    stop() {
+        if (this.device) this.device.stopStream();
     }
 
-    logBlink() {
-        this.blinkCount++;
-        const timestamp = new Date().toISOString();
-        console.log(`[${timestamp}] Blink detected! (Total blinks: ${this.blinkCount})`);
+    summary() {
+        const duration = this.startTime === null ? 0 : (this.lastSampleTime - this.startTime) / 1000;
+        const channels = {};
+        const analytics = this.analytics.summary();
+        let totalBlinks = 0;
+        for (const [name, detector] of this.channels) {
+            totalBlinks += detector.blinkCount;
+            channels[name] = {
+                key: detector.key,
+                threshold: detector.threshold,
+                offThreshold: detector.offThreshold,
+                blinks: detector.blinkCount,
+                rate: duration > 0 ? detector.blinkCount / duration : 0,
+                analytics: analytics[name]
+            };
+        }
+        return {
+            duration,
+            samples: this.sampleCount,
+            totalBlinks,
+            channels,
+            calibration: this.calibration ? { file: this.calibration.file || null, createdAt: this.calibration.createdAt } : null,
+            stream: this.device ? (this.device.streamStats || this.device.lastStreamStats) : null
+        };
     }
 
     async cleanup() {
         console.log('\nCleaning up...');
-        await this.device.close();
-        console.log('✓ Device closed successfully');
+        if (this.ownsDevice) {
+            await this.device.close();
+            console.log('✓ Device closed successfully');
+        }
     }
 }
 
-module.exports = FlickerDetector;
\ No newline at end of file
+module.exports = FlickerDetector;
+module.exports.DEFAULT_CHANNELS = DEFAULT_CHANNELS;
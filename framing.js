@@ -0,0 +1,152 @@
+const { ReadlineParser } = require('@serialport/parser-readline');
+const { RegexParser } = require('@serialport/parser-regex');
+const { DelimiterParser } = require('@serialport/parser-delimiter');
+const { InterByteTimeoutParser } = require('@serialport/parser-inter-byte-timeout');
+const { DeviceError } = require('./errors');
+
+// How the byte stream from the firmware is cut into lines and how a line is
+// turned into a sensor frame. Protocol definitions (see protocol.js) choose:
+//
+//   framing: {
+//       parser,     'readline' (default), 'regex', 'delimiter' or 'interByteTimeout'
+//       ...         the parser's own options: delimiter ('\n'), regex, interval (ms)
+//       checksum    optional per-line checksum: 'xor8', 'sum8', 'crc8', or
+//                   { algorithm, separator ('*'), required (false) }. A line
+//                   "1.25,0.50*1F" carries the checksum of "1.25,0.50" in hex.
+//   }
+//   frame: {
+//       channels,   names of the values, in wire order for csv frames
+//       format      'csv' ("1.25, -0.5, 3e-2"), 'keyValue' ("value1=1.25 value2=-0.5")
+//                   or 'auto' (keyValue when the line contains "=")
+//   }
+
+const FRAMING_DEFAULTS = { parser: 'readline', delimiter: '\n' };
+
+const FRAME_DEFAULTS = { channels: ['value1', 'value2'], format: 'auto' };
+
+const lineParsers = {
+    readline: ({ delimiter = '\n', encoding = 'utf8' }) => new ReadlineParser({ delimiter, encoding }),
+    regex: ({ regex = /\r?\n/, encoding = 'utf8' }) => new RegexParser({ regex, encoding }),
+    delimiter: ({ delimiter = '\n' }) => new DelimiterParser({ delimiter }),
+    interByteTimeout: ({ interval = 30 }) => new InterByteTimeoutParser({ interval })
+};
+
+const checksums = {
+    xor8: bytes => bytes.reduce((sum, byte) => sum ^ byte, 0),
+    sum8: bytes => bytes.reduce((sum, byte) => (sum + byte) & 0xff, 0),
+    // CRC-8, polynomial 0x07
+    crc8: bytes => bytes.reduce((crc, byte) => {
+        crc ^= byte;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+        }
+        return crc;
+    }, 0)
+};
+
+const NUMBER = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?$/i;
+
+function compileFraming(definition = {}) {
+    const framing = { ...FRAMING_DEFAULTS, ...definition };
+    if (!lineParsers[framing.parser]) {
+        throw new DeviceError(`Unknown line parser "${framing.parser}"`, { code: 'EPROTOCOL' });
+    }
+    if (typeof framing.regex === 'string') {
+        framing.regex = new RegExp(framing.regex);
+    }
+    if (framing.checksum) {
+        const checksum = typeof framing.checksum === 'string' ? { algorithm: framing.checksum } : framing.checksum;
+        framing.checksum = { separator: '*', required: false, ...checksum };
+        if (!checksums[framing.checksum.algorithm]) {
+            throw new DeviceError(`Unknown checksum "${framing.checksum.algorithm}"`, { code: 'EPROTOCOL' });
+        }
+    } else {
+        framing.checksum = null;
+    }
+    return framing;
+}
+
+function compileFrame(definition = {}) {
+    const frame = { ...FRAME_DEFAULTS, ...definition };
+    if (!['csv', 'keyValue', 'auto'].includes(frame.format)) {
+        throw new DeviceError(`Unknown frame format "${frame.format}"`, { code: 'EPROTOCOL' });
+    }
+    if (!Array.isArray(frame.channels) || frame.channels.length === 0) {
+        throw new DeviceError('A frame needs at least one channel name', { code: 'EPROTOCOL' });
+    }
+    return frame;
+}
+
+// A Transform stream that emits one line (or packet) at a time
+function createLineParser(framing = FRAMING_DEFAULTS) {
+    const { parser, ...options } = framing;
+    return lineParsers[parser](options);
+}
+
+function checksumOf(text, algorithm) {
+    return checksums[algorithm]([...Buffer.from(text)]);
+}
+
+// Appends the checksum to a line, e.g. for the simulator or outgoing commands
+function appendChecksum(text, checksum) {
+    const hex = checksumOf(text, checksum.algorithm).toString(16).toUpperCase().padStart(2, '0');
+    return `${text}${checksum.separator}${hex}`;
+}
+
+// Splits "payload*XX" and checks it. Resolves to { ok, payload, error }.
+function verifyChecksum(line, checksum) {
+    const at = line.lastIndexOf(checksum.separator);
+    if (at < 0) {
+        return checksum.required
+            ? { ok: false, payload: line, error: 'checksum missing' }
+            : { ok: true, payload: line, error: null };
+    }
+    const payload = line.slice(0, at);
+    const received = parseInt(line.slice(at + checksum.separator.length), 16);
+    const expected = checksumOf(payload, checksum.algorithm);
+    if (received !== expected) {
+        const hex = value => (Number.isNaN(value) ? 'none' : value.toString(16).toUpperCase().padStart(2, '0'));
+        return { ok: false, payload, error: `checksum mismatch (got ${hex(received)}, expected ${hex(expected)})` };
+    }
+    return { ok: true, payload, error: null };
+}
+
+// Parses a sensor frame into { <channel>: number, ... }, or null if the line
+// isn't one. csv frames must have exactly one value per channel; keyValue
+// frames must name every channel and may carry extra numeric fields.
+function parseFrame(line, frame = FRAME_DEFAULTS) {
+    const text = line.trim();
+    if (!text) return null;
+    const keyValue = frame.format === 'keyValue' || (frame.format === 'auto' && /[=:]/.test(text));
+    const fields = text.split(/[,;\s]+/).filter(Boolean);
+    const values = {};
+
+    if (keyValue) {
+        for (const field of fields) {
+            const match = field.match(/^([A-Za-z_][\w.-]*)[=:](.+)$/);
+            if (!match || !NUMBER.test(match[2])) return null;
+            values[match[1]] = parseFloat(match[2]);
+        }
+        return frame.channels.every(channel => values[channel] !== undefined) ? values : null;
+    }
+
+    if (fields.length !== frame.channels.length || !fields.every(field => NUMBER.test(field))) {
+        return null;
+    }
+    frame.channels.forEach((channel, i) => {
+        values[channel] = parseFloat(fields[i]);
+    });
+    return values;
+}
+
+module.exports = {
+    compileFraming,
+    compileFrame,
+    createLineParser,
+    parseFrame,
+    verifyChecksum,
+    appendChecksum,
+    checksums,
+    FRAMING_DEFAULTS,
+    FRAME_DEFAULTS
+};
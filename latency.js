@@ -0,0 +1,198 @@
+const { parseArgs } = require('util');
+const { describe } = require('./blink-analytics');
+const { DeviceError } = require('./errors');
+const DeviceSerialPort = require('./serialport');
+const { now } = require('./clock');
+
+const LATENCY_DEFAULTS = {
+    actuator: 'ac',
+    key: 'value1',          // sample field that responds to the actuator
+    repetitions: 20,
+    threshold: null,        // change that counts as a transition (default: half the measured step)
+    settleMs: 500,          // pause before every switch, and for the step measurement
+    timeout: 2000,          // give up on a transition after this long
+    readTimeout: 1000
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// One sensor read with the time it was requested and the time the reply arrived
+async function timedRead(device, timeout) {
+    const sent = now();
+    const sample = await device.readSample(timeout);
+    return { sent, received: sample.t, sample };
+}
+
+async function level(device, key, count, timeout) {
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        values.push((await timedRead(device, timeout)).sample[key]);
+    }
+    return describe(values).median;
+}
+
+// Switches the actuator and reads back to back until the channel moves by
+// `threshold` from `from`. Times are epoch ms:
+//   issued    invoke() called
+//   written   write callback (bytes handed to the OS)
+//   drained   OS reports the bytes transmitted
+//   detection the read that first saw the change ({ sent, received })
+//   previous  the read before it
+async function trial(device, command, { key, from, threshold, timeout, readTimeout }) {
+    const onWrite = (write) => {
+        if (write.drained !== null) timing = write;
+    };
+    let timing = null;
+    device.on('write', onWrite);
+    const issued = now();
+    try {
+        await device.invoke(command, {}, { drain: true });
+    } finally {
+        device.off('write', onWrite);
+    }
+
+    let previous = { sent: timing.drained, received: timing.drained };
+    while (now() - issued < timeout) {
+        const read = await timedRead(device, readTimeout);
+        if (Math.abs(read.sample[key] - from) >= threshold) {
+            return { issued, written: timing.written, drained: timing.drained, detection: read, previous };
+        }
+        previous = read;
+    }
+    return null;
+}
+
+// Splits a trial into its stages (ms). The firmware samples somewhere inside
+// a read's round trip; the midpoint is taken as the sampling instant, so the
+// physical response is known to within `resolution` (the spacing of the two
+// sampling instants around the transition).
+function stages({ issued, drained, detection, previous }) {
+    const sampled = (detection.sent + detection.received) / 2;
+    const previousSampled = (previous.sent + previous.received) / 2;
+    return {
+        writeToDrain: drained - issued,
+        roundTrip: detection.received - detection.sent,
+        response: Math.max(0, sampled - drained),
+        resolution: sampled - previousSampled,
+        total: detection.received - issued
+    };
+}
+
+// Repeatedly toggles an actuator and times how long until the chosen sample
+// field sees the change, in both directions. Resolves with per-trial stages
+// and their distributions ({ count, min, max, mean, median, stddev }).
+async function measureLatency(device, options = {}) {
+    const settings = { ...LATENCY_DEFAULTS, ...options };
+    const { actuator: name, key, settleMs, readTimeout } = settings;
+    const actuator = device.protocol.actuators[name];
+    if (!actuator) {
+        throw new DeviceError(`Protocol has no actuator "${name}"`, { code: 'EUNKNOWNCOMMAND' });
+    }
+    if (device.stream) {
+        throw new DeviceError('Stop the sample stream before measuring latency', { code: 'ESTREAMING' });
+    }
+
+    const trials = [];
+    try {
+        await device.invoke(actuator.off);
+        await sleep(settleMs);
+        const low = await level(device, key, 5, readTimeout);
+        await device.invoke(actuator.on);
+        await sleep(settleMs);
+        const high = await level(device, key, 5, readTimeout);
+        await device.invoke(actuator.off);
+        const step = high - low;
+        const threshold = settings.threshold !== null ? settings.threshold : Math.abs(step) / 2;
+        if (!(threshold > 0) || Math.abs(step) < threshold) {
+            throw new DeviceError(`${key} doesn't respond to ${name} (step ${step.toFixed(3)})`, { code: 'ENORESPONSE' });
+        }
+
+        for (let i = 0; i < settings.repetitions; i++) {
+            for (const [direction, command, from] of [['on', actuator.on, low], ['off', actuator.off, high]]) {
+                await sleep(settleMs);
+                const result = await trial(device, command, { ...settings, from, threshold });
+                trials.push(result
+                    ? { direction, repetition: i + 1, ...stages(result) }
+                    : { direction, repetition: i + 1, timedOut: true });
+            }
+        }
+        return { actuator: name, key, low, high, threshold, trials, ...summarize(trials) };
+    } finally {
+        if (device.state[name]) {
+            await device.invoke(actuator.off);
+        }
+    }
+}
+
+function summarize(trials) {
+    const summary = { timedOut: trials.filter(t => t.timedOut).length };
+    for (const direction of ['on', 'off', 'all']) {
+        const selected = trials.filter(t => !t.timedOut && (direction === 'all' || t.direction === direction));
+        summary[direction] = {};
+        for (const stage of ['writeToDrain', 'roundTrip', 'response', 'resolution', 'total']) {
+            summary[direction][stage] = describe(selected.map(t => t[stage]));
+        }
+    }
+    return summary;
+}
+
+function formatLatency(result) {
+    const f = v => (v === null ? 'n/a' : v.toFixed(2));
+    const lines = [
+        `${result.actuator} -> ${result.key}: ${result.trials.length} trials, threshold ${result.threshold.toFixed(3)}` +
+            (result.timedOut > 0 ? `, ${result.timedOut} timed out` : ''),
+        `${''.padEnd(18)}${['min', 'median', 'mean', 'max', 'stddev'].map(h => h.padStart(9)).join('')}  (ms)`
+    ];
+    for (const direction of ['on', 'off']) {
+        for (const [stage, label] of [['writeToDrain', 'write to drain'], ['roundTrip', 'round trip'], ['response', 'response'], ['total', 'total']]) {
+            const stats = result[direction][stage];
+            lines.push(`${`${direction} ${label}`.padEnd(18)}${[stats.min, stats.median, stats.mean, stats.max, stats.stddev].map(v => f(v).padStart(9)).join('')}`);
+        }
+    }
+    lines.push(`response resolution: median ${f(result.all.resolution.median)} ms`);
+    return lines.join('\n');
+}
+
+// deviceOptions are passed to the DeviceSerialPort (port selection etc.)
+async function main(argv = process.argv.slice(2), deviceOptions = {}) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            actuator: { type: 'string', default: LATENCY_DEFAULTS.actuator },
+            key: { type: 'string', default: LATENCY_DEFAULTS.key },
+            repetitions: { type: 'string', default: String(LATENCY_DEFAULTS.repetitions) },
+            threshold: { type: 'string' },
+            settle: { type: 'string', default: String(LATENCY_DEFAULTS.settleMs) },
+            json: { type: 'boolean', default: false }
+        }
+    });
+    const device = new DeviceSerialPort({ debug: false, ...deviceOptions });
+    try {
+        await device.initialize();
+        const result = await measureLatency(device, {
+            actuator: values.actuator,
+            key: values.key,
+            repetitions: Number(values.repetitions),
+            threshold: values.threshold !== undefined ? Number(values.threshold) : null,
+            settleMs: Number(values.settle)
+        });
+        console.log(values.json ? JSON.stringify(result, null, 2) : formatLatency(result));
+    } finally {
+        await device.close();
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    main().then(code => process.exit(code), (error) => {
+        console.error('Latency measurement failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    measureLatency,
+    stages,
+    formatLatency,
+    main
+};
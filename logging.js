@@ -0,0 +1,63 @@
+const createDebug = require('debug');
+
+// Diagnostic output goes through the `debug` package, one namespace per area:
+//
+//   serial-device:port      opening, closing, reconnects, line settings
+//   serial-device:raw       every byte chunk sent and received
+//   serial-device:queue     commands queued, dispatched, timed out
+//   serial-device:protocol  lines and packets as they are interpreted
+//   serial-device:stream    sample streams
+//   serial-device:safety    watchdog and all-off
+//   serial-device:control   closed-loop controller
+//   serial-device:diagnostics
+//   serial-device:capture   capture file problems
+//
+// Nothing is printed unless enabled, either up front with DEBUG=serial-device:*
+// (or e.g. DEBUG=serial-device:*,-serial-device:raw), or at runtime with
+// setDebug(), which `devicectl --debug` and SIGUSR2 use.
+
+const NAMESPACE = 'serial-device';
+
+function logger(area) {
+    return createDebug(`${NAMESPACE}:${area}`);
+}
+
+// true turns every namespace on, false off; a string is a DEBUG-style list
+// added to what is enabled already, e.g. 'serial-device:raw'
+function setDebug(spec) {
+    const current = createDebug.disable().split(',').filter(Boolean);
+    const others = current.filter(ns => !ns.replace(/^-/, '').startsWith(`${NAMESPACE}:`));
+    if (spec === false) {
+        createDebug.enable(others.join(','));
+    } else if (spec === true) {
+        createDebug.enable([...others, `${NAMESPACE}:*`].join(','));
+    } else {
+        createDebug.enable([...current, spec].join(','));
+    }
+}
+
+function debugEnabled() {
+    return createDebug.enabled(`${NAMESPACE}:port`);
+}
+
+// Flips all namespaces on or off, e.g. from a signal handler on a long run
+function toggleDebug() {
+    setDebug(!debugEnabled());
+    return debugEnabled();
+}
+
+// Bytes as readable text: printable ASCII as is, \r \n \t escaped, the rest as \xNN
+function escapeBytes(bytes) {
+    let text = '';
+    for (const byte of bytes) {
+        if (byte === 0x0d) text += '\\r';
+        else if (byte === 0x0a) text += '\\n';
+        else if (byte === 0x09) text += '\\t';
+        else if (byte === 0x5c) text += '\\\\';
+        else if (byte >= 0x20 && byte < 0x7f) text += String.fromCharCode(byte);
+        else text += `\\x${byte.toString(16).padStart(2, '0')}`;
+    }
+    return text;
+}
+
+module.exports = { NAMESPACE, logger, setDebug, toggleDebug, debugEnabled, escapeBytes };
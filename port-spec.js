@@ -0,0 +1,111 @@
+const fs = require('fs');
+const { PortNotFoundError, AmbiguousPortError } = require('./errors');
+
+// Fields of SerialPort.list() entries that a port spec may match on
+const MATCH_FIELDS = ['path', 'vendorId', 'productId', 'serialNumber', 'manufacturer'];
+
+function loadPortConfig(file) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read port config ${file}: ${error.message}`);
+    }
+    // Accept either { "port": { ... }, "baudRate": ..., "rtscts": ... } or a bare spec
+    return config.port !== undefined ? config : { port: config };
+}
+
+// Parses the SERIAL_PORT value: a JSON object, "key=value,key=value" pairs or a plain path
+function parsePortString(value) {
+    const text = value.trim();
+    if (text.startsWith('{')) {
+        return JSON.parse(text);
+    }
+    if (text.includes('=')) {
+        const spec = {};
+        for (const pair of text.split(',')) {
+            const [key, ...rest] = pair.split('=');
+            spec[key.trim()] = rest.join('=').trim();
+        }
+        return spec;
+    }
+    return { path: text };
+}
+
+function normalizeSpec(spec) {
+    if (spec === null || spec === undefined) return null;
+    if (typeof spec === 'string') return parsePortString(spec);
+    if (spec.config) {
+        const { port } = loadPortConfig(spec.config);
+        return normalizeSpec(port);
+    }
+
+    const normalized = {};
+    for (const field of MATCH_FIELDS) {
+        if (spec[field] !== undefined && spec[field] !== null && spec[field] !== '') {
+            normalized[field] = String(spec[field]);
+        }
+    }
+    return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+// Explicit spec wins, then SERIAL_PORT, then the config file named by SERIAL_PORT_CONFIG
+function resolvePortSpec(spec, env = process.env) {
+    if (spec !== undefined && spec !== null) {
+        return normalizeSpec(spec);
+    }
+    if (env.SERIAL_PORT) {
+        return normalizeSpec(env.SERIAL_PORT);
+    }
+    if (env.SERIAL_PORT_CONFIG) {
+        return normalizeSpec({ config: env.SERIAL_PORT_CONFIG });
+    }
+    return null;
+}
+
+function fieldMatches(field, wanted, actual) {
+    if (actual === undefined || actual === null) return false;
+    const a = String(actual).toLowerCase();
+    const w = wanted.toLowerCase();
+    // Manufacturer strings vary between OSes, so only require a substring there
+    if (field === 'manufacturer') return a.includes(w);
+    // USB ids are reported with or without a 0x prefix depending on the platform
+    if (field === 'vendorId' || field === 'productId') {
+        return a.replace(/^0x/, '') === w.replace(/^0x/, '');
+    }
+    return a === w;
+}
+
+function matchPorts(ports, spec) {
+    return ports.filter(port =>
+        Object.entries(spec).every(([field, wanted]) => fieldMatches(field, wanted, port[field]))
+    );
+}
+
+async function findPort(spec, listPorts) {
+    const ports = await listPorts();
+    const matches = matchPorts(ports, spec);
+
+    if (matches.length === 0) {
+        throw new PortNotFoundError(spec);
+    }
+    if (matches.length > 1) {
+        throw new AmbiguousPortError(spec, matches);
+    }
+    return matches[0];
+}
+
+function describePort(port) {
+    const details = ['manufacturer', 'serialNumber', 'vendorId', 'productId']
+        .filter(field => port[field])
+        .map(field => `${field}=${port[field]}`);
+    return details.length > 0 ? `${port.path} (${details.join(', ')})` : port.path;
+}
+
+module.exports = {
+    loadPortConfig,
+    resolvePortSpec,
+    matchPorts,
+    findPort,
+    describePort
+};
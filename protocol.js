@@ -0,0 +1,202 @@
+const path = require('path');
+const { DeviceError } = require('./errors');
+const { compileFraming, compileFrame, parseFrame } = require('./framing');
+const { VERSION, MESSAGES, decodeSample, decodeHello } = require('./binary-protocol');
+
+// A protocol definition is a JS or JSON module of the form
+//
+//   { name, version, framing, frame, errors, ack, commands: { '<name>': {
+//       bytes,        wire text; "{arg}" placeholders are filled from the invoke() args
+//       args,         optional list of required argument names
+//       reply,        optional RegExp (or regex source string) the reply line must match,
+//                     'frame' for a sensor frame or 'ack' for the protocol's ack line
+//       parse,        optional (line, match) => value, or the name of a built-in parser
+//       timeout,      reply timeout in ms (default 1000)
+//       effect,       actuator state after the command, e.g. { magnet: true }
+//       description
+//   } } }
+//
+// Commands without `reply` resolve as soon as they are written. Every actuator
+// named in an `effect` needs a command that switches it off (effect value false).
+//
+// `framing` and `frame` describe the line format and sensor frames, see
+// framing.js. `errors` is a pattern for firmware error lines (named groups
+// `code` and `message` are picked up); such a line fails the command waiting
+// for a reply with a FirmwareError. `ack` is the pattern of an OK line.
+//
+// `binary` (optional) is the firmware's framed binary mode, see binary-protocol.js:
+//
+//   binary: {
+//       version,    protocol version the host speaks (default 1)
+//       enter,      text command that switches the firmware over (default 'B')
+//       timeout,    ms to wait for the firmware's HELLO after `enter` (default 500)
+//       stream,     whether the firmware can stream samples itself (default true)
+//       commands: { '<name>': {
+//           id,       request message id (0x00..0x7f)
+//           payload,  request payload bytes, e.g. [0, 1]
+//           reply     'ack' (default), 'sample' or 'hello'
+//       } }
+//   }
+//
+// Every binary command stands in for the text command of the same name, which
+// still supplies its timeout and effect.
+
+const parsers = {
+    line: (line) => line,
+    number: (line) => parseFloat(line),
+    sensorPair: (line, match) => ({
+        value1: parseFloat(match[1]),
+        value2: parseFloat(match[2])
+    }),
+    // With reply 'frame' the match already is the parsed frame
+    frame: (line, values) => values
+};
+
+function toRegExp(pattern) {
+    return typeof pattern === 'string' ? new RegExp(pattern) : (pattern || null);
+}
+
+function compileReply(name, reply, context) {
+    if (reply === 'frame') {
+        return line => parseFrame(line, context.frame);
+    }
+    if (reply === 'ack') {
+        if (!context.ack) {
+            throw new DeviceError(`Protocol command "${name}" waits for an ack but the protocol defines none`, { code: 'EPROTOCOL' });
+        }
+        return context.ack;
+    }
+    return toRegExp(reply);
+}
+
+function compileCommand(name, definition, context = {}) {
+    if (typeof definition.bytes !== 'string' || definition.bytes.length === 0) {
+        throw new DeviceError(`Protocol command "${name}" has no bytes`, { code: 'EPROTOCOL' });
+    }
+
+    let parse = definition.parse || parsers.line;
+    if (typeof parse === 'string') {
+        parse = parsers[parse];
+        if (!parse) {
+            throw new DeviceError(`Protocol command "${name}" uses unknown parser "${definition.parse}"`, { code: 'EPROTOCOL' });
+        }
+    }
+
+    const placeholders = [...definition.bytes.matchAll(/\{(\w+)\}/g)].map(m => m[1]);
+    return {
+        name,
+        bytes: definition.bytes,
+        args: definition.args || placeholders,
+        reply: compileReply(name, definition.reply, context),
+        parse,
+        timeout: definition.timeout !== undefined ? definition.timeout : 1000,
+        effect: definition.effect || null,
+        description: definition.description || ''
+    };
+}
+
+// A SAMPLE payload as { deviceTime, <channel>: value, ... }, channels named by the frame
+function sampleValues(payload, frame) {
+    const { deviceTime, values } = decodeSample(payload);
+    const sample = { deviceTime };
+    frame.channels.forEach((channel, i) => {
+        if (i < values.length) sample[channel] = values[i];
+    });
+    return sample;
+}
+
+function compileBinary(definition, commands, context) {
+    if (!definition) return null;
+    const replies = {
+        ack: { id: MESSAGES.ACK, parse: () => undefined },
+        sample: { id: MESSAGES.SAMPLE, parse: packet => sampleValues(packet.payload, context.frame) },
+        hello: { id: MESSAGES.HELLO, parse: packet => decodeHello(packet.payload) }
+    };
+    const binaryCommands = {};
+    for (const [name, command] of Object.entries(definition.commands || {})) {
+        if (!commands[name]) {
+            throw new DeviceError(`Binary command "${name}" has no text command of the same name`, { code: 'EPROTOCOL' });
+        }
+        if (!Number.isInteger(command.id) || command.id < 0 || command.id > 0x7f) {
+            throw new DeviceError(`Binary command "${name}" needs an id between 0x00 and 0x7f`, { code: 'EPROTOCOL' });
+        }
+        const reply = replies[command.reply || 'ack'];
+        if (!reply) {
+            throw new DeviceError(`Binary command "${name}" has unknown reply "${command.reply}"`, { code: 'EPROTOCOL' });
+        }
+        binaryCommands[name] = {
+            name,
+            id: command.id,
+            payload: Buffer.from(command.payload || []),
+            reply: reply.id,
+            parse: reply.parse
+        };
+    }
+    return {
+        version: definition.version || VERSION,
+        enter: definition.enter || 'B',
+        timeout: definition.timeout !== undefined ? definition.timeout : 500,
+        stream: definition.stream !== false,
+        commands: binaryCommands,
+        parseSample: payload => sampleValues(payload, context.frame)
+    };
+}
+
+// Accepts a definition object or a path to a JS/JSON module exporting one
+function loadProtocol(definition = require('./protocols/sensor-board')) {
+    if (typeof definition === 'string') {
+        definition = require(path.resolve(definition));
+    }
+    const context = {
+        framing: compileFraming(definition.framing),
+        frame: compileFrame(definition.frame),
+        errors: toRegExp(definition.errors),
+        ack: toRegExp(definition.ack)
+    };
+    const commands = {};
+    // actuator name -> { on, off } command names, derived from the effects
+    const actuators = {};
+    for (const [name, command] of Object.entries(definition.commands || {})) {
+        commands[name] = compileCommand(name, command, context);
+        for (const [actuator, value] of Object.entries(commands[name].effect || {})) {
+            actuators[actuator] = actuators[actuator] || {};
+            actuators[actuator][value ? 'on' : 'off'] = name;
+        }
+    }
+    for (const [actuator, { off }] of Object.entries(actuators)) {
+        if (!off) {
+            throw new DeviceError(`Protocol has no command that switches "${actuator}" off`, { code: 'EPROTOCOL' });
+        }
+    }
+    return {
+        name: definition.name || 'custom',
+        version: definition.version || 1,
+        ...context,
+        commands,
+        actuators,
+        binary: compileBinary(definition.binary, commands, context)
+    };
+}
+
+// Matches a reply line against a command's `reply` (RegExp or line predicate)
+function matchReply(command, line) {
+    if (!command.reply) return null;
+    return typeof command.reply === 'function' ? command.reply(line) : line.match(command.reply);
+}
+
+// Builds the wire line for a command, filling "{arg}" placeholders
+function formatCommand(command, args = {}) {
+    for (const arg of command.args) {
+        if (args[arg] === undefined) {
+            throw new DeviceError(`Command "${command.name}" requires argument "${arg}"`, { code: 'EARGS' });
+        }
+    }
+    return command.bytes.replace(/\{(\w+)\}/g, (_, arg) => String(args[arg]));
+}
+
+module.exports = {
+    loadProtocol,
+    formatCommand,
+    matchReply,
+    parsers
+};
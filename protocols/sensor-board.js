@@ -0,0 +1,36 @@
+// Command set of the sensor board firmware (single-letter ASCII commands, one per line).
+// See protocol.js for the meaning of each field.
+module.exports = {
+    name: 'sensor-board',
+    version: 1,
+    framing: { parser: 'readline', delimiter: '\n' },
+    frame: { channels: ['value1', 'value2'], format: 'csv' },
+    errors: '^ERR(?:OR)?\\b[\\s:]*(?<code>\\d+)?[\\s:]*(?<message>.*)$',
+    ack: '^OK\\b',
+    commands: {
+        'sensor.read': {
+            bytes: 's',
+            reply: 'frame',
+            parse: 'frame',
+            timeout: 5000,
+            description: 'Read all sensor channels'
+        },
+        'magnet.on': { bytes: 'b', effect: { magnet: true }, description: 'Energize the electromagnet' },
+        'magnet.off': { bytes: 'm', effect: { magnet: false }, description: 'De-energize the electromagnet' },
+        'ac.on': { bytes: 'c', effect: { ac: true }, description: 'Switch the AC output on' },
+        'ac.off': { bytes: 'd', effect: { ac: false }, description: 'Switch the AC output off' }
+    },
+    // Firmware 2.x also speaks the framed binary protocol (binary-protocol.js)
+    // after a "B"; SET addresses output 0 (magnet) and 1 (AC)
+    binary: {
+        version: 1,
+        enter: 'B',
+        commands: {
+            'sensor.read': { id: 0x02, reply: 'sample' },
+            'magnet.on': { id: 0x03, payload: [0, 1] },
+            'magnet.off': { id: 0x03, payload: [0, 0] },
+            'ac.on': { id: 0x03, payload: [1, 1] },
+            'ac.off': { id: 0x03, payload: [1, 0] }
+        }
+    }
+};
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const FlickerDetector = require('./flicker-detector');
+const { readSession } = require('./session-recorder');
+
+// Files a rotated session was split into, in order: name.jsonl, name.1.jsonl, ...
+function sessionParts(file) {
+    const dir = path.dirname(file);
+    const match = path.basename(file).match(/^(.*?)(?:\.(\d+))?\.(jsonl|csv)$/);
+    if (!match) return [file];
+    const [, base, , ext] = match;
+    const parts = fs.readdirSync(dir)
+        .map(name => name.match(new RegExp(`^${base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:\\.(\\d+))?\\.${ext}$`)))
+        .filter(Boolean)
+        .map(m => ({ file: path.join(dir, m[0]), part: Number(m[1] || 0) }))
+        .sort((a, b) => a.part - b.part);
+    return parts.length > 0 ? parts.map(p => p.file) : [file];
+}
+
+// Loads a recorded session (all rotated parts) into memory
+async function loadRecording(file) {
+    const recording = { file, meta: null, samples: [], events: [], labels: [], summary: null };
+    for (const part of sessionParts(file)) {
+        for await (const record of readSession(part)) {
+            switch (record.type) {
+            case 'meta':
+                if (!recording.meta) recording.meta = record;
+                break;
+            case 'sample':
+                recording.samples.push(record);
+                break;
+            case 'event':
+                recording.events.push(record);
+                break;
+            case 'label':
+                recording.labels.push({ channel: record.channel, t: record.t });
+                break;
+            case 'end':
+                recording.summary = record.summary;
+                break;
+            }
+        }
+    }
+    if (recording.samples.length === 0) {
+        throw new Error(`No samples in recording ${file}`);
+    }
+    return recording;
+}
+
+// Ground-truth blinks: [{ channel, t }] or { channel: [t, ...] }, with t in epoch ms
+// or `offset` in ms from the first sample of the recording
+function loadLabels(file, recording) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const t0 = recording.samples[0].t;
+    const list = Array.isArray(data)
+        ? data
+        : Object.entries(data).flatMap(([channel, times]) => times.map(t => ({ channel, t })));
+    return list.map(label => ({
+        channel: label.channel,
+        t: label.t !== undefined ? label.t : t0 + label.offset
+    }));
+}
+
+// Detector options for a replay: the recorded channel settings, with overrides
+function channelsFor(recording, overrides = {}) {
+    const recorded = recording.meta?.channels || [
+        { name: 'sensor1', key: 'value1' },
+        { name: 'sensor2', key: 'value2' }
+    ];
+    return recorded.map(channel => ({ ...channel, ...overrides }));
+}
+
+// Feeds a recording through a fresh FlickerDetector. With realtime, samples are
+// delivered with their original spacing (divided by `speed`); otherwise as fast
+// as possible. Resolves with the detector events and summary.
+async function replay(recording, { overrides = {}, channels = null, realtime = false, speed = 1, detector = null } = {}) {
+    if (typeof recording === 'string') {
+        recording = await loadRecording(recording);
+    }
+    const flicker = detector || new FlickerDetector({
+        device: false,
+        channels: channels || channelsFor(recording, overrides)
+    });
+    const events = [];
+    flicker.on('blinkStart', event => events.push({ event: 'blinkStart', ...event }));
+    flicker.on('blinkEnd', event => events.push({ event: 'blinkEnd', ...event }));
+
+    const t0 = recording.samples[0].t;
+    const wallStart = Date.now();
+    for (const { type, ...sample } of recording.samples) {
+        if (realtime) {
+            const wait = wallStart + (sample.t - t0) / speed - Date.now();
+            if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+        }
+        flicker.update(sample);
+    }
+    return { detector: flicker, events, summary: flicker.summary() };
+}
+
+// Greedy one-to-one matching of detected blink starts to labels within toleranceMs
+function scoreDetections(detected, expected, toleranceMs = 150) {
+    const unmatched = expected.slice().sort((a, b) => a.t - b.t);
+    let truePositives = 0;
+    for (const detection of detected.slice().sort((a, b) => a.t - b.t)) {
+        let best = -1;
+        for (let i = 0; i < unmatched.length; i++) {
+            const label = unmatched[i];
+            if (label.channel !== detection.channel) continue;
+            const distance = Math.abs(label.t - detection.t);
+            if (distance <= toleranceMs && (best < 0 || distance < Math.abs(unmatched[best].t - detection.t))) {
+                best = i;
+            }
+        }
+        if (best >= 0) {
+            unmatched.splice(best, 1);
+            truePositives++;
+        }
+    }
+    const falsePositives = detected.length - truePositives;
+    const falseNegatives = unmatched.length;
+    const precision = detected.length > 0 ? truePositives / detected.length : (expected.length === 0 ? 1 : 0);
+    const recall = expected.length > 0 ? truePositives / expected.length : 1;
+    const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+    return { detected: detected.length, expected: expected.length, truePositives, falsePositives, falseNegatives, precision, recall, f1 };
+}
+
+// Every combination of the grid's value lists
+function gridPoints(grid) {
+    return Object.entries(grid).reduce(
+        (points, [key, values]) => points.flatMap(point => values.map(value => ({ ...point, [key]: value }))),
+        [{}]
+    );
+}
+
+// Grid keys are ChannelDetector options; `hysteresis` sets offThreshold to
+// threshold * (1 - hysteresis)
+function settingsFor(point) {
+    const { hysteresis, ...settings } = point;
+    if (hysteresis !== undefined) {
+        const threshold = settings.threshold !== undefined ? settings.threshold : 0.75;
+        settings.offThreshold = threshold * (1 - hysteresis);
+    }
+    return settings;
+}
+
+// Replays the recording once per grid point and scores each against the labels.
+// Results are sorted best first (F1, then precision).
+async function sweep(recording, { grid, labels = null, toleranceMs = 150, channels = null } = {}) {
+    if (typeof recording === 'string') {
+        recording = await loadRecording(recording);
+    }
+    const expected = labels || recording.labels;
+    if (expected.length === 0) {
+        throw new Error('Sweep needs labelled blinks: pass a labels file or record "label" entries');
+    }
+    const only = channels ? new Set(channels) : null;
+    const wanted = only ? expected.filter(label => only.has(label.channel)) : expected;
+
+    const results = [];
+    for (const point of gridPoints(grid)) {
+        const selected = channelsFor(recording, settingsFor(point))
+            .filter(channel => !only || only.has(channel.name));
+        const { events } = await replay(recording, { channels: selected });
+        const detected = events.filter(e => e.event === 'blinkStart').map(e => ({ channel: e.channel, t: e.t }));
+        results.push({ settings: point, ...scoreDetections(detected, wanted, toleranceMs) });
+    }
+    return results.sort((a, b) => b.f1 - a.f1 || b.precision - a.precision);
+}
+
+function parseList(value) {
+    return value.split(',').map(Number);
+}
+
+function formatSweep(results) {
+    const keys = Object.keys(results[0]?.settings || {});
+    const header = [...keys, 'detected', 'expected', 'TP', 'FP', 'FN', 'precision', 'recall', 'F1'];
+    const rows = results.map(r => [
+        ...keys.map(key => r.settings[key]),
+        r.detected, r.expected, r.truePositives, r.falsePositives, r.falseNegatives,
+        r.precision.toFixed(3), r.recall.toFixed(3), r.f1.toFixed(3)
+    ]);
+    const widths = header.map((h, i) => Math.max(String(h).length, ...rows.map(row => String(row[i]).length)));
+    return [header, ...rows].map(row => row.map((cell, i) => String(cell).padStart(widths[i])).join('  ')).join('\n');
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            realtime: { type: 'boolean', default: false },
+            speed: { type: 'string', default: '1' },
+            labels: { type: 'string' },
+            threshold: { type: 'string', default: '0.75' },
+            hysteresis: { type: 'string', default: '0.5' },
+            'min-on': { type: 'string', default: '0' },
+            'min-off': { type: 'string', default: '0' },
+            refractory: { type: 'string', default: '0' },
+            tolerance: { type: 'string', default: '150' },
+            channels: { type: 'string' },
+            json: { type: 'boolean', default: false }
+        }
+    });
+    const [command, file] = positionals;
+    if (!['replay', 'sweep'].includes(command) || !file) {
+        console.error('Usage: node replay.js replay <session.jsonl> [--realtime] [--speed N]');
+        console.error('       node replay.js sweep <session.jsonl> [--labels labels.json] [--threshold 0.5,0.75]');
+        console.error('              [--hysteresis 0.25,0.5] [--min-on 0,50] [--min-off 0] [--refractory 0] [--tolerance 150]');
+        return 2;
+    }
+
+    const recording = await loadRecording(file);
+    if (command === 'replay') {
+        const { events, summary } = await replay(recording, { realtime: values.realtime, speed: Number(values.speed) });
+        if (values.json) {
+            console.log(JSON.stringify({ events, summary }, null, 2));
+        } else {
+            for (const event of events.filter(e => e.event === 'blinkStart')) {
+                console.log(`[${new Date(event.t).toISOString()}] Flicker detected by ${event.channel} (value: ${event.value.toFixed(3)})`);
+            }
+            for (const [name, channel] of Object.entries(summary.channels)) {
+                console.log(`${name}: ${channel.blinks} blinks`);
+            }
+        }
+        return 0;
+    }
+
+    const results = await sweep(recording, {
+        grid: {
+            threshold: parseList(values.threshold),
+            hysteresis: parseList(values.hysteresis),
+            minOnMs: parseList(values['min-on']),
+            minOffMs: parseList(values['min-off']),
+            refractoryMs: parseList(values.refractory)
+        },
+        labels: values.labels ? loadLabels(values.labels, recording) : null,
+        toleranceMs: Number(values.tolerance),
+        channels: values.channels ? values.channels.split(',') : null
+    });
+    console.log(values.json ? JSON.stringify(results, null, 2) : formatSweep(results));
+    return 0;
+}
+
+if (require.main === module) {
+    main().then(code => process.exit(code), (error) => {
+        console.error('Replay failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    sessionParts,
+    loadRecording,
+    loadLabels,
+    replay,
+    sweep,
+    scoreDetections,
+    gridPoints,
+    formatSweep,
+    main
+};
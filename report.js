@@ -0,0 +1,639 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { describe, histogram, slidingRates } = require('./blink-analytics');
+const { readSession, csvParse } = require('./session-recorder');
+const { sessionParts } = require('./replay');
+
+// Reports over everything in logs/, whichever tool wrote it:
+//
+//   flicker_events_<time>.log       flicker-detector-test.js text log: "Test started:",
+//                                   "Detection threshold:", "[<ISO>] Flicker detected by
+//                                   sensor N (value: x)", disconnects, drift, summary
+//   <sensor>/flicker_log_<time>.csv older per-sensor CSV: Timestamp,Event,Total Blinks
+//   sessions/*.jsonl|csv            SessionRecorder sessions (see session-recorder.js)
+//
+// Every file is read into the same session shape:
+//   { id, file, source ('log' | 'csv' | 'recording'), start, end (epoch ms),
+//     duration (s), thresholds { <channel>: x }, calibration, recording,
+//     channels { <channel>: { blinks: [t], durations: [ms], reported } },
+//     failures [{ t, kind, message }], events [{ t, event, detail }] }
+// A text log that links a recording which was also found is left out in favour
+// of the recording, which holds the same run in more detail.
+
+const REPORT_DEFAULTS = {
+    format: 'html',         // 'html' or 'markdown'
+    rateWindowMs: 10000,    // sliding window of the blink-rate timelines
+    bins: 12                // interval histogram bins
+};
+
+// Long sessions are stepped coarser to keep the charts small
+const MAX_TIMELINE_POINTS = 400;
+
+const COLORS = ['#1f77b4', '#d62728', '#2ca02c', '#ff7f0e', '#9467bd', '#8c564b'];
+
+const LOG_LINE = /^\[([^\]]+)\]\s+(.*)$/;
+
+function emptySession(file, source) {
+    return {
+        id: path.basename(file).replace(/\.(log|csv|jsonl)$/, ''),
+        file,
+        source,
+        start: null,
+        end: null,
+        duration: null,
+        thresholds: {},
+        calibration: null,
+        recording: null,
+        channels: {},
+        failures: [],
+        events: []
+    };
+}
+
+function channelOf(session, name) {
+    if (!session.channels[name]) {
+        session.channels[name] = { blinks: [], durations: [], reported: null };
+    }
+    return session.channels[name];
+}
+
+// Port-lock failures are what usually ends a run before it starts; group the rest
+function failureKind(message = '', code = null) {
+    if (code === 'ELOCKED' || /cannot lock port|locked by another process/i.test(message)) return 'port-locked';
+    if (code === 'ENOPORT' || /no serial port matches|no such file/i.test(message)) return 'no-port';
+    if (code === 'EDISCONNECTED' || /disconnect/i.test(message)) return 'disconnected';
+    if (code === 'ETIMEDOUT' || /no reply within|timed out/i.test(message)) return 'timeout';
+    return 'error';
+}
+
+function addFailure(session, t, message, code = null) {
+    session.failures.push({ t, kind: failureKind(message, code), message });
+}
+
+function sensorName(number) {
+    return `sensor${number}`;
+}
+
+function parseLegacyLog(file, text) {
+    const session = emptySession(file, 'log');
+    let thresholds = [];
+    let last = null;
+    for (const raw of text.split(/\r?\n/)) {
+        const line = raw.trim();
+        let match;
+        if ((match = line.match(LOG_LINE))) {
+            const t = Date.parse(match[1]);
+            const message = match[2];
+            last = t;
+            if ((match = message.match(/^Flicker detected by sensor (\d+) \(value: ([-\d.]+)\)/))) {
+                channelOf(session, sensorName(match[1])).blinks.push(t);
+            } else if ((match = message.match(/^Device disconnected: (.*)$/))) {
+                addFailure(session, t, `Device disconnected: ${match[1]}`, 'EDISCONNECTED');
+            } else if (message === 'Device reconnected') {
+                session.events.push({ t, event: 'reconnected', detail: '' });
+            } else if ((match = message.match(/^(\S+) baseline drifted: (.*)$/))) {
+                session.events.push({ t, event: 'drift', detail: `${match[1]}: ${match[2]}` });
+            } else {
+                session.events.push({ t, event: 'note', detail: message });
+            }
+        } else if ((match = line.match(/^Test started: (.+)$/))) {
+            session.start = Date.parse(match[1]);
+        } else if ((match = line.match(/^Detection threshold: (.+)$/))) {
+            thresholds = match[1].split(/,\s*/).map(Number);
+        } else if ((match = line.match(/^Calibration: (\S+) \((.*?)\), thresholds (.+)$/))) {
+            session.calibration = { file: match[1], createdAt: match[2] };
+            thresholds = match[3].split(/,\s*/).map(Number);
+        } else if ((match = line.match(/^Session recording: (.+)$/))) {
+            session.recording = match[1];
+        } else if ((match = line.match(/^Test completed after ([\d.]+) seconds/))) {
+            session.duration = Number(match[1]);
+        } else if ((match = line.match(/^Sensor (\d+) flicker events: (\d+)/))) {
+            channelOf(session, sensorName(match[1])).reported = Number(match[2]);
+        } else if ((match = line.match(/^Test failed: (.+)$/))) {
+            addFailure(session, last !== null ? last : session.start, match[1]);
+        }
+    }
+    // Older logs wrote one threshold for every sensor
+    const names = Object.keys(session.channels).sort();
+    names.forEach((name, i) => {
+        const threshold = thresholds.length === 1 ? thresholds[0] : thresholds[i];
+        if (Number.isFinite(threshold)) session.thresholds[name] = threshold;
+    });
+    finishSession(session, last);
+    return session;
+}
+
+// The sensor directory names the channel: logs/sensor1/flicker_log_<time>.csv
+function parseLegacyCsv(file, text) {
+    const session = emptySession(file, 'csv');
+    const channel = channelOf(session, path.basename(path.dirname(file)));
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    let last = null;
+    for (const line of lines.slice(1)) {
+        const [time, event = '', total = ''] = csvParse(line);
+        const t = Date.parse(time);
+        if (Number.isNaN(t)) continue;
+        if (session.start === null) session.start = t;
+        last = t;
+        if (/^Test failed: /.test(event)) {
+            addFailure(session, t, event.replace(/^Test failed: /, ''));
+        } else if (/flicker|blink/i.test(event)) {
+            channel.blinks.push(t);
+        } else {
+            session.events.push({ t, event: 'note', detail: event });
+        }
+        if (total !== '') channel.reported = Number(total);
+    }
+    finishSession(session, last);
+    return session;
+}
+
+async function parseRecording(file) {
+    const session = emptySession(file, 'recording');
+    let summary = null;
+    let last = null;
+    for (const part of sessionParts(file)) {
+        for await (const record of readSession(part)) {
+            // meta and end are stamped when written; the run itself is in the other records
+            if (Number.isFinite(record.t) && record.type !== 'meta' && record.type !== 'end') last = record.t;
+            switch (record.type) {
+            case 'meta':
+                if (record.part > 0) break;
+                session.start = Date.parse(record.startTime);
+                session.calibration = record.calibration || null;
+                for (const channel of record.channels || []) {
+                    channelOf(session, channel.name);
+                    if (Number.isFinite(channel.threshold)) session.thresholds[channel.name] = channel.threshold;
+                }
+                break;
+            case 'event':
+                if (record.event === 'blinkStart') {
+                    channelOf(session, record.channel).blinks.push(record.t);
+                } else if (record.event === 'blinkEnd') {
+                    channelOf(session, record.channel).durations.push(record.duration);
+                } else if (record.event === 'failed') {
+                    addFailure(session, record.t, record.error, record.code);
+                } else if (record.event === 'disconnected') {
+                    addFailure(session, record.t, `Device disconnected${record.error ? `: ${record.error}` : ''}`, 'EDISCONNECTED');
+                } else {
+                    const { type, t, event, ...detail } = record;
+                    session.events.push({ t, event, detail: Object.keys(detail).length > 0 ? JSON.stringify(detail) : '' });
+                }
+                break;
+            case 'end':
+                summary = record.summary;
+                break;
+            }
+        }
+    }
+    if (summary && Number.isFinite(summary.duration)) session.duration = summary.duration;
+    for (const [name, channel] of Object.entries(summary?.channels || {})) {
+        if (Number.isFinite(channel.blinks)) channelOf(session, name).reported = channel.blinks;
+    }
+    finishSession(session, last);
+    return session;
+}
+
+function finishSession(session, last) {
+    if (session.start === null) {
+        const first = Object.values(session.channels).flatMap(c => c.blinks).concat(session.failures.map(f => f.t));
+        session.start = first.length > 0 ? Math.min(...first) : null;
+    }
+    // Logged times can run past the reported duration, which starts after the port opens
+    const ends = [last, session.duration !== null && session.start !== null ? session.start + session.duration * 1000 : null];
+    session.end = ends.some(t => t !== null) ? Math.max(...ends.filter(t => t !== null)) : null;
+    if (session.duration === null && session.start !== null && session.end !== null) {
+        session.duration = (session.end - session.start) / 1000;
+    }
+}
+
+// Log files under `dir`, by kind
+function findLogs(dir) {
+    const found = [];
+    const entries = fs.existsSync(dir) ? fs.readdirSync(dir, { withFileTypes: true }) : [];
+    for (const entry of entries) {
+        const file = path.join(dir, entry.name);
+        if (entry.isFile() && /^flicker_events_.*\.log$/.test(entry.name)) {
+            found.push(file);
+        } else if (entry.isDirectory() && entry.name === 'sessions') {
+            // One entry per session; rotated parts are read along with the first
+            found.push(...fs.readdirSync(file)
+                .filter(name => /\.(jsonl|csv)$/.test(name) && !/\.\d+\.(jsonl|csv)$/.test(name))
+                .map(name => path.join(file, name)));
+        } else if (entry.isDirectory()) {
+            found.push(...fs.readdirSync(file)
+                .filter(name => /^flicker_log_.*\.csv$/.test(name))
+                .map(name => path.join(file, name)));
+        }
+    }
+    return found.sort();
+}
+
+async function loadSession(file) {
+    if (file.endsWith('.log')) {
+        return parseLegacyLog(file, await fs.promises.readFile(file, 'utf8'));
+    }
+    if (file.endsWith('.jsonl')) {
+        return parseRecording(file);
+    }
+    const text = await fs.promises.readFile(file, 'utf8');
+    return text.startsWith('Timestamp,') ? parseLegacyCsv(file, text) : parseRecording(file);
+}
+
+// Date bounds: "2024-10-23" covers the whole day, a full ISO time is exact
+function parseDate(text, endOfDay = false) {
+    if (!text) return null;
+    const t = Date.parse(text);
+    if (Number.isNaN(t)) throw new Error(`Invalid date "${text}"`);
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) ? t + 24 * 3600 * 1000 - 1 : t;
+}
+
+// Reads every session in `files` (default: everything found in `dir`),
+// oldest first. Unreadable files are skipped with a warning.
+async function loadSessions({ dir = path.join(__dirname, 'logs'), files = null, from = null, to = null } = {}) {
+    const sessions = [];
+    for (const file of files || findLogs(dir)) {
+        try {
+            sessions.push(await loadSession(file));
+        } catch (error) {
+            console.error(`Skipping ${file}: ${error.message}`);
+        }
+    }
+    const recordings = new Set(sessions.filter(s => s.source === 'recording').map(s => path.basename(s.file)));
+    const fromT = parseDate(from);
+    const toT = parseDate(to, true);
+    return sessions
+        .filter(s => !(s.recording && recordings.has(path.basename(s.recording))))
+        .filter(s => (fromT === null && toT === null) || (s.start !== null
+            && (fromT === null || s.start >= fromT) && (toT === null || s.start <= toT)))
+        .sort((a, b) => (a.start || 0) - (b.start || 0));
+}
+
+// Per-channel figures of a session
+function analyze(session, options = {}) {
+    const { rateWindowMs, bins } = { ...REPORT_DEFAULTS, ...options };
+    const channels = {};
+    for (const [name, channel] of Object.entries(session.channels)) {
+        const blinks = channel.blinks.slice().sort((a, b) => a - b);
+        const intervals = blinks.slice(1).map((t, i) => t - blinks[i]);
+        const count = blinks.length > 0 || channel.reported === null ? blinks.length : channel.reported;
+        channels[name] = {
+            blinks: count,
+            reported: channel.reported,
+            rate: session.duration > 0 ? count / session.duration : null,
+            threshold: session.thresholds[name] !== undefined ? session.thresholds[name] : null,
+            intervals: describe(intervals),
+            durations: describe(channel.durations),
+            histogram: histogram(intervals, { bins }),
+            timeline: session.start !== null && session.end !== null
+                ? slidingRates(blinks, {
+                    windowMs: rateWindowMs,
+                    stepMs: Math.max(rateWindowMs / 4, (session.end - session.start) / MAX_TIMELINE_POINTS),
+                    start: session.start,
+                    end: session.end
+                })
+                : []
+        };
+    }
+    return channels;
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
+
+function round(value, digits = 2) {
+    return value === null || value === undefined || Number.isNaN(value) ? '–' : Number(value.toFixed(digits)).toString();
+}
+
+function formatTime(t) {
+    return t === null ? '–' : new Date(t).toISOString().replace('T', ' ').replace(/\.\d+Z$/, 'Z');
+}
+
+// Line chart of { <name>: [{ x, y }] }; `xLabels` optionally names x positions
+function svgLineChart(series, { width = 640, height = 180, xLabel = '', yLabel = '', xLabels = null } = {}) {
+    const points = Object.values(series).flat();
+    const margin = { left: 44, right: 12, top: 12, bottom: 34 };
+    const svg = [`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="sans-serif" font-size="10">`];
+    if (points.length === 0) {
+        svg.push(`<text x="${width / 2}" y="${height / 2}" text-anchor="middle">no data</text></svg>`);
+        return svg.join('');
+    }
+    const xs = points.map(p => p.x);
+    const xMin = Math.min(...xs);
+    const xMax = Math.max(...xs);
+    const yMax = Math.max(...points.map(p => p.y)) || 1;
+    const plotW = width - margin.left - margin.right;
+    const plotH = height - margin.top - margin.bottom;
+    const px = x => margin.left + (xMax > xMin ? (x - xMin) / (xMax - xMin) : 0.5) * plotW;
+    const py = y => margin.top + plotH - (y / yMax) * plotH;
+
+    svg.push(`<line x1="${margin.left}" y1="${margin.top + plotH}" x2="${width - margin.right}" y2="${margin.top + plotH}" stroke="#888"/>`);
+    svg.push(`<line x1="${margin.left}" y1="${margin.top}" x2="${margin.left}" y2="${margin.top + plotH}" stroke="#888"/>`);
+    svg.push(`<text x="${margin.left - 4}" y="${margin.top + 4}" text-anchor="end">${round(yMax)}</text>`);
+    svg.push(`<text x="${margin.left - 4}" y="${margin.top + plotH}" text-anchor="end">0</text>`);
+    const ticks = xLabels || [[xMin, round(xMin, 0)], [xMax, round(xMax, 0)]];
+    for (const [x, label] of ticks) {
+        svg.push(`<text x="${px(x).toFixed(1)}" y="${margin.top + plotH + 12}" text-anchor="middle">${escapeHtml(label)}</text>`);
+    }
+    svg.push(`<text x="${margin.left + plotW / 2}" y="${height - 4}" text-anchor="middle">${escapeHtml(xLabel)}</text>`);
+    svg.push(`<text x="10" y="${margin.top + plotH / 2}" text-anchor="middle" transform="rotate(-90 10 ${margin.top + plotH / 2})">${escapeHtml(yLabel)}</text>`);
+    Object.entries(series).forEach(([name, line], i) => {
+        const color = COLORS[i % COLORS.length];
+        const coords = line.map(p => `${px(p.x).toFixed(1)},${py(p.y).toFixed(1)}`);
+        svg.push(`<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${coords.join(' ')}"/>`);
+        if (line.length < 30) {
+            for (const coord of coords) {
+                const [cx, cy] = coord.split(',');
+                svg.push(`<circle cx="${cx}" cy="${cy}" r="2.5" fill="${color}"/>`);
+            }
+        }
+        svg.push(`<text x="${width - margin.right}" y="${margin.top + 10 + i * 12}" text-anchor="end" fill="${color}">${escapeHtml(name)}</text>`);
+    });
+    svg.push('</svg>');
+    return svg.join('');
+}
+
+// Bar chart of histogram() bins
+function svgHistogram(bins, { width = 320, height = 160, xLabel = '', color = COLORS[0] } = {}) {
+    const margin = { left: 32, right: 8, top: 8, bottom: 30 };
+    const svg = [`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="sans-serif" font-size="10">`];
+    if (bins.length === 0) {
+        svg.push(`<text x="${width / 2}" y="${height / 2}" text-anchor="middle">no intervals</text></svg>`);
+        return svg.join('');
+    }
+    const plotW = width - margin.left - margin.right;
+    const plotH = height - margin.top - margin.bottom;
+    const maxCount = Math.max(...bins.map(b => b.count)) || 1;
+    const barW = plotW / bins.length;
+    bins.forEach((bin, i) => {
+        const h = (bin.count / maxCount) * plotH;
+        svg.push(`<rect x="${(margin.left + i * barW + 1).toFixed(1)}" y="${(margin.top + plotH - h).toFixed(1)}" ` +
+            `width="${Math.max(1, barW - 2).toFixed(1)}" height="${h.toFixed(1)}" fill="${color}"><title>${round(bin.from, 0)}–${round(bin.to, 0)}: ${bin.count}</title></rect>`);
+    });
+    svg.push(`<line x1="${margin.left}" y1="${margin.top + plotH}" x2="${width - margin.right}" y2="${margin.top + plotH}" stroke="#888"/>`);
+    svg.push(`<text x="${margin.left - 4}" y="${margin.top + 8}" text-anchor="end">${maxCount}</text>`);
+    svg.push(`<text x="${margin.left}" y="${margin.top + plotH + 12}">${round(bins[0].from, 0)}</text>`);
+    svg.push(`<text x="${width - margin.right}" y="${margin.top + plotH + 12}" text-anchor="end">${round(bins[bins.length - 1].to, 0)}</text>`);
+    svg.push(`<text x="${margin.left + plotW / 2}" y="${height - 4}" text-anchor="middle">${escapeHtml(xLabel)}</text>`);
+    svg.push('</svg>');
+    return svg.join('');
+}
+
+// Reports are built as a list of sections ({ title, text, table: { head, rows }, svg })
+// and rendered to either format at the end
+function renderSections(title, sections, format) {
+    if (format === 'markdown') {
+        const out = [`# ${title}`, ''];
+        for (const section of sections) {
+            out.push(`## ${section.title}`, '');
+            if (section.text) out.push(section.text, '');
+            if (section.table) {
+                const cell = value => String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+                out.push(`| ${section.table.head.map(cell).join(' | ')} |`);
+                out.push(`| ${section.table.head.map(() => '---').join(' | ')} |`);
+                for (const row of section.table.rows) out.push(`| ${row.map(cell).join(' | ')} |`);
+                out.push('');
+            }
+            for (const svg of [].concat(section.svg || [])) out.push(svg, '');
+        }
+        return out.join('\n');
+    }
+    const body = sections.map((section) => {
+        const parts = [`<h2>${escapeHtml(section.title)}</h2>`];
+        if (section.text) parts.push(`<p>${escapeHtml(section.text)}</p>`);
+        if (section.table) {
+            parts.push('<table>',
+                `<tr>${section.table.head.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr>`,
+                ...section.table.rows.map(row => `<tr>${row.map(v => `<td>${escapeHtml(v)}</td>`).join('')}</tr>`),
+                '</table>');
+        }
+        for (const svg of [].concat(section.svg || [])) parts.push(`<figure>${svg}</figure>`);
+        return parts.join('\n');
+    });
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1em; }
+th, td { border: 1px solid #ccc; padding: 3px 8px; text-align: left; font-size: 13px; }
+figure { display: inline-block; margin: 0 1em 1em 0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+function failureSection(failures) {
+    return failures.length === 0
+        ? { title: 'Failures', text: 'None.' }
+        : { title: 'Failures', table: { head: ['Time', 'Kind', 'Message'], rows: failures.map(f => [formatTime(f.t), f.kind, f.message]) } };
+}
+
+function sessionReport(session, options = {}) {
+    const { format } = { ...REPORT_DEFAULTS, ...options };
+    const channels = analyze(session, options);
+    const names = Object.keys(channels);
+    const thresholds = names.map(name => `${name} ${round(channels[name].threshold, 3)}`).join(', ') || '–';
+    const sections = [
+        {
+            title: 'Session',
+            table: {
+                head: ['', ''],
+                rows: [
+                    ['File', session.file],
+                    ['Source', session.source],
+                    ['Started', formatTime(session.start)],
+                    ['Duration', session.duration !== null ? `${round(session.duration, 1)} s` : '–'],
+                    ['Thresholds', thresholds],
+                    ['Calibration', session.calibration ? `${session.calibration.file || '–'} (${session.calibration.createdAt})` : '–'],
+                    ...(session.recording ? [['Recording', session.recording]] : [])
+                ]
+            }
+        },
+        {
+            title: 'Sensors',
+            table: {
+                head: ['Sensor', 'Blinks', 'Rate (/s)', 'Threshold', 'Mean interval (ms)', 'Median interval (ms)', 'Interval stddev (ms)', 'Mean duration (ms)'],
+                rows: names.map((name) => {
+                    const c = channels[name];
+                    const reported = c.reported !== null && c.reported !== c.blinks ? ` (log says ${c.reported})` : '';
+                    return [name, `${c.blinks}${reported}`, round(c.rate), round(c.threshold, 3), round(c.intervals.mean, 0),
+                        round(c.intervals.median, 0), round(c.intervals.stddev, 0), round(c.durations.mean, 0)];
+                })
+            }
+        },
+        {
+            title: 'Blink rate',
+            svg: svgLineChart(Object.fromEntries(names.map(name => [name, channels[name].timeline.map(r => ({
+                x: (r.t - session.start) / 1000,
+                y: r.rate
+            }))])), { xLabel: 'time (s)', yLabel: 'blinks/s' })
+        },
+        {
+            title: 'Blink intervals',
+            svg: names.map((name, i) => svgHistogram(channels[name].histogram, { xLabel: `${name} interval (ms)`, color: COLORS[i % COLORS.length] }))
+        },
+        failureSection(session.failures)
+    ];
+    if (session.events.length > 0) {
+        sections.push({ title: 'Events', table: { head: ['Time', 'Event', 'Detail'], rows: session.events.map(e => [formatTime(e.t), e.event, e.detail]) } });
+    }
+    return renderSections(`Flicker session ${formatTime(session.start)}`, sections, format);
+}
+
+function comparisonReport(sessions, options = {}) {
+    const { format } = { ...REPORT_DEFAULTS, ...options };
+    const analyzed = sessions.map(session => ({ session, channels: analyze(session, options) }));
+    const names = [...new Set(analyzed.flatMap(a => Object.keys(a.channels)))].sort();
+    const totals = names.map((name) => {
+        const runs = analyzed.filter(a => a.channels[name]);
+        const blinks = runs.reduce((sum, a) => sum + a.channels[name].blinks, 0);
+        const seconds = runs.reduce((sum, a) => sum + (a.session.duration || 0), 0);
+        return [name, runs.length, blinks, round(seconds, 1), round(seconds > 0 ? blinks / seconds : null)];
+    });
+    const kinds = {};
+    for (const failure of sessions.flatMap(s => s.failures)) {
+        kinds[failure.kind] = (kinds[failure.kind] || 0) + 1;
+    }
+    const xLabels = analyzed.length <= 12 ? analyzed.map((a, i) => [i, formatTime(a.session.start).slice(5, 16)]) : null;
+    const sections = [
+        {
+            title: 'Sessions',
+            table: {
+                head: ['Started', 'Source', 'Duration (s)', ...names.map(name => `${name} blinks (/s)`), 'Thresholds', 'Failures'],
+                rows: analyzed.map(({ session, channels }) => [
+                    formatTime(session.start),
+                    `${session.source}: ${path.basename(session.file)}`,
+                    round(session.duration, 1),
+                    ...names.map(name => (channels[name] ? `${channels[name].blinks} (${round(channels[name].rate)})` : '–')),
+                    names.filter(name => session.thresholds[name] !== undefined).map(name => round(session.thresholds[name], 3)).join(', ') || '–',
+                    session.failures.map(f => f.kind).join(', ') || '–'
+                ])
+            }
+        },
+        {
+            title: 'Blink rate per session',
+            svg: svgLineChart(Object.fromEntries(names.map(name => [name, analyzed
+                .map((a, i) => ({ x: i, y: a.channels[name]?.rate }))
+                .filter(p => Number.isFinite(p.y))])), { xLabel: 'session', yLabel: 'blinks/s', xLabels })
+        },
+        { title: 'Totals per sensor', table: { head: ['Sensor', 'Sessions', 'Blinks', 'Seconds', 'Rate (/s)'], rows: totals } },
+        {
+            title: 'Failures by kind',
+            ...(Object.keys(kinds).length === 0
+                ? { text: 'None.' }
+                : { table: { head: ['Kind', 'Count'], rows: Object.entries(kinds).sort((a, b) => b[1] - a[1]) } })
+        },
+        {
+            ...failureSection(sessions.flatMap(s => s.failures.map(f => ({ ...f, message: `${path.basename(s.file)}: ${f.message}` })))),
+            title: 'All failures'
+        }
+    ];
+    const first = sessions.length > 0 ? formatTime(sessions[0].start).slice(0, 10) : '';
+    const last = sessions.length > 0 ? formatTime(sessions[sessions.length - 1].start).slice(0, 10) : '';
+    return renderSections(`Flicker sessions ${first}${last !== first ? ` – ${last}` : ''} (${sessions.length})`, sections, format);
+}
+
+// Writes one report per session plus comparison.<ext> to `out`; resolves with the files
+async function writeReports(sessions, { out, compare = true, ...options } = {}) {
+    const { format } = { ...REPORT_DEFAULTS, ...options };
+    const ext = format === 'markdown' ? 'md' : 'html';
+    await fs.promises.mkdir(out, { recursive: true });
+    const files = [];
+    for (const session of sessions) {
+        const file = path.join(out, `${session.id}.${ext}`);
+        await fs.promises.writeFile(file, sessionReport(session, options));
+        files.push(file);
+    }
+    if (compare && sessions.length > 0) {
+        const file = path.join(out, `comparison.${ext}`);
+        await fs.promises.writeFile(file, comparisonReport(sessions, options));
+        files.push(file);
+    }
+    return files;
+}
+
+const USAGE = `Usage: node report.js [files...] [options]
+
+Options:
+  --dir <logs>          where to look for logs (default: logs/)
+  --out <dir>           where to write the reports (default: logs/reports)
+  --format html|markdown
+  --from <date>         only sessions started on or after this date/time
+  --to <date>           only sessions started on or before this date/time
+  --no-compare          skip the cross-session comparison
+  --json                print the parsed sessions instead of writing reports`;
+
+async function main(argv = process.argv.slice(2)) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            dir: { type: 'string', default: path.join(__dirname, 'logs') },
+            out: { type: 'string' },
+            format: { type: 'string', default: REPORT_DEFAULTS.format },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            'no-compare': { type: 'boolean', default: false },
+            json: { type: 'boolean', default: false },
+            help: { type: 'boolean', default: false }
+        }
+    });
+    if (values.help || !['html', 'markdown'].includes(values.format)) {
+        console.error(USAGE);
+        return 2;
+    }
+    const sessions = await loadSessions({
+        dir: values.dir,
+        files: positionals.length > 0 ? positionals.map(file => path.resolve(file)) : null,
+        from: values.from,
+        to: values.to
+    });
+    if (values.json) {
+        console.log(JSON.stringify(sessions.map(session => ({ ...session, analysis: analyze(session) })), null, 2));
+        return 0;
+    }
+    if (sessions.length === 0) {
+        console.error('No sessions found');
+        return 1;
+    }
+    const files = await writeReports(sessions, {
+        out: values.out || path.join(values.dir, 'reports'),
+        format: values.format,
+        compare: !values['no-compare']
+    });
+    for (const file of files) console.log(file);
+    return 0;
+}
+
+if (require.main === module) {
+    main().then(code => process.exit(code), (error) => {
+        console.error('Report failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseLegacyLog,
+    parseLegacyCsv,
+    parseRecording,
+    findLogs,
+    loadSessions,
+    analyze,
+    failureKind,
+    sessionReport,
+    comparisonReport,
+    writeReports,
+    svgLineChart,
+    svgHistogram,
+    main
+};
@@ -0,0 +1,55 @@
+// Fixed-capacity FIFO; pushing into a full buffer overwrites the oldest item
+class RingBuffer {
+    constructor(capacity) {
+        if (!(capacity > 0)) {
+            throw new RangeError(`RingBuffer capacity must be positive, got ${capacity}`);
+        }
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+
+    // Returns the overwritten item when the buffer was full, otherwise undefined
+    push(item) {
+        let overwritten;
+        if (this.length === this.capacity) {
+            overwritten = this.items[this.start];
+            this.items[this.start] = item;
+            this.start = (this.start + 1) % this.capacity;
+        } else {
+            this.items[(this.start + this.length) % this.capacity] = item;
+            this.length++;
+        }
+        return overwritten;
+    }
+
+    shift() {
+        if (this.length === 0) return undefined;
+        const item = this.items[this.start];
+        this.items[this.start] = undefined;
+        this.start = (this.start + 1) % this.capacity;
+        this.length--;
+        return item;
+    }
+
+    get isFull() {
+        return this.length === this.capacity;
+    }
+
+    toArray() {
+        const result = [];
+        for (let i = 0; i < this.length; i++) {
+            result.push(this.items[(this.start + i) % this.capacity]);
+        }
+        return result;
+    }
+
+    clear() {
+        this.items = new Array(this.capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+}
+
+module.exports = RingBuffer;
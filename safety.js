@@ -0,0 +1,193 @@
+const fs = require('fs');
+const { InterlockError } = require('./errors');
+const { formatCommand } = require('./protocol');
+const { MESSAGES, encodePacket } = require('./binary-protocol');
+const { logger } = require('./logging');
+
+const log = logger('safety');
+
+const SIGNALS = { SIGINT: 2, SIGTERM: 15, SIGHUP: 1 };
+
+// Controllers with process hooks installed. One set of process handlers serves
+// all of them, so with several boards in one process a signal switches every
+// board off before the process exits.
+const hooked = new Set();
+let processHandlers = null;
+
+function installProcessHandlers() {
+    const onExit = () => {
+        for (const controller of hooked) {
+            if (controller.anyOn()) controller.allOffSync();
+        }
+    };
+    const onUncaught = () => {
+        for (const controller of hooked) controller.allOffSync();
+    };
+    const signalHandlers = {};
+    for (const [signal, number] of Object.entries(SIGNALS)) {
+        signalHandlers[signal] = () => {
+            const timeout = new Promise(resolve => setTimeout(resolve, 1000).unref());
+            const allOff = Promise.all([...hooked].map(controller => controller.allOff(signal)));
+            Promise.race([allOff, timeout]).finally(() => {
+                // Leave the exit to the application if it handles the signal itself
+                if (process.listenerCount(signal) === 1) {
+                    process.exit(128 + number);
+                }
+            });
+        };
+        process.on(signal, signalHandlers[signal]);
+    }
+    process.on('exit', onExit);
+    process.on('uncaughtExceptionMonitor', onUncaught);
+    return { onExit, onUncaught, signalHandlers };
+}
+
+function removeProcessHandlers({ onExit, onUncaught, signalHandlers }) {
+    process.off('exit', onExit);
+    process.off('uncaughtExceptionMonitor', onUncaught);
+    for (const [signal, handler] of Object.entries(signalHandlers)) {
+        process.off(signal, handler);
+    }
+}
+
+// Guards the actuators of a DeviceSerialPort:
+//  - interlocks: states that must never occur, checked before a command is sent.
+//    Either { name, forbid: { ac: true, magnet: true } } or (state) => reason|false
+//  - maxOnTime: { magnet: ms, ac: ms } watchdog that switches an output off again
+//  - every output is switched off on close, process exit, uncaught exceptions and signals
+class SafetyController {
+    constructor(device, options = {}) {
+        this.device = device;
+        this.maxOnTime = options.maxOnTime || {};
+        this.interlocks = (options.interlocks || []).map((interlock, index) =>
+            typeof interlock === 'function'
+                ? { name: interlock.name || `interlock ${index + 1}`, test: interlock }
+                : {
+                    name: interlock.name || `interlock ${index + 1}`,
+                    test: (state) => Object.entries(interlock.forbid).every(([key, value]) => state[key] === value)
+                }
+        );
+        this.processHooks = options.processHooks !== false;
+        this.watchdogs = {};
+        this.hooks = null;
+    }
+
+    get actuators() {
+        return this.device.protocol.actuators;
+    }
+
+    // Throws InterlockError if applying `effect` would reach a forbidden state
+    check(commandName, effect) {
+        const next = { ...this.device.state, ...effect };
+        for (const interlock of this.interlocks) {
+            if (interlock.test(next)) {
+                throw new InterlockError(interlock.name, commandName, next);
+            }
+        }
+    }
+
+    onStateChange(actuator, value) {
+        clearTimeout(this.watchdogs[actuator]);
+        delete this.watchdogs[actuator];
+
+        const limit = this.maxOnTime[actuator];
+        if (value && limit) {
+            this.watchdogs[actuator] = setTimeout(() => {
+                log(`Watchdog: ${actuator} on for more than ${limit}ms, switching off`);
+                this.device.emit('watchdog', { actuator, maxOnTime: limit });
+                this.switchOff(actuator).catch((error) => {
+                    log(`Watchdog failed to switch ${actuator} off: ${error.message}`);
+                });
+            }, limit);
+            this.watchdogs[actuator].unref();
+        }
+    }
+
+    switchOff(actuator) {
+        return this.device.invoke(this.actuators[actuator].off, {}, { priority: true });
+    }
+
+    // Sends every off command, whatever the tracked state says, ahead of queued commands
+    async allOff(reason = 'request') {
+        log(`Switching all outputs off (${reason})`);
+        const failures = [];
+        for (const actuator of Object.keys(this.actuators)) {
+            try {
+                await this.switchOff(actuator);
+            } catch (error) {
+                failures.push({ actuator, error });
+            }
+        }
+        this.device.emit('allOff', { reason, failures });
+        return failures;
+    }
+
+    // Last-resort variant for 'exit' and uncaught exceptions, where nothing async
+    // will run any more: writes straight to the port's file descriptor when there is one
+    allOffSync() {
+        const port = this.device.port;
+        if (!port?.isOpen) return;
+        const bytes = this.offBytes();
+        try {
+            if (typeof port.port?.fd === 'number') {
+                fs.writeSync(port.port.fd, bytes);
+            } else {
+                port.port?.write(bytes).catch(() => {});
+            }
+        } catch (error) {
+            // Nothing left to report to during exit
+        }
+    }
+
+    // The off commands in the link's current mode: packets in binary mode, where
+    // an off command without a packet form goes out as a text line after a TEXT
+    // packet has switched the firmware back
+    offBytes() {
+        const device = this.device;
+        const binary = device.mode === 'binary';
+        const packet = (id, payload) => {
+            device.sequence = (device.sequence + 1) & 0xff;
+            return encodePacket(id, device.sequence, payload);
+        };
+        const packets = [];
+        const lines = [];
+        for (const { off } of Object.values(this.actuators)) {
+            const command = binary && device.protocol.binary.commands[off];
+            if (command) {
+                packets.push(packet(command.id, command.payload));
+            } else {
+                lines.push(formatCommand(device.protocol.commands[off]) + '\n');
+            }
+        }
+        if (binary && lines.length > 0) packets.push(packet(MESSAGES.TEXT, []));
+        return Buffer.concat([...packets, Buffer.from(lines.join(''))]);
+    }
+
+    anyOn() {
+        return Object.keys(this.actuators).some(actuator => this.device.state[actuator]);
+    }
+
+    install() {
+        if (!this.processHooks || this.hooks) return;
+        hooked.add(this);
+        if (!processHandlers) processHandlers = installProcessHandlers();
+        this.hooks = true;
+    }
+
+    uninstall() {
+        for (const actuator of Object.keys(this.watchdogs)) {
+            clearTimeout(this.watchdogs[actuator]);
+        }
+        this.watchdogs = {};
+        if (!this.hooks) return;
+
+        hooked.delete(this);
+        this.hooks = null;
+        if (hooked.size === 0) {
+            removeProcessHandlers(processHandlers);
+            processHandlers = null;
+        }
+    }
+}
+
+module.exports = SafetyController;
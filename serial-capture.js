@@ -0,0 +1,542 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const EventEmitter = require('events');
+const { parseArgs } = require('util');
+const { MockPortBinding } = require('@serialport/binding-mock');
+const { MESSAGES, messageName, decodePacket, decodeSample, decodeHello, decodeError } = require('./binary-protocol');
+const { logger, escapeBytes } = require('./logging');
+
+const log = logger('capture');
+
+// Raw serial traffic capture ("serial-capture/1")
+//
+// JSONL, one object per line with a `type` and `t` (epoch ms, sub-ms resolution):
+//   meta   first line: schema, startTime (ISO), host, port, serialNumber, baudRate,
+//          lineSettings, protocol ({ name, version }), delimiter (of text lines)
+//   tx     bytes written to the port, one record per write: data (hex)
+//   rx     bytes as the port delivered them, one record per chunk: data (hex)
+//   event  open, close, disconnected and mode ({ mode: 'text' | 'binary' }),
+//          which the viewer and the replay need to make sense of the bytes
+//   end    last line: counts
+//
+// DeviceSerialPort writes one with the `capture` option or startCapture(). The
+// chunks are exactly what the OS handed over, so a capture fed back through
+// CaptureReplay reproduces split lines, garbage and timing as they happened.
+
+const SCHEMA = 'serial-capture/1';
+
+const CAPTURE_DEFAULTS = {
+    dir: path.join(__dirname, 'logs', 'captures'),
+    file: null
+};
+
+class SerialCapture {
+    constructor(options = {}) {
+        this.options = { ...CAPTURE_DEFAULTS, ...options };
+        this.file = this.options.file;
+        this.stream = null;
+        this.counts = { tx: 0, rx: 0, txBytes: 0, rxBytes: 0 };
+    }
+
+    get isOpen() {
+        return this.stream !== null;
+    }
+
+    // Starts the file; `meta` is merged into the header record
+    async open(meta = {}, t = Date.now()) {
+        const startTime = new Date(t).toISOString();
+        this.file = this.file || path.join(this.options.dir, `capture_${startTime.replace(/[:.]/g, '-')}.jsonl`);
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        this.stream = fs.createWriteStream(this.file, { flags: 'w' });
+        this.stream.on('error', (error) => {
+            log(`Capture write error (${this.file}): ${error.message}`);
+        });
+        this.write({ type: 'meta', t, schema: SCHEMA, startTime, host: os.hostname(), ...meta });
+        return this.file;
+    }
+
+    write(record) {
+        if (this.stream) this.stream.write(JSON.stringify(record) + '\n');
+    }
+
+    // One chunk of bytes, direction 'tx' or 'rx'
+    record(direction, bytes, t) {
+        if (!this.stream) return;
+        this.counts[direction]++;
+        this.counts[`${direction}Bytes`] += bytes.length;
+        this.write({ type: direction, t, data: bytes.toString('hex') });
+    }
+
+    note(event, fields = {}, t = Date.now()) {
+        this.write({ type: 'event', t, event, ...fields });
+    }
+
+    async close(t = Date.now()) {
+        if (!this.stream) return this.file;
+        this.write({ type: 'end', t, counts: { ...this.counts } });
+        const stream = this.stream;
+        this.stream = null;
+        await new Promise(resolve => stream.end(resolve));
+        return this.file;
+    }
+}
+
+// Loads a capture file: { file, meta, records } with records in file order
+async function readCapture(file) {
+    const capture = { file, meta: null, records: [] };
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        const record = JSON.parse(line);
+        if (record.type === 'meta') {
+            capture.meta = capture.meta || record;
+        } else if (record.type !== 'end') {
+            capture.records.push(record);
+        }
+    }
+    if (!capture.meta || capture.meta.schema !== SCHEMA) {
+        throw new Error(`${file} is not a ${SCHEMA} capture`);
+    }
+    return capture;
+}
+
+// Viewer
+
+function hexRows(bytes, width = 16) {
+    const rows = [];
+    for (let offset = 0; offset < bytes.length || offset === 0; offset += width) {
+        const row = bytes.subarray(offset, offset + width);
+        const hex = [...row].map(byte => byte.toString(16).padStart(2, '0')).join(' ');
+        const ascii = [...row].map(byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+        rows.push(`${hex.padEnd(width * 3 - 1)}  |${ascii}|`);
+        if (bytes.length === 0) break;
+    }
+    return rows;
+}
+
+function describePacket(frame) {
+    const packet = decodePacket(frame);
+    if (!packet.ok) return `bad frame ${frame.toString('hex')}: ${packet.error}`;
+    const name = `${messageName(packet.id)} #${packet.seq}`;
+    try {
+        switch (packet.id) {
+        case MESSAGES.SAMPLE:
+        case MESSAGES.STREAM_SAMPLE: {
+            const { deviceTime, values } = decodeSample(packet.payload);
+            return `packet ${name} t=${deviceTime}ms ${values.map(value => +value.toFixed(4)).join(', ')}`;
+        }
+        case MESSAGES.HELLO: {
+            const { version, channels, maxRateHz } = decodeHello(packet.payload);
+            return `packet ${name} version ${version}, ${channels} channels, ${maxRateHz} Hz`;
+        }
+        case MESSAGES.ERROR: {
+            const { code, message } = decodeError(packet.payload);
+            return `packet ${name} ERR ${code} ${message}`;
+        }
+        default:
+            return `packet ${name}${packet.payload.length > 0 ? ` ${packet.payload.toString('hex')}` : ''}`;
+        }
+    } catch (error) {
+        return `packet ${name} ${packet.payload.toString('hex')} (${error.message})`;
+    }
+}
+
+// Cuts the received byte stream into lines or COBS frames the way the host's
+// parser does, so every chunk can be annotated with what it completed
+class Reassembler {
+    constructor(delimiter) {
+        this.delimiter = Buffer.from(delimiter);
+        this.reset('text');
+    }
+
+    reset(mode) {
+        this.mode = mode;
+        this.pending = Buffer.alloc(0);
+    }
+
+    push(bytes) {
+        const delimiter = this.mode === 'binary' ? Buffer.from([0]) : this.delimiter;
+        const found = [];
+        this.pending = Buffer.concat([this.pending, bytes]);
+        let at;
+        while ((at = this.pending.indexOf(delimiter)) >= 0) {
+            const unit = this.pending.subarray(0, at + delimiter.length);
+            this.pending = this.pending.subarray(at + delimiter.length);
+            if (this.mode === 'binary') {
+                if (unit.length > 1) found.push(describePacket(unit.subarray(0, -1)));
+            } else {
+                found.push(`line "${escapeBytes(unit)}"`);
+            }
+        }
+        return found;
+    }
+}
+
+// Commands go out one write each, so a TX chunk is a whole line or packet
+function describeWrite(bytes) {
+    if (bytes.length > 1 && bytes[bytes.length - 1] === 0) {
+        return describePacket(bytes.subarray(0, -1));
+    }
+    return `command "${escapeBytes(bytes)}"`;
+}
+
+// A hex dump of every chunk with its time since the start; with `annotate`
+// (the default) each chunk is followed by the lines, packets and bad frames it
+// completed. Returns the text.
+function formatCapture({ meta, records }, { annotate = true, width = 16 } = {}) {
+    const start = meta.t;
+    const protocol = meta.protocol ? `, protocol ${meta.protocol.name}${meta.protocol.version ? ` ${meta.protocol.version}` : ''}` : '';
+    const lines = [
+        `Capture ${meta.startTime} on ${meta.port || 'unknown port'} at ${meta.baudRate || '?'} baud${protocol}`,
+        ''
+    ];
+    const rx = new Reassembler(meta.delimiter || '\n');
+    const totals = { tx: 0, rx: 0, txBytes: 0, rxBytes: 0, lines: 0, packets: 0, badFrames: 0 };
+    let previous = null;
+
+    for (const record of records) {
+        const at = `${((record.t - start) / 1000).toFixed(3).padStart(9)}s`;
+        if (record.type === 'event') {
+            const { type, t, event, ...fields } = record;
+            const entries = Object.entries(fields);
+            const detail = entries.length === 1
+                ? String(entries[0][1])
+                : entries.map(([key, value]) => `${key}=${value}`).join(' ');
+            lines.push(`${at}  --  ${event}${detail ? ` ${detail}` : ''}`);
+            if (event === 'open') rx.reset('text');
+            if (event === 'mode') rx.reset(record.mode);
+            continue;
+        }
+        if (record.type !== 'tx' && record.type !== 'rx') continue;
+
+        const bytes = Buffer.from(record.data, 'hex');
+        totals[record.type]++;
+        totals[`${record.type}Bytes`] += bytes.length;
+        const gap = previous === null ? '' : `+${(record.t - previous).toFixed(1)}ms`;
+        previous = record.t;
+        const indent = ' '.repeat(at.length + 12);
+        hexRows(bytes, width).forEach((row, i) => {
+            lines.push(i === 0
+                ? `${at}  ${record.type.toUpperCase()}  ${String(bytes.length).padStart(4)}  ${row}  ${gap}`.trimEnd()
+                : `${indent}${row}`);
+        });
+        if (!annotate) continue;
+
+        if (record.type === 'tx') {
+            lines.push(`${indent}-> ${describeWrite(bytes)}`);
+            continue;
+        }
+        for (const annotation of rx.push(bytes)) {
+            if (annotation.startsWith('line')) totals.lines++;
+            else if (annotation.startsWith('packet')) totals.packets++;
+            else totals.badFrames++;
+            lines.push(`${indent}<- ${annotation}`);
+        }
+    }
+
+    lines.push('');
+    lines.push(`TX ${totals.tx} writes, ${totals.txBytes} bytes; RX ${totals.rx} chunks, ${totals.rxBytes} bytes`);
+    if (annotate) {
+        lines.push(`${totals.lines} lines, ${totals.packets} packets, ${totals.badFrames} bad frames received`);
+    }
+    return lines.join('\n');
+}
+
+// Replay
+
+class ReplayPortBinding extends MockPortBinding {
+    constructor(replay, portRecord, openOptions) {
+        super(portRecord, openOptions);
+        this.replay = replay;
+        // Chunks due while the last one is still unread; delivered one at a time so
+        // the host sees the same chunk boundaries as on the captured link
+        this.backlog = [];
+        this.timers = new Set();
+    }
+
+    schedule(steps) {
+        for (const step of steps) {
+            const timer = setTimeout(() => {
+                this.timers.delete(timer);
+                this.deliver(step);
+            }, step.delay / this.replay.speed);
+            this.timers.add(timer);
+        }
+    }
+
+    deliver(step) {
+        if (!this.isOpen) return;
+        if (step.unplug) {
+            this.unplug();
+            return;
+        }
+        if (this.port.data.length > 0 || this.backlog.length > 0) {
+            this.backlog.push(step);
+            return;
+        }
+        this.emitData(step.data);
+        this.replay.delivered(step);
+    }
+
+    async read(buffer, offset, length) {
+        const result = await super.read(buffer, offset, length);
+        if (this.port.data.length === 0 && this.backlog.length > 0) {
+            const step = this.backlog.shift();
+            this.emitData(step.data);
+            this.replay.delivered(step);
+        }
+        return result;
+    }
+
+    async write(buffer) {
+        await super.write(buffer);
+        this.schedule(this.replay.written(buffer));
+    }
+
+    async close() {
+        for (const timer of this.timers) clearTimeout(timer);
+        this.timers.clear();
+        this.backlog = [];
+        await super.close();
+    }
+
+    // Fails the pending read the way an unplugged USB device does, where the
+    // captured link went down
+    unplug() {
+        if (this.pendingRead) {
+            const error = new Error('Device not configured');
+            error.disconnected = true;
+            const pendingRead = this.pendingRead;
+            this.pendingRead = null;
+            pendingRead(error);
+        }
+    }
+}
+
+// A serialport binding that plays a capture back as the device. Received chunks
+// are tied to what preceded them on the captured link: the n-th write the host
+// makes releases the chunks that followed the n-th captured write, after the
+// same delays (divided by `speed`); chunks before the first write follow the
+// open. Writes that differ from the captured ones are reported as 'mismatch'
+// { index, expected, actual } and kept in `mismatches`; 'end' follows the last
+// chunk. Pass it to DeviceSerialPort as `replay`.
+class CaptureReplay extends EventEmitter {
+    constructor(source, { speed = 1, path: portPath = '/dev/ttyREPLAY0' } = {}) {
+        super();
+        this.source = source;
+        this.speed = speed;
+        this.path = portPath;
+        this.capture = typeof source === 'object' ? source : null;
+        this.script = null;
+        this.opens = 0;
+        this.writes = 0;
+        this.mismatches = [];
+        this.portBinding = null;
+        this.binding = this.createBinding();
+    }
+
+    async load() {
+        if (!this.capture) this.capture = await readCapture(this.source);
+        if (!this.script) this.script = buildScript(this.capture.records);
+        return this.capture;
+    }
+
+    createBinding() {
+        const replay = this;
+        return {
+            async list() {
+                await replay.load();
+                return [{ path: replay.path, serialNumber: replay.capture.meta.serialNumber || undefined, manufacturer: 'Capture replay' }];
+            },
+            async open(options) {
+                await replay.load();
+                const portRecord = { data: Buffer.alloc(0), echo: false, record: false, maxReadSize: 1024, info: { serialNumber: 'REPLAY' }, openOpt: { ...options } };
+                replay.portBinding = new ReplayPortBinding(replay, portRecord, options);
+                replay.portBinding.schedule(replay.script.get(`open:${replay.opens++}`) || []);
+                return replay.portBinding;
+            }
+        };
+    }
+
+    // The host wrote `bytes`; returns the chunks that answer it
+    written(bytes) {
+        const index = this.writes++;
+        const expected = this.script.writes[index];
+        if (!expected || !expected.equals(bytes)) {
+            const mismatch = { index, expected: expected ? expected.toString('hex') : null, actual: bytes.toString('hex') };
+            this.mismatches.push(mismatch);
+            this.emit('mismatch', mismatch);
+        }
+        return this.script.get(`tx:${index}`) || [];
+    }
+
+    delivered(step) {
+        this.emit('chunk', step.data);
+        if (--this.script.remaining === 0) this.emit('end');
+    }
+}
+
+// Groups received chunks (and disconnects) under the open or write they followed
+function buildScript(records) {
+    const script = new Map();
+    script.writes = [];
+    script.remaining = 0;
+    let anchor = null;
+    let opens = 0;
+    for (const record of records) {
+        if (record.type === 'event' && record.event === 'open') {
+            anchor = { key: `open:${opens++}`, t: record.t };
+        } else if (record.type === 'tx') {
+            anchor = { key: `tx:${script.writes.length}`, t: record.t };
+            script.writes.push(Buffer.from(record.data, 'hex'));
+        } else if (anchor && (record.type === 'rx' || (record.type === 'event' && record.event === 'disconnected'))) {
+            const step = record.type === 'rx'
+                ? { delay: Math.max(0, record.t - anchor.t), data: Buffer.from(record.data, 'hex') }
+                : { delay: Math.max(0, record.t - anchor.t), unplug: true };
+            if (!script.has(anchor.key)) script.set(anchor.key, []);
+            script.get(anchor.key).push(step);
+            if (step.data) script.remaining++;
+        }
+    }
+    return script;
+}
+
+// Plays the host side of a capture against a DeviceSerialPort on its replay:
+// the captured writes go out at their original times and mode switches are
+// applied, so the device's parsers see exactly the captured byte stream.
+// Calls onEvent(name, detail, t) for every line, packet, frame error and
+// firmware error the device reports. Resolves to { mismatches, frameErrors }.
+async function playCapture(device, replay, { onEvent = () => {}, timeout = 5000 } = {}) {
+    const { records } = await replay.load();
+    const started = Date.now();
+    const elapsed = () => Date.now() - started;
+    const listeners = {
+        response: response => onEvent('response', Buffer.isBuffer(response?.payload) ? `${messageName(response.id)} #${response.seq}` : response, elapsed()),
+        frameError: error => onEvent('frameError', `${error.reason}: ${error.line}`, elapsed()),
+        firmwareError: error => onEvent('firmwareError', error.message, elapsed()),
+        disconnected: () => onEvent('disconnected', '', elapsed())
+    };
+    for (const [event, listener] of Object.entries(listeners)) device.on(event, listener);
+
+    // Listened for up front, the last chunk may go out during the loop below
+    let onEnd = null;
+    const done = new Promise((resolve) => {
+        // Lets the parsers finish with the last chunk
+        onEnd = () => setTimeout(resolve, 50);
+        replay.once('end', onEnd);
+    });
+    let timer = null;
+    try {
+        const origin = records.find(record => record.type === 'event' && record.event === 'open')?.t ?? replay.capture.meta.t;
+        for (const record of records) {
+            const wait = (record.t - origin) / replay.speed - elapsed();
+            if (record.type === 'tx' || (record.type === 'event' && record.event === 'mode')) {
+                if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+            }
+            if (record.type === 'tx') {
+                await new Promise((resolve, reject) => device.port.write(Buffer.from(record.data, 'hex'), error => (error ? reject(error) : resolve())));
+            } else if (record.type === 'event' && record.event === 'mode') {
+                device.setMode(record.mode);
+            }
+        }
+        if (replay.script.remaining > 0) {
+            await Promise.race([done, new Promise((resolve) => { timer = setTimeout(resolve, timeout); })]);
+        }
+    } finally {
+        clearTimeout(timer);
+        replay.off('end', onEnd);
+        for (const [event, listener] of Object.entries(listeners)) device.off(event, listener);
+    }
+    return { mismatches: replay.mismatches, frameErrors: device.frameErrors };
+}
+
+const USAGE = `Usage: node serial-capture.js <command> <capture.jsonl> [options]
+
+  view <file>      hex dump of every chunk, annotated with the lines and packets
+                   it completed
+      --raw        the hex dump only
+      --width <n>  bytes per row (16)
+  replay <file>    feeds the capture back through DeviceSerialPort and prints
+                   what its parsers make of it
+      --speed <x>  playback speed factor (1)
+
+Record a capture with any devicectl command: --capture <file>`;
+
+async function main(argv = process.argv.slice(2), deviceOptions = {}) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                raw: { type: 'boolean' },
+                width: { type: 'string' },
+                speed: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        console.error(error.message);
+        console.error(USAGE);
+        return 2;
+    }
+    const { values, positionals: [command, file] } = parsed;
+    if (values.help || !['view', 'replay'].includes(command) || !file) {
+        console.error(USAGE);
+        return values.help ? 0 : 2;
+    }
+
+    if (command === 'view') {
+        console.log(formatCapture(await readCapture(file), { annotate: !values.raw, width: Number(values.width) || 16 }));
+        return 0;
+    }
+
+    const DeviceSerialPort = require('./serialport');
+    const replay = new CaptureReplay(file, { speed: Number(values.speed) || 1 });
+    const { meta } = await replay.load();
+    const device = new DeviceSerialPort({
+        ...deviceOptions,
+        replay,
+        simulate: false,
+        baudRate: meta.baudRate,
+        interactive: false,
+        reconnect: false,
+        safety: { processHooks: false }
+    });
+    const counts = {};
+    await device.initialize();
+    try {
+        const result = await playCapture(device, replay, {
+            onEvent: (name, detail, t) => {
+                counts[name] = (counts[name] || 0) + 1;
+                console.log(`${(t / 1000).toFixed(3).padStart(9)}s  ${name.padEnd(13)} ${detail}`);
+            }
+        });
+        console.log(`\n${Object.entries(counts).map(([name, count]) => `${count} ${name}`).join(', ') || 'nothing received'}`);
+        for (const mismatch of result.mismatches) {
+            console.log(`Write #${mismatch.index} differs from the capture: ${mismatch.actual} instead of ${mismatch.expected}`);
+        }
+    } finally {
+        // The firmware in the capture is gone; nothing to switch back to text
+        device.setMode('text');
+        await device.close({ keepOutputs: true });
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    main().then(code => process.exit(code), (error) => {
+        console.error('Capture failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = SerialCapture;
+module.exports.SCHEMA = SCHEMA;
+module.exports.readCapture = readCapture;
+module.exports.formatCapture = formatCapture;
+module.exports.CaptureReplay = CaptureReplay;
+module.exports.playCapture = playCapture;
+module.exports.main = main;
@@ -3,22 +3,147 @@ const { SerialPortStream } = require('@serialport/stream');
 const { autoDetect } = require('@serialport/bindings-cpp');
 const EventEmitter = require('events');
 const readline = require('readline');
+const { now } = require('./clock');
+const { resolvePortSpec, findPort, describePort, loadPortConfig } = require('./port-spec');
+const CommandQueue = require('./command-queue');
+const RingBuffer = require('./ring-buffer');
+const { loadProtocol, formatCommand, matchReply } = require('./protocol');
+const { createLineParser, verifyChecksum } = require('./framing');
+const {
+    MESSAGES, messageName, encodePacket, decodePacket, decodeHello, decodeError, encodeRate, sequenceGap, createPacketParser
+} = require('./binary-protocol');
+const SafetyController = require('./safety');
+const { DeviceError, DisconnectedError, PortLockedError, FirmwareError } = require('./errors');
+const FirmwareSimulator = require('./simulator');
+const SerialCapture = require('./serial-capture');
+const { CaptureReplay } = require('./serial-capture');
+const { logger, setDebug, escapeBytes } = require('./logging');
+
+const log = {
+    port: logger('port'),
+    raw: logger('raw'),
+    queue: logger('queue'),
+    protocol: logger('protocol'),
+    stream: logger('stream')
+};
+
+// 8N1 with RTS/CTS, what the sensor board firmware has always used
+const LINE_DEFAULTS = {
+    dataBits: 8,
+    stopBits: 1,
+    parity: 'none',
+    rtscts: true
+};
+
+function pickLineSettings(source = {}) {
+    const settings = {};
+    for (const key of Object.keys(LINE_DEFAULTS)) {
+        if (source[key] !== undefined) settings[key] = source[key];
+    }
+    return settings;
+}
+
+const RECONNECT_DEFAULTS = {
+    initialDelay: 500,
+    maxDelay: 10000,
+    factor: 2,
+    maxAttempts: Infinity
+};
 
 class DeviceSerialPort extends EventEmitter {
-    constructor(baudRate = 9600) {
+    // Accepts a baud rate for backwards compatibility, or an options object:
+    // { baudRate, dataBits, stopBits, parity, rtscts, port, interactive, binding, simulate, protocol, safety,
+    // reconnect, setupCommands, binary, debug } where port is a path string
+    // or a { path, vendorId, productId, serialNumber, manufacturer, config } spec.
+    // Line settings not given here come from SERIAL_PORT_CONFIG, then LINE_DEFAULTS.
+    // `simulate` targets a FirmwareSimulator: pass true, simulator options or an instance.
+    // `protocol` is a command table (or a path to one), see protocol.js.
+    // `safety` takes { maxOnTime, interlocks, processHooks }, see safety.js.
+    // `binary` offers the protocol's framed binary mode after every (re)connect:
+    // true falls back to text lines if the firmware doesn't answer, 'required' fails.
+    // `capture` records the raw traffic: a file path, true (logs/captures/) or
+    // SerialCapture options. `replay` plays a capture back as the device: a file,
+    // { file, speed } or a CaptureReplay; see serial-capture.js.
+    constructor(options = {}) {
         super();
-        this.baudRate = baudRate;
+        if (typeof options === 'number') {
+            options = { baudRate: options };
+        }
+        const config = this.portConfig();
+        this.baudRate = options.baudRate || config.baudRate || 9600;
+        this.lineSettings = { ...LINE_DEFAULTS, ...pickLineSettings(config), ...pickLineSettings(options) };
+        this.portSpec = options.port || null;
+        this.interactive = options.interactive !== undefined ? options.interactive : Boolean(process.stdin.isTTY);
+        this.binding = options.binding || null;
+        this.simulator = null;
+        const simulate = options.simulate !== undefined ? options.simulate : process.env.SERIAL_SIMULATE === '1';
+        if (simulate) {
+            this.simulator = simulate instanceof FirmwareSimulator
+                ? simulate
+                : new FirmwareSimulator(typeof simulate === 'object' ? simulate : {});
+            this.binding = this.simulator.binding;
+            this.portSpec = this.portSpec || this.simulator.path;
+        }
+        this.replay = null;
+        if (options.replay) {
+            const { file, ...replayOptions } = typeof options.replay === 'object' ? options.replay : { file: options.replay };
+            this.replay = options.replay instanceof CaptureReplay ? options.replay : new CaptureReplay(file, replayOptions);
+            this.binding = this.replay.binding;
+            this.portSpec = this.portSpec || this.replay.path;
+        }
+        this.protocol = loadProtocol(options.protocol);
+        // Tracked actuator state, e.g. { magnet: false, ac: false }
+        this.state = {};
+        for (const actuator of Object.keys(this.protocol.actuators)) {
+            this.state[actuator] = false;
+        }
+        this.safety = new SafetyController(this, options.safety);
         this.port = null;
         this.portPath = null;
-        this.isBusy = false;
+        this.portInfo = null;
         this.lastCommand = null;
-        this.debugMode = true; // Enable debug logging
+        // Lines dropped by the framing layer (bad checksums)
+        this.frameErrors = 0;
+        // 'text' lines or 'binary' packets, as negotiated on connect
+        this.mode = 'text';
+        this.binaryOption = options.binary || false;
+        if (this.binaryOption && !this.protocol.binary) {
+            throw new DeviceError(`Protocol "${this.protocol.name}" has no binary mode`, { code: 'EPROTOCOL' });
+        }
+        this.binaryInfo = null;
+        this.sequence = 0;
+        this.streamSequence = null;
+        // Binary mode counters; dropped packets also count as frameErrors
+        this.packetStats = { packets: 0, crcErrors: 0, malformed: 0, unmatched: 0, sequenceGaps: 0, missed: 0 };
+        this.parser = null;
+        this.parserPort = null;
+        // DTR/RTS as last set with setModemLines(), null while they are as opened
+        this.modemOutputs = null;
+        // Commands sent after every (re)connect to put the firmware into a known state
+        this.setupCommands = options.setupCommands || [];
+        this.reconnectOptions = options.reconnect === false
+            ? null
+            : { ...RECONNECT_DEFAULTS, ...(typeof options.reconnect === 'object' ? options.reconnect : {}) };
+        this.closing = false;
+        this.reconnecting = false;
+        // The running backoff loop, so a close or error during an attempt doesn't start a second one
+        this.reconnection = null;
+        this.stream = null;
+        this.lastStreamStats = null;
+        // true (or a DEBUG-style namespace list) switches diagnostic output on, see logging.js;
+        // otherwise the DEBUG environment variable decides
+        if (options.debug !== undefined && options.debug !== false) {
+            setDebug(options.debug);
+        }
+        // Every byte sent and received, once startCapture() runs (see serial-capture.js)
+        this.captureOption = options.capture || null;
+        this.capture = null;
+        this.queue = new CommandQueue((command, options) => this.writeLine(command, options), (message) => log.queue(message));
     }
 
+    // General diagnostic output, for the modules that drive a device
     debug(message) {
-        if (this.debugMode) {
-            console.log(`[DEBUG] ${message}`);
-        }
+        log.port(message);
     }
 
     createInterface() {
@@ -40,10 +165,52 @@ class DeviceSerialPort extends EventEmitter {
         }
     }
 
+    portConfig() {
+        if (!process.env.SERIAL_PORT_CONFIG) return {};
+        return loadPortConfig(process.env.SERIAL_PORT_CONFIG);
+    }
+
+    listPorts() {
+        return this.binding ? this.binding.list() : SerialPort.list();
+    }
+
+    createPort() {
+        const settings = {
+            path: this.portPath,
+            baudRate: this.baudRate,
+            ...this.lineSettings,
+            autoOpen: false
+        };
+        return this.binding
+            ? new SerialPortStream({ ...settings, binding: this.binding })
+            : new SerialPort(settings);
+    }
+
+    async resolvePort(portSpec = this.portSpec) {
+        const spec = resolvePortSpec(portSpec);
+
+        if (spec) {
+            // A bare path is used as-is so ports missing from SerialPort.list() (ptys, sockets) still work
+            if (Object.keys(spec).length === 1 && spec.path) {
+                const ports = await this.listPorts().catch(() => []);
+                this.portInfo = ports.find(port => port.path === spec.path) || { path: spec.path };
+                return spec.path;
+            }
+            this.portInfo = await findPort(spec, () => this.listPorts());
+            log.port(`Matched port: ${describePort(this.portInfo)}`);
+            return this.portInfo.path;
+        }
+
+        if (!this.interactive) {
+            throw new DeviceError('No serial port specified; pass a port spec or set SERIAL_PORT or SERIAL_PORT_CONFIG', { code: 'ENOPORT' });
+        }
+        return this.selectPort();
+    }
+
     async selectPort() {
         try {
-            const ports = await SerialPort.list();
-            this.debug(`Found ${ports.length} ports`);
+            const ports = await this.listPorts();
+            log.port(`Found ${ports.length} ports`);
             
             if (ports.length === 0) {
                 throw new Error('No serial ports found');
@@ -69,7 +236,7 @@ class DeviceSerialPort extends EventEmitter {
                 const index = parseInt(portNumber) - 1;
                 if (index >= 0 && index < ports.length) {
                     const selectedPort = ports[index];
-                    this.debug(`Selected port: ${selectedPort.path}`);
+                    log.port(`Selected port: ${selectedPort.path}`);
                     
                     const confirm = await new Promise(resolve => {
                         rl.question('Is this the correct port? (y/n): ', resolve);
@@ -77,6 +244,7 @@ class DeviceSerialPort extends EventEmitter {
 
                     if (confirm.toLowerCase() === 'y') {
                         rl.close();
+                        this.portInfo = selectedPort;
                         return selectedPort.path;
                     }
                 } else {
@@ -84,56 +252,170 @@ class DeviceSerialPort extends EventEmitter {
                 }
             }
         } catch (error) {
-            console.error('Error listing ports:', error);
+            log.port(`Port selection failed: ${error.message}`);
             throw error;
         }
     }
 
-    async initialize() {
+    async initialize(portSpec) {
+        if (portSpec !== undefined) {
+            this.portSpec = portSpec;
+        }
         try {
-            this.portPath = await this.selectPort();
+            this.portPath = await this.resolvePort();
             
-            this.debug(`Initializing port ${this.portPath} with baud rate ${this.baudRate}`);
+            log.port(`Initializing port ${this.portPath} with baud rate ${this.baudRate}`);
             
-            this.port = new SerialPort({
-                path: this.portPath,
-                baudRate: this.baudRate,
-                dataBits: 8,
-                stopBits: 1,
-                parity: 'none',
-                autoOpen: false,
-                rtscts: true,  // Enable hardware flow control
-            });
-
-            await this.openPort();
-            this.setupDataListener();
-            console.log('Serial port initialized successfully');
+            this.closing = false;
+            await this.connect();
+            this.safety.install();
+            log.port('Serial port initialized');
         } catch (error) {
-            console.error('Failed to initialize serial port:', error);
+            log.port(`Failed to initialize serial port: ${error.message}`);
             throw error;
         }
     }
 
+    get isConnected() {
+        return Boolean(this.port?.isOpen) && !this.reconnecting;
+    }
+
+    async connect() {
+        this.port = this.createPort();
+        this.modemOutputs = null;
+        this.mode = 'text';
+        await this.openPort();
+        if (this.captureOption && !this.capture) {
+            await this.startCapture(this.captureOption);
+        } else {
+            this.capture?.note('open', { path: this.portPath, baudRate: this.baudRate }, now());
+        }
+        this.setupDataListener();
+        // Setup commands are text lines, so they go out before switching modes
+        await this.restoreState();
+        if (this.binaryOption) {
+            await this.negotiate();
+        }
+        if (this.stream?.source === 'device') {
+            this.startDeviceStream(this.stream);
+        }
+    }
+
+    // Asks the firmware to switch to framed binary packets by sending the
+    // protocol's `binary.enter` line; firmware that can answers with a HELLO
+    // packet. Without one (older firmware ignores the line or answers with an
+    // error) the link stays on text lines, unless binary mode is required.
+    async negotiate() {
+        const binary = this.protocol.binary;
+        // Packets are parsed from here on, so the HELLO can't slip past as a line
+        this.setMode('binary');
+        try {
+            const hello = await this.sendCommand(binary.enter, {
+                expect: packet => packet.id === MESSAGES.HELLO,
+                parse: packet => decodeHello(packet.payload),
+                timeout: binary.timeout
+            });
+            if (hello.version !== binary.version) {
+                await this.leaveBinary().catch(() => {});
+                throw new DeviceError(`Firmware speaks binary protocol version ${hello.version}, expected ${binary.version}`, { code: 'EPROTOCOL' });
+            }
+            this.binaryInfo = hello;
+            log.protocol(`Binary mode: ${JSON.stringify(hello)}`);
+            this.emit('mode', { mode: 'binary', ...hello });
+        } catch (error) {
+            this.setMode('text');
+            if (this.binaryOption === 'required') {
+                throw new DeviceError(`Firmware did not switch to binary mode: ${error.message}`, { code: 'EPROTOCOL', cause: error });
+            }
+            log.protocol(`Staying in text mode: ${error.message}`);
+            this.emit('mode', { mode: 'text', reason: error.message });
+        }
+    }
+
+    // Sends the firmware back to text lines
+    async leaveBinary() {
+        if (this.mode !== 'binary') return;
+        try {
+            await this.sendPacket(MESSAGES.TEXT, [], { timeout: this.protocol.binary.timeout });
+        } finally {
+            this.setMode('text');
+        }
+    }
+
+    // Swaps the parser the port's bytes go through
+    setMode(mode) {
+        this.mode = mode;
+        this.capture?.note('mode', { mode }, now());
+        if (this.port) this.attachParser();
+    }
+
+    // Starts recording every byte sent and received (see serial-capture.js);
+    // resolves to the capture file. Takes the same values as the `capture` option.
+    async startCapture(options = true) {
+        await this.stopCapture();
+        const capture = options instanceof SerialCapture
+            ? options
+            : new SerialCapture(typeof options === 'string' ? { file: options } : typeof options === 'object' ? options : {});
+        const file = await capture.open({
+            port: this.portPath,
+            serialNumber: this.portInfo?.serialNumber || null,
+            baudRate: this.baudRate,
+            lineSettings: this.lineSettings,
+            protocol: { name: this.protocol.name, version: this.protocol.version },
+            delimiter: typeof this.protocol.framing.delimiter === 'string' ? this.protocol.framing.delimiter : '\n'
+        }, now());
+        this.capture = capture;
+        if (this.port?.isOpen) {
+            capture.note('open', { path: this.portPath, baudRate: this.baudRate }, now());
+            if (this.mode !== 'text') capture.note('mode', { mode: this.mode }, now());
+        }
+        log.port(`Capturing raw traffic to ${file}`);
+        return file;
+    }
+
+    // Resolves to the capture file, or null when nothing was being captured
+    async stopCapture() {
+        if (!this.capture) return null;
+        const capture = this.capture;
+        this.capture = null;
+        return capture.close(now());
+    }
+
+    // Replays whatever the firmware forgets across a reset or replug
+    async restoreState() {
+        for (const command of this.setupCommands) {
+            await this.sendCommand(command);
+        }
+    }
+
     async openPort() {
         return new Promise((resolve, reject) => {
             this.port.open((error) => {
                 if (error) {
-                    this.debug(`Failed to open port: ${error.message}`);
-                    reject(new Error(`Failed to open port ${this.portPath}: ${error.message}`));
+                    log.port(`Failed to open port: ${error.message}`);
+                    if (PortLockedError.matches(error)) {
+                        reject(new PortLockedError(this.portPath, error));
+                    } else {
+                        reject(new DeviceError(`Failed to open port ${this.portPath}: ${error.message}`, { code: 'EOPEN', cause: error }));
+                    }
                 } else {
-                    this.debug('Port opened successfully');
+                    log.port('Port opened successfully');
                     
                     // Set up error handlers
                     this.port.on('error', (err) => {
-                        this.debug(`Port error: ${err.message}`);
+                        log.port(`Port error: ${err.message}`);
                     });
 
                     // Monitor port status
-                    this.port.on('open', () => this.debug('Port opened'));
-                    this.port.on('close', () => this.debug('Port closed'));
-                    this.port.on('drain', () => this.debug('Port drain'));
+                    this.port.on('open', () => log.port('Port opened'));
+                    const port = this.port;
+                    port.on('close', (closeError) => {
+                        log.port('Port closed');
+                        if (port === this.port) this.handleClose(closeError);
+                    });
+                    this.port.on('drain', () => log.port('Port drain'));
 
-                    console.log(`Successfully opened port ${this.portPath}`);
+                    log.port(`Opened port ${this.portPath}`);
                     resolve();
                 }
             });
@@ -141,215 +423,698 @@ class DeviceSerialPort extends EventEmitter {
     }
 
     setupDataListener() {
-        let buffer = '';
-        this.port.on('data', (data) => {
-            const received = data.toString();
-            this.debug(`Raw data received: ${received.replace(/[\r\n]/g, '<CR>')}`);
-            
-            buffer += received;
-            const messages = buffer.split('\n');
-            buffer = messages.pop();
-            
-            for (const message of messages) {
-                this.processResponse(message.trim());
-            }
+        const port = this.port;
+        port.on('data', (data) => {
+            this.capture?.record('rx', data, now());
+            log.raw(`RX ${data.length} bytes: ${this.mode === 'binary' ? data.toString('hex') : escapeBytes(data)}`);
         });
+        this.attachParser();
 
-        this.port.on('error', (error) => {
-            this.debug(`Serial port error: ${error.message}`);
-            console.error('Serial port error:', error);
+        port.on('error', (error) => {
+            log.port(`Serial port error: ${error.message}`);
+            // Writes cancelled by a disconnect already reject their command; handleClose reports the disconnect
+            if (!port.isOpen || port !== this.port) return;
             this.emit('error', error);
         });
     }
 
+    // The protocol's line parser cuts the byte stream into lines; in binary mode
+    // it is cut into COBS frames instead
+    attachParser() {
+        if (this.parser) {
+            this.parser.removeAllListeners('data');
+            this.parserPort.unpipe(this.parser);
+        }
+        const parser = this.mode === 'binary' ? createPacketParser() : createLineParser(this.protocol.framing);
+        this.port.pipe(parser);
+        this.parserPort = this.port;
+        if (this.mode === 'binary') {
+            parser.on('data', frame => this.receivePacket(frame));
+        } else {
+            parser.on('data', line => this.receiveLine(line.toString().trim()));
+        }
+        this.parser = parser;
+    }
+
+    handleClose(closeError) {
+        // Closes we initiated ourselves, including failed reconnect attempts, are not
+        // disconnects; a port lost while an attempt is connecting fails that attempt
+        if (this.closing || this.reconnecting || this.reconnection) return;
+
+        const reason = closeError ? closeError.message : 'port closed unexpectedly';
+        log.port(`Device disconnected: ${reason}`);
+        this.capture?.note('disconnected', { reason }, now());
+        this.queue.rejectAll(new DisconnectedError(`Device disconnected: ${reason}`));
+        this.emit('disconnected', { path: this.portPath, error: closeError || null });
+
+        if (this.reconnectOptions) {
+            this.reconnect().catch((error) => {
+                log.port(`Giving up on reconnect: ${error.message}`);
+                this.emit('error', error);
+            });
+        }
+    }
+
+    // Polls for the same device (by serial number when known, so a new path
+    // after replug is fine) and reopens it with exponential backoff
+    reconnect() {
+        if (!this.reconnection) {
+            this.reconnection = this.reconnectLoop().finally(() => {
+                this.reconnection = null;
+            });
+        }
+        return this.reconnection;
+    }
+
+    async reconnectLoop() {
+        this.reconnecting = true;
+        const { initialDelay, maxDelay, factor, maxAttempts } = this.reconnectOptions;
+        const spec = this.portInfo?.serialNumber ? { serialNumber: this.portInfo.serialNumber } : null;
+        let delay = initialDelay;
+
+        try {
+            for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+                await new Promise(resolve => setTimeout(resolve, delay));
+                if (this.closing) return;
+
+                try {
+                    if (spec) {
+                        this.portInfo = await findPort(spec, () => this.listPorts());
+                        this.portPath = this.portInfo.path;
+                    }
+                    log.port(`Reconnect attempt ${attempt} on ${this.portPath}`);
+                    // Cleared so connect() can send the setup commands
+                    this.reconnecting = false;
+                    await this.connect();
+                    // Whatever the outputs were before the replug, start again from a known-safe state
+                    await this.safety.allOff('reconnect');
+                    if (!this.port?.isOpen) {
+                        throw new DisconnectedError(`Port ${this.portPath} closed while reconnecting`);
+                    }
+                    log.port(`Reconnected to ${this.portPath} after ${attempt} attempt(s)`);
+                    this.emit('reconnected', { path: this.portPath, attempts: attempt });
+                    return;
+                } catch (error) {
+                    this.reconnecting = true;
+                    if (this.port?.isOpen) {
+                        await new Promise(resolve => this.port.close(() => resolve()));
+                    }
+                    log.port(`Reconnect attempt ${attempt} failed: ${error.message}`);
+                    this.emit('reconnecting', { attempt, delay, error });
+                    delay = Math.min(delay * factor, maxDelay);
+                }
+            }
+            throw new DisconnectedError(`Could not reconnect to ${this.portPath} after ${maxAttempts} attempts`, { retryable: false });
+        } finally {
+            this.reconnecting = false;
+        }
+    }
+
+    // Resolves once the device is connected, waiting out a reconnect if one is running
+    waitForConnection() {
+        if (this.isConnected) return Promise.resolve();
+        return new Promise((resolve, reject) => {
+            const onReconnected = () => {
+                this.off('error', onError);
+                resolve();
+            };
+            const onError = (error) => {
+                this.off('reconnected', onReconnected);
+                reject(error);
+            };
+            this.once('reconnected', onReconnected);
+            this.once('error', onError);
+        });
+    }
+
+    // Checks the line's checksum, if the protocol uses them, before it is interpreted
+    receiveLine(line) {
+        if (!line) return;
+        const { checksum } = this.protocol.framing;
+        if (checksum) {
+            const result = verifyChecksum(line, checksum);
+            if (!result.ok) {
+                this.frameErrors++;
+                log.protocol(`Dropped line "${line}": ${result.error}`);
+                this.emit('frameError', { line, reason: result.error });
+                return;
+            }
+            line = result.payload;
+        }
+        this.processResponse(line);
+    }
+
+    // Checks a binary frame and routes it: replies go to the command queue by
+    // sequence number, streamed samples to the stream, errors fail their request
+    receivePacket(frame) {
+        if (frame.length === 0) return;
+        const packet = decodePacket(frame);
+        if (!packet.ok) {
+            this.dropPacket(frame, packet.kind, packet.error);
+            return;
+        }
+        // A valid CRC doesn't make the payload the right size for its message
+        let sample = null;
+        if (packet.id === MESSAGES.SAMPLE || packet.id === MESSAGES.STREAM_SAMPLE) {
+            try {
+                sample = this.protocol.binary.parseSample(packet.payload);
+            } catch (error) {
+                this.dropPacket(frame, 'malformed', error.message);
+                return;
+            }
+        }
+        this.packetStats.packets++;
+        log.protocol(`Packet ${messageName(packet.id)} #${packet.seq} (${packet.payload.length} bytes)`);
+        this.emit('response', packet);
+
+        if (packet.id === MESSAGES.STREAM_SAMPLE) {
+            this.receiveStreamSample(packet, sample);
+            return;
+        }
+        const active = this.queue.active;
+        const waiting = active && typeof active.command === 'object' && active.command.seq === packet.seq;
+        if (packet.id === MESSAGES.ERROR) {
+            const { code, message } = decodeError(packet.payload);
+            const error = new FirmwareError(`ERR ${code} ${message}`, {
+                firmwareCode: code,
+                detail: message,
+                command: waiting ? String(active.command) : null
+            });
+            log.protocol(`Firmware error: ${error.message}`);
+            this.emit('firmwareError', error);
+            if (waiting) this.queue.fail(error);
+            return;
+        }
+        if (packet.id === MESSAGES.SAMPLE) {
+            this.emit('data', sample);
+        }
+        if (!this.queue.handleLine(packet)) {
+            // A reply to a request that already timed out, or a sequence number nobody sent
+            this.packetStats.unmatched++;
+            log.protocol(`Unmatched packet ${messageName(packet.id)} #${packet.seq}`);
+        }
+    }
+
+    dropPacket(frame, kind, reason) {
+        this.packetStats[kind === 'crc' ? 'crcErrors' : 'malformed']++;
+        this.frameErrors++;
+        log.protocol(`Dropped packet ${frame.toString('hex')}: ${reason}`);
+        this.emit('frameError', { line: frame.toString('hex'), reason });
+    }
+
+    receiveStreamSample(packet, values) {
+        const missed = sequenceGap(this.streamSequence, packet.seq);
+        this.streamSequence = packet.seq;
+        if (missed > 0) {
+            this.packetStats.sequenceGaps++;
+            this.packetStats.missed += missed;
+            log.stream(`Sequence gap: ${missed} streamed sample(s) lost before #${packet.seq}`);
+            this.emit('sequenceGap', { seq: packet.seq, missed });
+        }
+        const sample = { t: now(), ...values };
+        this.emit('data', sample);
+
+        const stream = this.stream;
+        if (!stream || stream.source !== 'device') return;
+        stream.stats.dropped += missed;
+        stream.stats.samples++;
+        stream.buffer.push(sample);
+        this.emit('sample', sample);
+    }
+
     processResponse(response) {
         if (!response) return;
-        this.debug(`Processing response: ${response}`);
+        log.protocol(`Processing response: ${response}`);
 
-        // Reset busy state when processing response
-        this.isBusy = false;
+        const errorMatch = this.protocol.errors && response.match(this.protocol.errors);
+        if (errorMatch) {
+            const groups = errorMatch.groups || {};
+            const error = new FirmwareError(response, {
+                firmwareCode: groups.code || null,
+                detail: groups.message || null,
+                command: this.queue.active?.expect ? this.queue.active.command : null
+            });
+            log.protocol(`Firmware error: ${response}`);
+            this.emit('response', response);
+            this.emit('firmwareError', error);
+            this.queue.fail(error);
+            return;
+        }
 
-        // Updated regex to handle space after comma
-        const matches = response.match(/^(\d+\.\d+),\s*(\d+\.\d+)$/);
+        // Sensor frames are emitted as 'data' whether or not a read is waiting for them
+        const sensorRead = this.protocol.commands['sensor.read'];
+        const matches = sensorRead && matchReply(sensorRead, response);
         if (matches) {
-            const data = {
-                value1: parseFloat(matches[1]),
-                value2: parseFloat(matches[2])
-            };
-            this.debug(`Valid sensor data received: ${JSON.stringify(data)}`);
+            const data = sensorRead.parse(response, matches);
+            log.protocol(`Valid sensor data received: ${JSON.stringify(data)}`);
             this.emit('data', data);
             this.emit('response', response); // Emit response for all valid data
         } else {
-            this.debug(`Generic response received: ${response}`);
+            log.protocol(`Generic response received: ${response}`);
             this.emit('response', response);
         }
+
+        if (!this.queue.handleLine(response)) {
+            log.protocol(`Unsolicited response: ${response}`);
+        }
     }
 
-    async changePort() {
-        if (this.port && this.port.isOpen) {
-            await this.close();
+    // Reopens the port with other line settings ({ baudRate, dataBits, stopBits,
+    // parity, rtscts }). The outputs are left alone: the firmware keeps its state
+    // across a reopen, and the tracked state with it.
+    async reconfigure(settings) {
+        this.stopStream();
+        this.closing = true;
+        this.queue.rejectAll(new DeviceError('Port reconfigured with commands pending', { code: 'ECLOSED' }));
+        try {
+            if (this.port?.isOpen) {
+                await new Promise(resolve => this.port.close(() => resolve()));
+            }
+        } finally {
+            this.closing = false;
         }
-        await this.initialize();
+        if (settings.baudRate) this.baudRate = settings.baudRate;
+        this.lineSettings = { ...this.lineSettings, ...pickLineSettings(settings) };
+        log.port(`Reopening ${this.portPath} at ${this.baudRate} baud, ${JSON.stringify(this.lineSettings)}`);
+        await this.connect();
     }
 
-    async sendCommand(command) {
-        this.debug(`Attempting to send command: ${command}`);
-        
-        // Add timeout for busy wait
-        let busyWaitTime = 0;
-        const MAX_BUSY_WAIT = 1000; // 1 second maximum wait
-        
-        while (this.isBusy) {
-            this.debug('Port busy, waiting...');
-            await new Promise(resolve => setTimeout(resolve, 10));
-            busyWaitTime += 10;
-            
-            if (busyWaitTime >= MAX_BUSY_WAIT) {
-                this.debug('Busy wait timeout - forcing reset of busy state');
-                this.isBusy = false;
-                break;
+    // Modem status inputs: { cts, dsr, dcd }
+    getModemLines() {
+        return new Promise((resolve, reject) => {
+            if (!this.port?.isOpen) {
+                reject(new DeviceError('Cannot read modem lines: port is not open', { code: 'ENOTOPEN' }));
+                return;
+            }
+            this.port.get((error, status) => (error ? reject(error) : resolve(status)));
+        });
+    }
+
+    // Drives the modem control outputs, e.g. { dtr: false } to hold a board in
+    // reset. Flags not given go back to the serialport defaults (dtr and rts on).
+    setModemLines(lines) {
+        return new Promise((resolve, reject) => {
+            if (!this.port?.isOpen) {
+                reject(new DeviceError('Cannot set modem lines: port is not open', { code: 'ENOTOPEN' }));
+                return;
             }
+            this.port.set(lines, (error) => {
+                if (error) {
+                    reject(error);
+                    return;
+                }
+                this.modemOutputs = { dtr: lines.dtr !== false, rts: lines.rts !== false };
+                log.port(`Modem lines set: ${JSON.stringify(lines)}`);
+                resolve();
+            });
+        });
+    }
+
+    // Probes line settings, link quality and modem lines; see diagnostics.js
+    diagnose(options = {}) {
+        return require('./diagnostics').diagnose(this, options);
+    }
+
+    // Without a spec this falls back to the interactive picker
+    async changePort(portSpec = null) {
+        if (this.port && this.port.isOpen) {
+            await this.close();
         }
-        
-        this.isBusy = true;
-        
+        await this.initialize(portSpec);
+    }
+
+    // Writes one command line, or a packet from sendPacket() as is. Emits 'write' { command, t, written, drained } with
+    // the time of the call, of the write callback and, when `drain` is set, of the
+    // moment the OS reports the bytes as transmitted (the promise then waits for it).
+    writeLine(command, { drain = false } = {}) {
         return new Promise((resolve, reject) => {
-            this.port.write(command + '\n', (error) => {
+            if (this.reconnecting) {
+                reject(new DisconnectedError(`Cannot send command "${command}": device is reconnecting`));
+                return;
+            }
+            if (!this.port?.isOpen) {
+                reject(new DeviceError(`Cannot send command "${command}": port is not open`, { code: 'ENOTOPEN' }));
+                return;
+            }
+            this.lastCommand = command;
+            const t = now();
+            const bytes = typeof command === 'string' ? Buffer.from(command + '\n') : command.frame;
+            this.capture?.record('tx', bytes, t);
+            log.raw(`TX ${bytes.length} bytes: ${typeof command === 'string' ? escapeBytes(bytes) : bytes.toString('hex')}`);
+            this.port.write(bytes, (error) => {
                 if (error) {
-                    this.debug(`Failed to send command: ${error.message}`);
-                    this.isBusy = false;
+                    log.queue(`Failed to send command: ${error.message}`);
                     reject(new Error(`Failed to send command: ${error.message}`));
                     return;
                 }
-                this.debug(`Command "${command}" sent successfully`);
-                
-                // Set a timeout to reset busy state if no response
-                setTimeout(() => {
-                    if (this.isBusy) {
-                        this.debug('Resetting busy state after timeout');
-                        this.isBusy = false;
+                log.queue(`Command "${command}" sent successfully`);
+                const written = now();
+                if (!drain) {
+                    this.emit('write', { command, t, written, drained: null });
+                    resolve();
+                    return;
+                }
+                this.port.drain((drainError) => {
+                    if (drainError) {
+                        reject(new Error(`Failed to drain command: ${drainError.message}`));
+                        return;
                     }
-                }, 100); // 100ms timeout for busy state
-                
-                resolve();
+                    this.emit('write', { command, t, written, drained: now() });
+                    resolve();
+                });
             });
         });
     }
 
-    async ReadSensor() {
-        this.debug('Beginning sensor read operation...');
-        try {
-            await this.sendCommand('s');
-            
-            return new Promise((resolve, reject) => {
-                const timeout = setTimeout(() => {
-                    this.debug('Sensor read timeout');
-                    this.isBusy = false;
-                    reject(new Error('Sensor read timeout'));
-                }, 5000);
-
-                const handleResponse = (data) => {
-                    this.debug(`Sensor response received: ${data}`);
-                    clearTimeout(timeout);
-                    
-                    // Parse the response
-                    const matches = data.match(/^(\d+\.\d+),\s*(\d+\.\d+)$/);
-                    if (matches) {
-                        resolve({
-                            value1: parseFloat(matches[1]),
-                            value2: parseFloat(matches[2])
-                        });
-                    } else {
-                        reject(new Error('Invalid sensor data format'));
-                    }
-                };
+    // Queues a command. With `expect` (a RegExp or line predicate) the promise
+    // resolves with `parse(line, match)` of the first matching reply, otherwise
+    // as soon as the command has been written (with `drain`, transmitted).
+    sendCommand(command, options = {}) {
+        log.queue(`Queueing command: ${command}`);
+        return this.queue.enqueue(command, options);
+    }
 
-                const handleError = (error) => {
-                    this.debug(`Error during sensor read: ${error.message}`);
-                    clearTimeout(timeout);
-                    reject(error);
-                };
+    // Queues one binary packet. Resolves with `parse(reply)` of the reply that
+    // carries the same sequence number and the `reply` id (default ACK); an ERROR
+    // packet with that sequence number rejects with a FirmwareError.
+    sendPacket(id, payload = [], { reply = MESSAGES.ACK, ...options } = {}) {
+        this.sequence = (this.sequence + 1) & 0xff;
+        const seq = this.sequence;
+        const request = {
+            id,
+            seq,
+            frame: encodePacket(id, seq, Buffer.from(payload)),
+            toString: () => `${messageName(id)} #${seq}`
+        };
+        return this.sendCommand(request, {
+            expect: packet => (packet.id === reply && packet.seq === seq ? packet : null),
+            parse: () => undefined,
+            ...options
+        });
+    }
 
-                this.once('response', handleResponse);
-                this.once('error', handleError);
+    getCommand(name) {
+        const command = this.protocol.commands[name];
+        if (!command) {
+            throw new DeviceError(`Protocol "${this.protocol.name}" has no command "${name}"`, { code: 'EUNKNOWNCOMMAND' });
+        }
+        return command;
+    }
 
-                // Clean up listeners if timeout occurs
-                timeout.unref();
-            });
-        } catch (error) {
-            this.debug(`Error in ReadSensor: ${error.message}`);
-            throw error;
+    getBinaryCommand(name) {
+        const command = this.protocol.binary.commands[name];
+        if (!command) {
+            throw new DeviceError(`Protocol "${this.protocol.name}" has no binary form of "${name}"`, { code: 'EUNKNOWNCOMMAND' });
         }
+        return command;
     }
 
-    async MagnetOn() {
-        this.debug('Sending Magnet ON command');
+    // Parser of a command's reply in the current mode
+    replyParser(name) {
+        return this.mode === 'binary' ? this.getBinaryCommand(name).parse : this.getCommand(name).parse;
+    }
+
+    // Runs a command from the protocol table, e.g. invoke('magnet.on'), as a
+    // text line or, in binary mode, as its packet.
+    // `overrides` can replace the table's timeout or wrap its parser.
+    async invoke(name, args = {}, overrides = {}) {
+        const command = this.getCommand(name);
+        if (command.effect) {
+            this.safety.check(name, command.effect);
+        }
+        const binary = this.mode === 'binary' ? this.getBinaryCommand(name) : null;
+        const bytes = binary ? `${messageName(binary.id)} ${binary.payload.toString('hex')}`.trim() : formatCommand(command, args);
+        const issued = now();
+        let result;
         try {
-            await this.sendCommand('b');
-            this.debug('Magnet ON command sent successfully');
-            // Ensure busy state is reset
-            this.isBusy = false;
+            result = binary
+                ? await this.sendPacket(binary.id, binary.payload, {
+                    reply: binary.reply,
+                    parse: binary.parse,
+                    timeout: command.timeout,
+                    ...overrides
+                })
+                : await this.sendCommand(bytes, {
+                    expect: command.reply,
+                    parse: command.parse,
+                    timeout: command.timeout,
+                    ...overrides
+                });
         } catch (error) {
-            this.isBusy = false;
+            this.emit('command', { t: issued, completed: now(), name, bytes, args, error: error.message });
             throw error;
         }
+        // Emitted once the command has been written (and answered, if it expects a reply)
+        this.emit('command', { t: issued, completed: now(), name, bytes, args });
+        if (command.effect) {
+            this.applyEffect(command.effect);
+        }
+        return result;
     }
 
-    async MagnetOff() {
-        this.debug('Sending Magnet OFF command');
-        try {
-            await this.sendCommand('m');
-            this.debug('Magnet OFF command sent successfully');
-            // Ensure busy state is reset
-            this.isBusy = false;
-        } catch (error) {
-            this.isBusy = false;
-            throw error;
+    applyEffect(effect) {
+        for (const [actuator, value] of Object.entries(effect)) {
+            const previous = this.state[actuator];
+            if (previous === value) continue;
+            this.state[actuator] = value;
+            log.protocol(`Actuator ${actuator} is now ${value ? 'on' : 'off'}`);
+            this.emit('stateChange', { actuator, value, previous });
+            this.safety.onStateChange(actuator, value);
         }
     }
 
-    async ACOn() {
-        this.debug('Sending AC ON command');
+    allOff(reason) {
+        return this.safety.allOff(reason);
+    }
+
+    async ReadSensor() {
+        log.protocol('Beginning sensor read operation...');
         try {
-            await this.sendCommand('c');
-            this.debug('AC ON command sent successfully');
-            // Ensure busy state is reset
-            this.isBusy = false;
+            return await this.invoke('sensor.read');
         } catch (error) {
-            this.isBusy = false;
+            log.protocol(`Error in ReadSensor: ${error.message}`);
             throw error;
         }
     }
 
-    async ACOff() {
-        this.debug('Sending AC OFF command');
+    // Like ReadSensor, but stamps the reply with its arrival time
+    readSample(timeout = 1000) {
+        const parse = this.replyParser('sensor.read');
+        return this.invoke('sensor.read', {}, {
+            parse: (line, matches) => ({ t: now(), ...parse(line, matches) }),
+            timeout
+        });
+    }
+
+    // Host-timed acquisition: polls the sensor at rateHz on absolute deadlines and
+    // emits 'sample' events. A tick that finds the previous read still in flight
+    // counts as late; a failed or timed-out read counts as dropped.
+    startStream({ rateHz = 20, bufferSize = 1024, timeout = 1000 } = {}) {
+        if (this.stream) {
+            throw new DeviceError('Stream is already running', { code: 'ESTREAMING' });
+        }
+        const stream = {
+            rateHz,
+            period: 1000 / rateHz,
+            timeout,
+            buffer: new RingBuffer(bufferSize),
+            stats: { samples: 0, dropped: 0, late: 0, overflow: 0 },
+            startTime: now(),
+            tick: 0,
+            inFlight: false,
+            timer: null,
+            // In binary mode the firmware times the samples itself
+            source: this.mode === 'binary' && this.protocol.binary.stream ? 'device' : 'host'
+        };
+        this.stream = stream;
+        log.stream(`Starting stream at ${rateHz} Hz (${stream.source}-timed)`);
+        this.emit('streamStart', { rateHz, source: stream.source });
+        if (stream.source === 'device') {
+            this.startDeviceStream(stream);
+        } else {
+            this.takeSample(stream);
+        }
+        return stream.stats;
+    }
+
+    // Has the firmware push STREAM_SAMPLE packets at the stream's rate; polls
+    // from the host instead if that fails or the link is back on text lines
+    startDeviceStream(stream) {
+        const poll = (reason) => {
+            if (this.stream !== stream || stream.source === 'host') return;
+            log.stream(`Polling samples from the host instead: ${reason}`);
+            stream.source = 'host';
+            stream.startTime = now();
+            stream.tick = 0;
+            this.takeSample(stream);
+        };
+        if (this.mode !== 'binary') {
+            poll('link is in text mode');
+            return;
+        }
+        this.streamSequence = null;
+        this.sendPacket(MESSAGES.STREAM, encodeRate(stream.rateHz), { timeout: stream.timeout })
+            .catch(error => poll(error.message));
+    }
+
+    scheduleSample(stream) {
+        stream.tick++;
+        // Deadlines missed entirely (e.g. a blocked event loop) are counted, not replayed
+        const due = Math.floor((now() - stream.startTime) / stream.period);
+        if (due > stream.tick) {
+            stream.stats.late += due - stream.tick;
+            stream.tick = due;
+        }
+        const delay = Math.max(0, stream.startTime + stream.tick * stream.period - now());
+        stream.timer = setTimeout(() => this.takeSample(stream), delay);
+    }
+
+    takeSample(stream) {
+        if (this.stream !== stream) return;
+
+        if (stream.inFlight) {
+            stream.stats.late++;
+        } else {
+            stream.inFlight = true;
+            this.readSample(stream.timeout).then((sample) => {
+                if (this.stream !== stream) return;
+                stream.stats.samples++;
+                stream.buffer.push(sample);
+                this.emit('sample', sample);
+            }, (error) => {
+                stream.stats.dropped++;
+                log.stream(`Stream sample dropped: ${error.message}`);
+            }).finally(() => {
+                stream.inFlight = false;
+            });
+        }
+        this.scheduleSample(stream);
+    }
+
+    stopStream() {
+        const stream = this.stream;
+        if (!stream) return null;
+        clearTimeout(stream.timer);
+        this.stream = null;
+        if (stream.source === 'device' && this.mode === 'binary' && this.isConnected) {
+            this.sendPacket(MESSAGES.STREAM, encodeRate(0)).catch((error) => {
+                log.stream(`Failed to stop the device stream: ${error.message}`);
+            });
+        }
+        this.lastStreamStats = stream.stats;
+        log.stream(`Stream stopped: ${JSON.stringify(stream.stats)}`);
+        this.emit('streamStop', stream.stats);
+        return stream.stats;
+    }
+
+    get streamStats() {
+        return this.stream ? this.stream.stats : null;
+    }
+
+    // Most recent samples held by the running stream, oldest first
+    recentSamples() {
+        return this.stream ? this.stream.buffer.toArray() : [];
+    }
+
+    // Async iterator over streamed samples. Starts the stream with `options` if it
+    // isn't running (and stops it again when the loop exits). Each iterator has its
+    // own bounded buffer; samples overwritten before being consumed count as overflow.
+    async *samples(options = {}) {
+        const ownsStream = !this.stream;
+        if (ownsStream) this.startStream(options);
+        const stats = this.stream.stats;
+        const buffer = new RingBuffer(options.bufferSize || this.stream.buffer.capacity);
+        let wake = null;
+
+        const onSample = (sample) => {
+            if (buffer.push(sample) !== undefined) stats.overflow++;
+            if (wake) wake();
+        };
+        const onStop = () => {
+            if (wake) wake();
+        };
+        this.on('sample', onSample);
+        this.on('streamStop', onStop);
+
         try {
-            await this.sendCommand('d');
-            this.debug('AC OFF command sent successfully');
-            // Ensure busy state is reset
-            this.isBusy = false;
-        } catch (error) {
-            this.isBusy = false;
-            throw error;
+            while (true) {
+                if (buffer.length > 0) {
+                    yield buffer.shift();
+                    continue;
+                }
+                if (!this.stream) return;
+                await new Promise(resolve => { wake = resolve; });
+                wake = null;
+            }
+        } finally {
+            this.off('sample', onSample);
+            this.off('streamStop', onStop);
+            if (ownsStream && this.stream?.stats === stats) this.stopStream();
         }
     }
 
-    async close() {
-        if (this.port?.isOpen) {
-            this.debug('Closing port...');
-            return new Promise((resolve, reject) => {
-                this.port.close((error) => {
-                    if (error) {
-                        this.debug(`Error closing port: ${error.message}`);
-                        reject(error);
-                    } else {
-                        this.debug('Port closed successfully');
-                        resolve();
-                    }
-                });
+    // Compatibility wrappers around the protocol table
+    async MagnetOn() {
+        log.protocol('Sending Magnet ON command');
+        await this.invoke('magnet.on');
+        log.protocol('Magnet ON command sent successfully');
+    }
+
+    async MagnetOff() {
+        log.protocol('Sending Magnet OFF command');
+        await this.invoke('magnet.off');
+        log.protocol('Magnet OFF command sent successfully');
+    }
+
+    async ACOn() {
+        log.protocol('Sending AC ON command');
+        await this.invoke('ac.on');
+        log.protocol('AC ON command sent successfully');
+    }
+
+    async ACOff() {
+        log.protocol('Sending AC OFF command');
+        await this.invoke('ac.off');
+        log.protocol('AC OFF command sent successfully');
+    }
+
+    // Switches every output off and closes the port. keepOutputs leaves the
+    // actuators as they are, for callers that hand the rig over in a set state.
+    async close({ keepOutputs = false } = {}) {
+        this.stopStream();
+        if (this.isConnected && !keepOutputs) {
+            await this.safety.allOff('close');
+        }
+        if (this.isConnected && this.mode === 'binary') {
+            await this.leaveBinary().catch((error) => {
+                log.protocol(`Failed to switch the firmware back to text mode: ${error.message}`);
             });
         }
+        this.safety.uninstall();
+        this.closing = true;
+        this.queue.rejectAll(new DeviceError('Port closed with commands pending', { code: 'ECLOSED' }));
+        try {
+            if (this.port?.isOpen) {
+                log.port('Closing port...');
+                this.capture?.note('close', {}, now());
+                await new Promise((resolve, reject) => {
+                    this.port.close((error) => {
+                        if (error) {
+                            log.port(`Error closing port: ${error.message}`);
+                            reject(error);
+                        } else {
+                            log.port('Port closed successfully');
+                            resolve();
+                        }
+                    });
+                });
+            }
+        } finally {
+            await this.stopCapture();
+        }
     }
 }
 
 module.exports = DeviceSerialPort;
+module.exports.now = now;
+module.exports.LINE_DEFAULTS = LINE_DEFAULTS;
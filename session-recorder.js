@@ -0,0 +1,342 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { now } = require('./clock');
+
+// Session recording format ("flicker-session/1")
+//
+// JSONL (default): one JSON object per line, each with a `type` and `t`
+// (epoch ms with sub-ms resolution):
+//   meta     first line of every file: schema, part, startTime (ISO), host, port,
+//            serialNumber, baudRate, protocol ({ name, version }), channels
+//            ([{ name, key, threshold, offThreshold, ... }]), calibration ({ file,
+//            createdAt } when thresholds came from one) plus any caller fields
+//   sample   raw reading: value1, value2, ...
+//   event    detector or device event: event (blinkStart, blinkEnd, disconnected,
+//            reconnected, watchdog, allOff, ...), channel when per-channel, and the
+//            event's own fields
+//   command  protocol command sent to the device: name, bytes, args, completed, error
+//   state    actuator change: actuator, value, previous
+//   end      last line of the session: summary
+//
+// CSV: header `t,type,name,channel,value1,value2,detail`, RFC 4180 quoting. `name`
+// holds the event/command/actuator name, `detail` the remaining fields as JSON.
+//
+// Writes are buffered and flushed asynchronously, holding lines back while the
+// file stream is draining; once a file reaches maxBytes the recorder continues in `<name>.<part>.<ext>`, repeating the meta line.
+
+const SCHEMA = 'flicker-session/1';
+const CSV_COLUMNS = ['t', 'type', 'name', 'channel', 'value1', 'value2', 'detail'];
+
+const RECORDER_DEFAULTS = {
+    dir: path.join(__dirname, 'logs', 'sessions'),
+    name: null,
+    format: 'jsonl',
+    maxBytes: 50 * 1024 * 1024,
+    flushInterval: 500,
+    maxBufferedLines: 1000
+};
+
+function csvEscape(value) {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Splits one CSV record into fields, honouring quotes
+function csvParse(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    fields.push(field);
+    return fields;
+}
+
+function nameOf(record) {
+    return record.event || record.name || record.actuator || null;
+}
+
+function toCsvRow(record) {
+    const { t, type, channel, value1, value2, event, name, actuator, ...rest } = record;
+    const detail = Object.keys(rest).length > 0 ? rest : null;
+    return [t, type, nameOf(record), channel, value1, value2, detail].map(csvEscape).join(',');
+}
+
+function fromCsvRow(fields) {
+    const row = Object.fromEntries(CSV_COLUMNS.map((column, i) => [column, fields[i]]));
+    const record = { type: row.type, t: Number(row.t) };
+    if (row.detail) Object.assign(record, JSON.parse(row.detail));
+    for (const key of Object.keys(row)) {
+        if (key.startsWith('value') && row[key] !== '') record[key] = Number(row[key]);
+    }
+    if (row.channel) record.channel = row.channel;
+    if (row.name) {
+        record[{ event: 'event', state: 'actuator' }[row.type] || 'name'] = row.name;
+    }
+    return record;
+}
+
+class SessionRecorder {
+    constructor(options = {}) {
+        this.options = { ...RECORDER_DEFAULTS, ...options };
+        if (!['jsonl', 'csv'].includes(this.options.format)) {
+            throw new Error(`Unknown session format "${this.options.format}"`);
+        }
+        this.meta = null;
+        this.part = 0;
+        this.files = [];
+        this.stream = null;
+        this.bytes = 0;
+        this.buffer = [];
+        this.draining = false;
+        this.timer = null;
+        this.counts = {};
+        this.detachers = [];
+    }
+
+    get file() {
+        return this.files[this.files.length - 1] || null;
+    }
+
+    fileName(part) {
+        const base = this.options.name || `session_${this.meta.startTime.replace(/[:.]/g, '-')}`;
+        return path.join(this.options.dir, `${base}${part > 0 ? `.${part}` : ''}.${this.options.format}`);
+    }
+
+    // Starts the session; `meta` is merged into the header record
+    async open(meta = {}) {
+        await fs.promises.mkdir(this.options.dir, { recursive: true });
+        this.meta = {
+            schema: SCHEMA,
+            startTime: new Date().toISOString(),
+            host: os.hostname(),
+            ...meta
+        };
+        this.openFile();
+        this.timer = setInterval(() => this.flush(), this.options.flushInterval);
+        this.timer.unref();
+        return this.file;
+    }
+
+    openFile() {
+        const file = this.fileName(this.part);
+        this.files.push(file);
+        this.stream = fs.createWriteStream(file, { flags: 'w' });
+        this.stream.on('error', (error) => {
+            console.error(`Session recorder write error (${file}):`, error.message);
+        });
+        this.bytes = 0;
+        if (this.options.format === 'csv') {
+            this.writeLine(CSV_COLUMNS.join(','));
+        }
+        this.writeLine(this.serialize({ type: 'meta', t: now(), part: this.part, ...this.meta }));
+    }
+
+    serialize(record) {
+        return this.options.format === 'csv' ? toCsvRow(record) : JSON.stringify(record);
+    }
+
+    writeLine(line) {
+        this.buffer.push(line);
+        this.bytes += Buffer.byteLength(line) + 1;
+        if (this.buffer.length >= this.options.maxBufferedLines) {
+            this.flush();
+        }
+    }
+
+    record(type, fields = {}) {
+        if (!this.stream) return;
+        const record = { type, t: fields.t !== undefined ? fields.t : now(), ...fields };
+        this.counts[type] = (this.counts[type] || 0) + 1;
+        this.writeLine(this.serialize(record));
+        if (this.bytes >= this.options.maxBytes) {
+            this.rotate();
+        }
+    }
+
+    rotate() {
+        this.writeBuffer(this.stream);
+        this.stream.end();
+        this.draining = false;
+        this.part++;
+        this.openFile();
+    }
+
+    // While the stream is draining, lines stay buffered until it asks for more
+    flush() {
+        if (!this.stream || this.draining) return;
+        const stream = this.stream;
+        if (this.writeBuffer(stream)) return;
+        this.draining = true;
+        stream.once('drain', () => {
+            if (this.stream !== stream) return;
+            this.draining = false;
+            this.flush();
+        });
+    }
+
+    // Returns false when the stream wants writes held back
+    writeBuffer(stream) {
+        if (this.buffer.length === 0) return true;
+        const lines = this.buffer;
+        this.buffer = [];
+        return stream.write(lines.join('\n') + '\n');
+    }
+
+    // Records everything a device and/or detector reports until close()
+    attach({ device = null, detector = null } = {}) {
+        const listen = (emitter, event, handler) => {
+            emitter.on(event, handler);
+            this.detachers.push(() => emitter.off(event, handler));
+        };
+
+        // The detector re-emits the samples it consumes; without one, record the device stream
+        listen(detector || device, 'sample', sample => this.record('sample', sample));
+
+        if (detector) {
+            for (const event of ['blinkStart', 'blinkEnd']) {
+                listen(detector, event, data => this.record('event', { event, ...data }));
+            }
+        }
+        if (device) {
+            listen(device, 'command', (command) => {
+                // Sensor reads are implied by the sample records
+                if (command.name !== 'sensor.read') this.record('command', command);
+            });
+            listen(device, 'stateChange', change => this.record('state', change));
+            for (const event of ['disconnected', 'reconnected', 'watchdog', 'allOff']) {
+                listen(device, event, (data = {}) => this.record('event', { event, ...serializable(data) }));
+            }
+        }
+        return this;
+    }
+
+    async close(summary = null) {
+        if (!this.stream) return this.files;
+        for (const detach of this.detachers) detach();
+        this.detachers = [];
+        this.record('end', { summary, counts: { ...this.counts } });
+        clearInterval(this.timer);
+        const stream = this.stream;
+        this.stream = null;
+        // end() writes out whatever the stream is still holding
+        this.writeBuffer(stream);
+        await new Promise(resolve => stream.end(resolve));
+        return this.files;
+    }
+}
+
+// Header fields describing the rig and detector settings of a session
+function sessionMeta({ device = null, detector = null } = {}) {
+    const meta = {};
+    if (device) {
+        Object.assign(meta, {
+            port: device.portPath,
+            serialNumber: device.portInfo?.serialNumber || null,
+            baudRate: device.baudRate,
+            protocol: { name: device.protocol.name, version: device.protocol.version },
+            simulated: Boolean(device.simulator)
+        });
+    }
+    if (detector) {
+        meta.channels = [...detector.channels.values()].map(channel => ({
+            name: channel.name,
+            key: channel.key,
+            threshold: channel.threshold,
+            offThreshold: channel.offThreshold,
+            baselineWindow: channel.baselineWindow,
+            minOnMs: channel.minOnMs,
+            minOffMs: channel.minOffMs,
+            refractoryMs: channel.refractoryMs
+        }));
+        if (detector.calibration) {
+            meta.calibration = { file: detector.calibration.file || null, createdAt: detector.calibration.createdAt };
+        }
+    }
+    return meta;
+}
+
+// Errors don't survive JSON.stringify; keep their message
+function serializable(data) {
+    const result = {};
+    for (const [key, value] of Object.entries(data)) {
+        if (value instanceof Error) {
+            result[key] = value.message;
+        } else if (Array.isArray(value)) {
+            result[key] = value.map(item => (item && typeof item === 'object' ? serializable(item) : item));
+        } else {
+            result[key] = value;
+        }
+    }
+    return result;
+}
+
+// Splits CSV text into records; a quoted field may span line breaks
+async function* csvRecords(input) {
+    let text = '';
+    let start = 0;
+    let quoted = false;
+    for await (const chunk of input) {
+        text = text.slice(start) + chunk;
+        let i = text.length - chunk.length;
+        start = 0;
+        for (; i < text.length; i++) {
+            if (text[i] === '"') {
+                quoted = !quoted;
+            } else if (text[i] === '\n' && !quoted) {
+                yield text.slice(start, i).replace(/\r$/, '');
+                start = i + 1;
+            }
+        }
+    }
+    if (start < text.length) yield text.slice(start);
+}
+
+// Reads a session file (either format) back as records, in file order
+async function* readSession(file) {
+    const input = fs.createReadStream(file, { encoding: 'utf8' });
+    if (file.endsWith('.csv')) {
+        let first = true;
+        for await (const line of csvRecords(input)) {
+            if (!line.trim()) continue;
+            if (first) {
+                first = false;
+                continue;
+            }
+            yield fromCsvRow(csvParse(line));
+        }
+        return;
+    }
+    for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+        if (!line.trim()) continue;
+        yield JSON.parse(line);
+    }
+}
+
+module.exports = SessionRecorder;
+module.exports.readSession = readSession;
+module.exports.sessionMeta = sessionMeta;
+module.exports.csvEscape = csvEscape;
+module.exports.csvParse = csvParse;
+module.exports.SCHEMA = SCHEMA;
@@ -0,0 +1,439 @@
+const EventEmitter = require('events');
+const { MockPortBinding } = require('@serialport/binding-mock');
+const { compileFraming, appendChecksum } = require('./framing');
+const {
+    VERSION, MESSAGES, messageName, buildPacket, cobsEncode, decodePacket, encodeSample, encodeHello, encodeError
+} = require('./binary-protocol');
+
+// Outputs addressed by the binary SET command, by index
+const OUTPUTS = ['magnet', 'ac'];
+
+// Waveform factories. A waveform is a function (tMs, state, changedAt) => value,
+// where tMs is the time since the simulator started, state holds the actuators
+// and changedAt the time each actuator last switched.
+const waveforms = {
+    constant(value) {
+        return () => value;
+    },
+
+    square({ period = 1000, duty = 0.5, low = 0, high = 1, phase = 0 } = {}) {
+        return (t) => (((t + phase) % period) < period * duty ? high : low);
+    },
+
+    sine({ period = 1000, amplitude = 1, offset = 0 } = {}) {
+        return (t) => offset + amplitude * Math.sin((2 * Math.PI * t) / period);
+    },
+
+    // Discrete blinks: pulses is a list of { at, duration } in ms since start
+    pulses(pulses, { low = 0, high = 1 } = {}) {
+        return (t) => (pulses.some(p => t >= p.at && t < p.at + p.duration) ? high : low);
+    },
+
+    // A plant the actuator drives: approaches `high` exponentially (time
+    // constant `tau` ms) while the actuator is on and `low` while it is off,
+    // e.g. a coil heating up. For exercising closed-loop control.
+    firstOrder(actuator, { low = 0, high = 1, tau = 500, initial = low } = {}) {
+        let value = initial;
+        let last = null;
+        return (t, state) => {
+            if (last !== null && t > last) {
+                const target = state[actuator] ? high : low;
+                value = target + (value - target) * Math.exp(-(t - last) / tau);
+            }
+            last = t;
+            return value;
+        };
+    },
+
+    // Follows an actuator, e.g. follow('ac', { low: 0.2, high: 1.2 }), `lag` ms
+    // after it switches
+    follow(actuator, { low = 0, high = 1, lag = 0 } = {}) {
+        return (t, state, changedAt = {}) => {
+            const settled = !(t - changedAt[actuator] < lag);
+            return state[actuator] === settled ? high : low;
+        };
+    }
+};
+
+const DEFAULT_CHANNELS = [
+    waveforms.square({ period: 2000, duty: 0.2, low: 0.3, high: 1.3 }),
+    waveforms.constant(0.3)
+];
+
+class SimulatedPortBinding extends MockPortBinding {
+    constructor(simulator, openOptions) {
+        super(simulator.portRecord, openOptions);
+        this.simulator = simulator;
+    }
+
+    async write(buffer) {
+        await super.write(buffer);
+        if (this.simulator.linkUp(this.port.openOpt)) {
+            this.simulator.receive(buffer);
+        }
+    }
+
+    async close() {
+        await super.close();
+        // Opening the port resets the board (DTR), which starts in text mode
+        this.simulator.resetLink();
+    }
+
+    async get() {
+        await super.get();
+        return { cts: this.simulator.rtscts, dsr: false, dcd: false };
+    }
+
+    async set(options) {
+        await super.set(options);
+        this.simulator.modemLines = { dtr: options.dtr, rts: options.rts };
+        this.simulator.emit('modemLines', this.simulator.modemLines);
+    }
+
+    // Fails the pending read the way an unplugged USB device does, so the
+    // stream closes with a DisconnectedError
+    unplug() {
+        if (this.pendingRead) {
+            const error = new Error('Device not configured');
+            error.disconnected = true;
+            const pendingRead = this.pendingRead;
+            this.pendingRead = null;
+            pendingRead(error);
+        }
+    }
+}
+
+// Emulates the sensor board firmware: `s` answers "x.xx, y.yy" (one value per
+// channel; "value1=x.xx value2=y.yy" with format 'keyValue'), `b`/`m` switch
+// the magnet and `c`/`d` the AC output. With `acks` the firmware answers OK to
+// switch commands and "ERR 1 unknown command" to anything it doesn't know;
+// `checksum` ('xor8', 'sum8', 'crc8') appends "*XX" to every line. Timing, noise, dropped lines and
+// disconnects are scriptable so the host code can be exercised without hardware.
+// With `binary` the firmware switches to framed binary packets on "B" (see
+// binary-protocol.js) until it gets TEXT or the port is closed; `corruptRate`
+// is the share of packets sent with a broken CRC.
+// The board talks at `baudRate` and only asserts CTS when `rtscts` is true; a
+// host opening it at another baud rate, or waiting for CTS that never comes,
+// gets no replies.
+class FirmwareSimulator extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.path = options.path || '/dev/ttySIM0';
+        this.info = {
+            path: this.path,
+            manufacturer: options.manufacturer || 'Simulated Firmware',
+            serialNumber: options.serialNumber || 'SIM0001',
+            vendorId: options.vendorId || '1a86',
+            productId: options.productId || '55d4',
+            pnpId: undefined,
+            locationId: undefined
+        };
+        this.channels = options.channels || DEFAULT_CHANNELS.slice();
+        this.noise = options.noise || 0;
+        this.delay = options.delay || 0;
+        this.dropRate = options.dropRate || 0;
+        this.decimals = options.decimals !== undefined ? options.decimals : 2;
+        this.format = options.format || 'csv';
+        this.keys = options.keys || null;
+        this.acks = Boolean(options.acks);
+        this.checksum = options.checksum ? compileFraming({ checksum: options.checksum }).checksum : null;
+        this.random = options.random || Math.random;
+        this.lineEnding = options.lineEnding || '\r\n';
+        this.baudRate = options.baudRate || 9600;
+        this.rtscts = options.rtscts !== undefined ? options.rtscts : true;
+        this.modemLines = { dtr: true, rts: true };
+        this.binary = Boolean(options.binary);
+        this.binaryVersion = options.binaryVersion || VERSION;
+        this.maxRateHz = options.maxRateHz || 200;
+        this.corruptRate = options.corruptRate || 0;
+        this.mode = 'text';
+        this.rxBytes = Buffer.alloc(0);
+        this.streamTimer = null;
+        this.streamSeq = 0;
+        this.responsive = true;
+        this.plugged = true;
+        this.state = { magnet: false, ac: false };
+        this.changedAt = {};
+        this.received = [];
+        this.startTime = Date.now();
+        this.binding = this.createBinding();
+        this.resetPortRecord();
+    }
+
+    resetPortRecord() {
+        this.portRecord = {
+            data: Buffer.alloc(0),
+            echo: false,
+            record: false,
+            readyData: undefined,
+            maxReadSize: 1024,
+            info: this.info
+        };
+        this.portBinding = null;
+    }
+
+    createBinding() {
+        const simulator = this;
+        return {
+            async list() {
+                return simulator.plugged ? [{ ...simulator.info }] : [];
+            },
+            async open(options) {
+                await new Promise(resolve => process.nextTick(resolve));
+                if (!simulator.plugged || options.path !== simulator.path) {
+                    throw new Error(`Error: No such file or directory, cannot open ${options.path}`);
+                }
+                if (simulator.portRecord.openOpt) {
+                    throw new Error('Error Resource temporarily unavailable Cannot lock port');
+                }
+                simulator.portRecord.openOpt = { ...options };
+                simulator.portBinding = new SimulatedPortBinding(simulator, options);
+                simulator.emit('open', options);
+                return simulator.portBinding;
+            }
+        };
+    }
+
+    now() {
+        return Date.now() - this.startTime;
+    }
+
+    // Whether bytes written with the host's open options reach the firmware intact
+    linkUp(openOptions = {}) {
+        if (openOptions.baudRate !== this.baudRate) return false;
+        return !(openOptions.rtscts && !this.rtscts);
+    }
+
+    // Scripting helpers
+    setChannel(index, waveform) {
+        this.channels[index] = typeof waveform === 'function' ? waveform : waveforms.constant(waveform);
+    }
+
+    set(options) {
+        for (const key of ['noise', 'delay', 'dropRate', 'responsive', 'corruptRate']) {
+            if (options[key] !== undefined) this[key] = options[key];
+        }
+    }
+
+    sample() {
+        const t = this.now();
+        return this.channels.map((waveform) => {
+            const noise = this.noise ? (this.random() * 2 - 1) * this.noise : 0;
+            return Math.max(0, waveform(t, this.state, this.changedAt) + noise);
+        });
+    }
+
+    receive(buffer) {
+        if (this.mode === 'binary') {
+            this.receiveBytes(buffer);
+            return;
+        }
+        const text = buffer.toString();
+        for (const command of text.split(/[\r\n]+/).map(c => c.trim()).filter(Boolean)) {
+            this.received.push(command);
+            this.emit('command', command);
+            this.handleCommand(command);
+        }
+    }
+
+    handleCommand(command) {
+        switch (command) {
+        case 's':
+            this.reply(this.formatSample(this.sample()));
+            return;
+        case 'b':
+            this.setState('magnet', true);
+            break;
+        case 'm':
+            this.setState('magnet', false);
+            break;
+        case 'c':
+            this.setState('ac', true);
+            break;
+        case 'd':
+            this.setState('ac', false);
+            break;
+        case 'B':
+            if (!this.binary) {
+                this.unknownCommand(command);
+                return;
+            }
+            this.mode = 'binary';
+            this.rxBytes = Buffer.alloc(0);
+            this.emit('mode', 'binary');
+            this.replyPacket(MESSAGES.HELLO, 0, encodeHello({
+                version: this.binaryVersion,
+                channels: this.channels.length,
+                maxRateHz: this.maxRateHz
+            }));
+            return;
+        default:
+            this.unknownCommand(command);
+            return;
+        }
+        if (this.acks) this.reply('OK');
+    }
+
+    unknownCommand(command) {
+        this.emit('unknownCommand', command);
+        if (this.acks) this.reply(`ERR 1 unknown command ${command}`);
+    }
+
+    // Binary mode: collects bytes up to each 0x00 and handles the packet
+    receiveBytes(buffer) {
+        let bytes = Buffer.concat([this.rxBytes, buffer]);
+        let end;
+        while ((end = bytes.indexOf(0)) >= 0) {
+            const frame = bytes.subarray(0, end);
+            bytes = bytes.subarray(end + 1);
+            if (frame.length === 0) continue;
+            const packet = decodePacket(frame);
+            if (!packet.ok) {
+                this.emit('badPacket', packet.error);
+                continue;
+            }
+            this.handlePacket(packet);
+        }
+        this.rxBytes = Buffer.from(bytes);
+    }
+
+    handlePacket({ id, seq, payload }) {
+        const name = messageName(id);
+        this.received.push(name);
+        this.emit('command', name);
+        switch (id) {
+        case MESSAGES.PING:
+            this.replyPacket(MESSAGES.HELLO, seq, encodeHello({ version: this.binaryVersion, channels: this.channels.length, maxRateHz: this.maxRateHz }));
+            return;
+        case MESSAGES.READ:
+            this.replyPacket(MESSAGES.SAMPLE, seq, encodeSample(this.now(), this.sample()));
+            return;
+        case MESSAGES.SET: {
+            const output = OUTPUTS[payload[0]];
+            if (!output || payload.length < 2) {
+                this.replyPacket(MESSAGES.ERROR, seq, encodeError(2, `no output ${payload[0]}`));
+                return;
+            }
+            this.setState(output, payload[1] !== 0);
+            break;
+        }
+        case MESSAGES.STREAM:
+            this.startStreaming(payload.length >= 2 ? payload.readUInt16LE(0) : 0);
+            break;
+        case MESSAGES.TEXT:
+            this.replyPacket(MESSAGES.ACK, seq);
+            this.resetLink();
+            return;
+        default:
+            this.emit('unknownCommand', name);
+            this.replyPacket(MESSAGES.ERROR, seq, encodeError(1, `unknown command ${name}`));
+            return;
+        }
+        this.replyPacket(MESSAGES.ACK, seq);
+    }
+
+    // Pushes STREAM_SAMPLE packets at rateHz (capped at maxRateHz); 0 stops
+    startStreaming(rateHz) {
+        this.stopStreaming();
+        if (rateHz <= 0) return;
+        const period = 1000 / Math.min(rateHz, this.maxRateHz);
+        this.streamTimer = setInterval(() => {
+            this.streamSeq = (this.streamSeq + 1) & 0xff;
+            this.replyPacket(MESSAGES.STREAM_SAMPLE, this.streamSeq, encodeSample(this.now(), this.sample()));
+        }, period);
+    }
+
+    stopStreaming() {
+        clearInterval(this.streamTimer);
+        this.streamTimer = null;
+    }
+
+    // Back to text lines, as after a reset
+    resetLink() {
+        this.stopStreaming();
+        if (this.mode !== 'text') this.emit('mode', 'text');
+        this.mode = 'text';
+        this.rxBytes = Buffer.alloc(0);
+    }
+
+    formatSample(values) {
+        if (this.format === 'keyValue') {
+            return values.map((v, i) => `${this.keys ? this.keys[i] : `value${i + 1}`}=${v.toFixed(this.decimals)}`).join(' ');
+        }
+        return values.map(v => v.toFixed(this.decimals)).join(', ');
+    }
+
+    setState(actuator, value) {
+        if (this.state[actuator] === value) return;
+        this.state[actuator] = value;
+        this.changedAt[actuator] = this.now();
+        this.emit('stateChange', actuator, value);
+    }
+
+    reply(line) {
+        this.deliver(line, () => this.emitLine(this.checksum ? appendChecksum(line, this.checksum) : line));
+    }
+
+    replyPacket(id, seq, payload = Buffer.alloc(0)) {
+        this.deliver({ id, seq }, () => {
+            const packet = buildPacket(id, seq, payload);
+            if (this.corruptRate && this.random() < this.corruptRate) {
+                packet[packet.length - 1] ^= 0x5a;
+            }
+            this.emitBytes(Buffer.concat([cobsEncode(packet), Buffer.from([0])]));
+        });
+    }
+
+    // Sends a reply subject to responsive, dropRate and delay
+    deliver(what, send) {
+        if (!this.responsive) return;
+        if (this.dropRate && this.random() < this.dropRate) {
+            this.emit('dropped', what);
+            return;
+        }
+        const delay = typeof this.delay === 'function' ? this.delay() : this.delay;
+        if (delay > 0) {
+            setTimeout(send, delay);
+        } else {
+            process.nextTick(send);
+        }
+    }
+
+    // Pushes a raw line to the host, e.g. to inject garbage or firmware messages
+    emitLine(line) {
+        if (this.portBinding?.isOpen) {
+            this.portBinding.emitData(line + this.lineEnding);
+        }
+    }
+
+    emitBytes(bytes) {
+        if (this.portBinding?.isOpen) {
+            this.portBinding.emitData(bytes);
+        }
+    }
+
+    // Simulates pulling the USB cable; the device disappears from list()
+    unplug() {
+        this.plugged = false;
+        this.resetLink();
+        const portBinding = this.portBinding;
+        if (portBinding) portBinding.unplug();
+        this.emit('unplug');
+    }
+
+    // Simulates plugging the device back in after an unplug()
+    plug() {
+        if (this.portBinding?.isOpen) {
+            this.portBinding.close().catch(() => {});
+        }
+        this.resetPortRecord();
+        this.state = { magnet: false, ac: false };
+        this.changedAt = {};
+        this.plugged = true;
+        this.emit('plug');
+    }
+}
+
+module.exports = FirmwareSimulator;
+module.exports.FirmwareSimulator = FirmwareSimulator;
+module.exports.waveforms = waveforms;
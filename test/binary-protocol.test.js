@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DeviceSerialPort = require('../serialport');
+const { waveforms } = require('../simulator');
+const {
+    MESSAGES, crc16, cobsEncode, cobsDecode, encodePacket, decodePacket, encodeSample, decodeSample, sequenceGap, testVectors
+} = require('../binary-protocol');
+
+async function binaryDevice(simulate = {}, options = {}) {
+    const device = new DeviceSerialPort({
+        simulate: { binary: true, channels: [waveforms.constant(1.25), waveforms.constant(0.5)], ...simulate },
+        binary: true,
+        interactive: false,
+        debug: false,
+        safety: { processHooks: false },
+        ...options
+    });
+    await device.initialize();
+    return device;
+}
+
+test('COBS, CRC-16 and packets round-trip', () => {
+    assert.strictEqual(crc16(Buffer.from('123456789')), 0x29b1);
+    for (const bytes of [[], [0], [0, 0], [1, 2, 0, 3], Array.from({ length: 600 }, (_, i) => i % 256)]) {
+        const encoded = cobsEncode(Buffer.from(bytes));
+        assert.ok(!encoded.includes(0));
+        assert.deepStrictEqual([...cobsDecode(encoded)], bytes);
+    }
+    assert.deepStrictEqual([...cobsEncode(Buffer.from([0x11, 0x00, 0x00, 0x22]))], [0x02, 0x11, 0x01, 0x02, 0x22]);
+    assert.strictEqual(cobsDecode(Buffer.from([0x05, 0x11])), null);
+
+    const wire = encodePacket(MESSAGES.SAMPLE, 7, encodeSample(1000, [0.5, 1.25]));
+    assert.strictEqual(wire.indexOf(0), wire.length - 1);
+    const packet = decodePacket(wire.subarray(0, -1));
+    assert.strictEqual(packet.ok, true);
+    assert.deepStrictEqual([packet.id, packet.seq], [MESSAGES.SAMPLE, 7]);
+    assert.deepStrictEqual(decodeSample(packet.payload), { deviceTime: 1000, values: [0.5, 1.25] });
+
+    const corrupted = Buffer.from(wire.subarray(0, -1));
+    corrupted[3] ^= 0x01;
+    assert.strictEqual(decodePacket(corrupted).kind, 'crc');
+    assert.strictEqual(decodePacket(Buffer.from([0x02, 0x01])).kind, 'malformed');
+
+    assert.strictEqual(sequenceGap(null, 5), 0);
+    assert.strictEqual(sequenceGap(5, 6), 0);
+    assert.strictEqual(sequenceGap(254, 1), 2);
+
+    for (const vector of testVectors()) {
+        const bytes = Buffer.from(vector.wire.replace(/ /g, ''), 'hex');
+        const decoded = decodePacket(bytes.subarray(0, -1));
+        assert.deepStrictEqual([decoded.id, decoded.seq, decoded.payload.toString('hex')], [vector.id, vector.seq, vector.payload.replace(/ /g, '')]);
+    }
+});
+
+test('negotiates binary mode and runs the protocol commands as packets', async () => {
+    const device = await binaryDevice();
+    assert.strictEqual(device.mode, 'binary');
+    assert.deepStrictEqual(device.binaryInfo, { version: 1, channels: 2, maxRateHz: 200 });
+
+    const sample = await device.readSample();
+    assert.deepStrictEqual([sample.value1, sample.value2], [1.25, 0.5]);
+    assert.ok(Number.isInteger(sample.deviceTime));
+    await device.invoke('magnet.on');
+    assert.strictEqual(device.simulator.state.magnet, true);
+    assert.deepStrictEqual(device.simulator.received, ['B', 'READ', 'SET']);
+
+    await device.close();
+    assert.strictEqual(device.simulator.state.magnet, false);
+    assert.deepStrictEqual(device.simulator.received.slice(-3), ['SET', 'SET', 'TEXT']);
+    assert.strictEqual(device.simulator.mode, 'text');
+});
+
+test('falls back to text lines when the firmware has no binary mode', async () => {
+    const modes = [];
+    const device = new DeviceSerialPort({ simulate: { acks: true }, binary: true, interactive: false, debug: false, safety: { processHooks: false } });
+    device.on('mode', ({ mode }) => modes.push(mode));
+    await device.initialize();
+    assert.deepStrictEqual(modes, ['text']);
+    assert.strictEqual(device.mode, 'text');
+    assert.ok(Number.isFinite((await device.ReadSensor()).value1));
+    await device.close();
+
+    const strict = new DeviceSerialPort({ simulate: true, binary: 'required', interactive: false, debug: false, safety: { processHooks: false } });
+    await assert.rejects(strict.initialize(), { code: 'EPROTOCOL' });
+    await strict.close();
+});
+
+test('streams device-timed samples and counts lost and corrupted packets', async () => {
+    let n = 0;
+    const device = await binaryDevice({ random: () => (++n % 5 === 0 ? 0 : 0.9) });
+    const gaps = [];
+    device.on('sequenceGap', gap => gaps.push(gap));
+
+    // From here on every fifth packet from the firmware is lost
+    device.simulator.set({ dropRate: 0.5 });
+    let count = 0;
+    for await (const sample of device.samples({ rateHz: 100 })) {
+        assert.strictEqual(sample.value1, 1.25);
+        if (++count >= 20) break;
+    }
+    // Waits for the stop to be acknowledged
+    await device.sendPacket(MESSAGES.PING, [], { reply: MESSAGES.HELLO });
+    device.simulator.set({ dropRate: 0 });
+    assert.ok(!device.simulator.received.includes('READ'));
+    assert.ok(gaps.length > 0);
+    assert.strictEqual(device.packetStats.sequenceGaps, gaps.length);
+    assert.strictEqual(device.packetStats.missed, gaps.reduce((sum, gap) => sum + gap.missed, 0));
+    assert.ok(device.lastStreamStats.dropped > 0);
+
+    device.simulator.set({ corruptRate: 1 });
+    await assert.rejects(device.readSample(100), { code: 'ETIMEDOUT' });
+    assert.strictEqual(device.packetStats.crcErrors, 1);
+    assert.strictEqual(device.frameErrors, 1);
+    device.simulator.set({ corruptRate: 0 });
+    await device.close();
+});
+
+test('drops sample packets whose payload is the wrong size', async () => {
+    const device = await binaryDevice();
+    const frameErrors = [];
+    device.on('frameError', error => frameErrors.push(error));
+    // Valid CRC, but not a timestamp plus float32 values
+    device.simulator.emitBytes(encodePacket(MESSAGES.STREAM_SAMPLE, 1, [1, 2, 3]));
+    device.simulator.emitBytes(encodePacket(MESSAGES.SAMPLE, 2, [1, 2, 3, 4, 5]));
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(frameErrors.length, 2);
+    assert.match(frameErrors[0].reason, /not a timestamp plus float32 values/);
+    assert.strictEqual(device.packetStats.malformed, 2);
+    assert.strictEqual(device.frameErrors, 2);
+    assert.strictEqual((await device.readSample(200)).value1, 1.25);
+    await device.close();
+});
+
+test('matches replies by sequence number and fails on error packets', async () => {
+    const device = await binaryDevice({ delay: 60 });
+    await assert.rejects(device.readSample(30), { code: 'ETIMEDOUT' });
+    // The late reply to the timed-out read must not answer the next one
+    device.simulator.set({ delay: 0 });
+    const sample = await device.readSample(200);
+    assert.strictEqual(sample.value1, 1.25);
+    await new Promise(resolve => setTimeout(resolve, 80));
+    assert.strictEqual(device.packetStats.unmatched, 1);
+
+    const errors = [];
+    device.on('firmwareError', error => errors.push(error));
+    await assert.rejects(device.sendPacket(0x7e, [], { timeout: 200 }), { code: 'EFIRMWARE', message: /unknown command/ });
+    assert.strictEqual(errors[0].firmwareCode, 1);
+    await device.close();
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BlinkAnalytics = require('../blink-analytics');
+const { describe, histogram, findBursts, slidingRates, dominantFrequency } = require('../blink-analytics');
+const FlickerDetector = require('../flicker-detector');
+
+test('describe() reports order statistics and spread', () => {
+    assert.deepStrictEqual(describe([4, 1, 3, 2]), { count: 4, min: 1, max: 4, mean: 2.5, median: 2.5, stddev: Math.sqrt(1.25) });
+    assert.strictEqual(describe([]).mean, null);
+});
+
+test('histogram() bins values including the upper edge', () => {
+    const bins = histogram([0, 1, 2, 3, 4], { bins: 2 });
+    assert.deepStrictEqual(bins.map(b => b.count), [2, 3]);
+});
+
+test('findBursts() groups closely spaced blinks', () => {
+    const bursts = findBursts([0, 100, 200, 1000, 3000, 3100, 3150, 3200], { maxGap: 150, minCount: 3 });
+    assert.deepStrictEqual(bursts.map(b => [b.start, b.count]), [[0, 3], [3000, 4]]);
+});
+
+test('slidingRates() counts blinks per window', () => {
+    const times = Array.from({ length: 21 }, (_, i) => i * 500);
+    const rates = slidingRates(times, { windowMs: 2000, stepMs: 1000 });
+    assert.ok(rates.length > 0);
+    assert.ok(rates.every(r => r.rate === 2));
+});
+
+test('dominantFrequency() finds a 3 Hz flicker in jittery samples', () => {
+    const points = [];
+    for (let t = 0; t < 5000; t += 20 + (t % 3)) {
+        points.push({ t, value: Math.sin((2 * Math.PI * 3 * t) / 1000) > 0 ? 1.2 : 0.2 });
+    }
+    const result = dominantFrequency(points, { minHz: 0.5 });
+    assert.ok(Math.abs(result.frequency - 3) < 0.1, `got ${result.frequency}`);
+});
+
+test('feeds blink statistics into the detector summary', () => {
+    const detector = new FlickerDetector({ device: { interactive: false }, channels: [{ name: 'a', key: 'value1' }] });
+    // 2 Hz blinks lasting 100 ms, sampled at 50 Hz
+    for (let t = 0; t <= 10000; t += 20) {
+        detector.update({ t, value1: t % 500 < 100 ? 1.2 : 0.2 });
+    }
+    const { analytics } = detector.summary().channels.a;
+    assert.strictEqual(analytics.blinks, 20);
+    assert.strictEqual(analytics.intervals.mean, 500);
+    assert.strictEqual(analytics.durations.median, 100);
+    assert.strictEqual(analytics.blinkFrequency, 2);
+    assert.ok(Math.abs(analytics.dominantFrequency.frequency - 2) < 0.1);
+
+    const live = detector.analytics.current('a', 10000);
+    assert.strictEqual(live.rate, 2);
+});
+
+test('tracks channels it was not attached to', () => {
+    const analytics = new BlinkAnalytics();
+    analytics.addBlinkStart({ channel: 'x', t: 0 });
+    analytics.addBlinkStart({ channel: 'x', t: 300 });
+    assert.deepStrictEqual(analytics.intervals('x'), [300]);
+    assert.strictEqual(analytics.frequency('x'), null);
+});
+
+test('current() leaves out intervals from before the window', () => {
+    const analytics = new BlinkAnalytics({ windowMs: 1000 });
+    for (const t of [0, 100, 200, 5000]) analytics.addBlinkStart({ channel: 'x', t });
+    const quiet = analytics.current('x', 5500);
+    assert.strictEqual(quiet.rate, 1);
+    assert.strictEqual(quiet.intervals.count, 0);
+    assert.strictEqual(analytics.current('x', 9000).intervals.count, 0);
+
+    analytics.addBlinkStart({ channel: 'x', t: 5300 });
+    assert.strictEqual(analytics.current('x', 5500).intervals.mean, 300);
+});
@@ -0,0 +1,113 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FlickerDetector = require('../flicker-detector');
+const { deriveThresholds, saveCalibration, loadCalibration, calibrationFile } = require('../calibration');
+const { waveforms } = require('../simulator');
+
+test.beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+});
+test.afterEach(() => mock.restoreAll());
+
+function simulatedDetector(dir, options = {}) {
+    return new FlickerDetector({
+        device: {
+            simulate: {
+                serialNumber: 'CAL/01',
+                // Channel 1 lights up with the AC output, channel 2 never changes
+                channels: [waveforms.follow('ac', { low: 0.5, high: 1.5 }), waveforms.constant(0.3)]
+            },
+            interactive: false,
+            debug: false
+        },
+        calibration: dir,
+        ...options
+    });
+}
+
+test('measures baseline and stimulus amplitude and reloads the result by serial number', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calibration-'));
+    const flicker = simulatedDetector(dir);
+    await flicker.initialize();
+    assert.strictEqual(flicker.calibration, null);
+
+    const result = await flicker.calibrate({ stimulus: 'ac', idleMs: 300, stimulusMs: 200, settleMs: 50, repeats: 2, rateHz: 100 });
+    assert.strictEqual(flicker.device.state.ac, false);
+    assert.strictEqual(result.file, calibrationFile('CAL/01', dir));
+    assert.strictEqual(path.basename(result.file), 'CAL_01.json');
+
+    const { sensor1, sensor2 } = result.channels;
+    assert.strictEqual(sensor1.baseline, 0.5);
+    assert.strictEqual(sensor1.amplitude, 1);
+    assert.strictEqual(sensor1.threshold, 0.5);
+    assert.strictEqual(sensor1.offThreshold, 0.25);
+    // No response to the stimulus: falls back to the default threshold
+    assert.strictEqual(sensor2.amplitude, 0);
+    assert.strictEqual(sensor2.threshold, 0.75);
+    assert.strictEqual(flicker.channel('sensor1').threshold, 0.5);
+    await flicker.cleanup();
+
+    // A later run on the same device picks the calibration up; explicit thresholds still win
+    const later = simulatedDetector(dir, { channels: [{ name: 'sensor1', key: 'value1' }, { name: 'sensor2', key: 'value2', threshold: 0.9 }] });
+    await later.initialize();
+    assert.strictEqual(later.calibration.file, result.file);
+    assert.strictEqual(later.channel('sensor1').threshold, 0.5);
+    assert.strictEqual(later.channel('sensor2').threshold, 0.9);
+    assert.deepStrictEqual(later.summary().calibration, { file: result.file, createdAt: result.createdAt });
+    await later.cleanup();
+
+    assert.strictEqual(loadCalibration('unknown-device', dir), null);
+});
+
+test('a board without a serial number is never given a stored calibration', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calibration-'));
+    assert.throws(() => saveCalibration({ serialNumber: null, channels: {} }, dir), { code: 'ENOSERIAL' });
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+    assert.strictEqual(loadCalibration(null, dir), null);
+});
+
+test('warns once when the baseline drifts away from the calibration', () => {
+    const flicker = new FlickerDetector({
+        device: false,
+        channels: [{ name: 'a', key: 'value1', baselineWindow: 5 }],
+        calibration: { channels: { a: { baseline: 0.2, noise: 0.01, threshold: 0.6, offThreshold: 0.3 } } }
+    });
+    assert.strictEqual(flicker.channel('a').threshold, 0.6);
+    const drifts = [];
+    flicker.on('drift', event => drifts.push(event));
+
+    let t = 0;
+    const feed = (value, count) => {
+        for (let i = 0; i < count; i++) flicker.update({ t: t += 50, value1: value });
+    };
+    feed(0.25, 10);
+    assert.strictEqual(drifts.length, 0);
+    // Ambient light creeps up by less than a threshold, so it never counts as a blink
+    feed(0.4, 3);
+    feed(0.55, 20);
+    assert.strictEqual(drifts.length, 1);
+    assert.strictEqual(drifts[0].channel, 'a');
+    assert.strictEqual(drifts[0].calibrated, 0.2);
+    assert.ok(Math.abs(drifts[0].delta - 0.35) < 1e-9);
+    assert.strictEqual(flicker.channel('a').blinkCount, 0);
+
+    // Back within tolerance re-arms the warning
+    feed(0.2, 10);
+    feed(0.55, 10);
+    assert.strictEqual(drifts.length, 2);
+});
+
+test('keeps thresholds clear of the noise', () => {
+    const options = { noiseSigmas: 6, defaultThreshold: 0.75 };
+    assert.deepStrictEqual(deriveThresholds({ noise: 0.01, amplitude: 1 }, options), { threshold: 0.5, offThreshold: 0.25 });
+    assert.deepStrictEqual(deriveThresholds({ noise: 0.01, amplitude: null }, options), { threshold: 0.75, offThreshold: 0.375 });
+    assert.deepStrictEqual(deriveThresholds({ noise: 0.01, amplitude: 0.03 }, options), { threshold: 0.75, offThreshold: 0.375 });
+    const noisy = deriveThresholds({ noise: 0.2, amplitude: 1 }, options);
+    assert.ok(Math.abs(noisy.threshold - 1.2) < 1e-9);
+    assert.ok(Math.abs(noisy.offThreshold - 0.6) < 1e-9);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ChannelDetector = require('../channel-detector');
+
+// Feeds values sampled every `step` ms and collects the detector events
+function run(detector, values, step = 50) {
+    const events = [];
+    detector.on('blinkStart', e => events.push({ type: 'start', ...e }));
+    detector.on('blinkEnd', e => events.push({ type: 'end', ...e }));
+    values.forEach((value, i) => detector.update(value, i * step));
+    return events;
+}
+
+function detector(options) {
+    return new ChannelDetector(options);
+}
+
+test('a slow rise registers once it clears the baseline', () => {
+    const ramp = [0.2, 0.2, 0.2, 0.2, 0.4, 0.6, 0.8, 1.0, 1.2, 1.2, 0.2, 0.2];
+    const events = run(detector(), ramp);
+    assert.deepStrictEqual(events.map(e => e.type), ['start', 'end']);
+    assert.strictEqual(events[0].channel, 'value1');
+    assert.strictEqual(events[0].t, 7 * 50);
+    assert.strictEqual(events[1].peak, 1.2);
+});
+
+test('hysteresis keeps a wobbling blink from being counted twice', () => {
+    const values = [0.2, 0.2, 0.2, 1.2, 0.7, 1.1, 0.6, 1.2, 0.2, 0.2];
+    const flicker = detector({ threshold: 0.75, offThreshold: 0.3 });
+    const events = run(flicker, values);
+    assert.deepStrictEqual(events.map(e => e.type), ['start', 'end']);
+    assert.strictEqual(flicker.blinkCount, 1);
+    assert.strictEqual(events[1].duration, 5 * 50);
+});
+
+test('minOnMs rejects single-sample spikes', () => {
+    const values = [0.2, 0.2, 1.5, 0.2, 0.2, 1.2, 1.2, 1.2, 0.2];
+    const flicker = detector({ minOnMs: 60 });
+    const events = run(flicker, values);
+    assert.strictEqual(flicker.blinkCount, 1);
+    assert.strictEqual(events[0].t, 5 * 50);
+});
+
+test('minOffMs bridges short dropouts and refractoryMs suppresses re-triggers', () => {
+    const values = [0.2, 0.2, 1.2, 0.2, 1.2, 1.2, 0.2, 0.2, 0.2, 1.2, 0.2, 0.2, 0.2, 0.2, 1.2, 0.2];
+    const flicker = detector({ minOffMs: 60, refractoryMs: 200 });
+    const events = run(flicker, values);
+    // The dip at 150 ms is bridged, the rise at 450 ms falls in the refractory period
+    assert.deepStrictEqual(events.filter(e => e.type === 'start').map(e => e.t), [100, 700]);
+});
+
+test('the baseline follows slow drift', () => {
+    const values = Array.from({ length: 200 }, (_, i) => 0.2 + i * 0.01);
+    const flicker = detector();
+    run(flicker, values);
+    assert.strictEqual(flicker.blinkCount, 0);
+    assert.ok(flicker.baseline > 2);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CommandQueue = require('../command-queue');
+const { CommandTimeoutError, DisconnectedError } = require('../errors');
+
+// A queue whose writes are recorded and complete on the next tick
+function recordingQueue() {
+    const written = [];
+    const queue = new CommandQueue(async (command) => {
+        written.push(command);
+        await new Promise(resolve => setImmediate(resolve));
+    });
+    return { queue, written };
+}
+
+test('writes one command at a time, in order, priority first', async () => {
+    const { queue, written } = recordingQueue();
+    const first = queue.enqueue('s', { expect: /,/ });
+    const second = queue.enqueue('b');
+    const urgent = queue.enqueue('m', { priority: true });
+    assert.deepStrictEqual(written, ['s']);
+    assert.strictEqual(queue.size, 3);
+
+    await new Promise(resolve => setImmediate(resolve));
+    // Nothing else goes out while the read waits for its reply
+    assert.deepStrictEqual(written, ['s']);
+    assert.strictEqual(queue.handleLine('OK'), false);
+    assert.strictEqual(queue.handleLine('1.00, 2.00'), true);
+    assert.strictEqual(await first, '1.00, 2.00');
+    await Promise.all([second, urgent]);
+    assert.deepStrictEqual(written, ['s', 'm', 'b']);
+    assert.strictEqual(queue.size, 0);
+});
+
+test('parses the matching reply and passes the match along', async () => {
+    const { queue } = recordingQueue();
+    const reply = queue.enqueue('v', { expect: /^v(\d+)$/, parse: (line, match) => Number(match[1]) });
+    queue.handleLine('v42');
+    assert.strictEqual(await reply, 42);
+
+    const failing = queue.enqueue('s', { expect: /,/, parse: () => { throw new Error('bad frame'); } });
+    queue.handleLine('1,2');
+    await assert.rejects(failing, /bad frame/);
+});
+
+test('a pattern waiting for a text reply ignores packets', async () => {
+    const { queue } = recordingQueue();
+    const reply = queue.enqueue('s', { expect: /,/ });
+    assert.strictEqual(queue.handleLine({ id: 0x06, seq: 1, payload: Buffer.alloc(0) }), false);
+    assert.strictEqual(queue.handleLine('1,2'), true);
+    assert.strictEqual(await reply, '1,2');
+});
+
+test('times out per command and carries on with the next one', async () => {
+    const { queue, written } = recordingQueue();
+    const slow = queue.enqueue('s', { expect: /,/, timeout: 20 });
+    const fast = queue.enqueue('s', { expect: /,/, timeout: 1000 });
+    await assert.rejects(slow, CommandTimeoutError);
+    assert.strictEqual(written.length, 2);
+    // A late reply to the first read answers the second, which is still waiting
+    queue.handleLine('1,2');
+    assert.strictEqual(await fast, '1,2');
+});
+
+test('rejects everything on close or disconnect and fails the active command on error', async () => {
+    const { queue } = recordingQueue();
+    const active = queue.enqueue('s', { expect: /,/ });
+    const queued = [queue.enqueue('b'), queue.enqueue('s', { expect: /,/ })];
+    queue.rejectAll(new DisconnectedError('Device disconnected: port closed'));
+    for (const promise of [active, ...queued]) {
+        await assert.rejects(promise, { code: 'EDISCONNECTED' });
+    }
+    assert.strictEqual(queue.size, 0);
+
+    const reply = queue.enqueue('x', { expect: /OK/ });
+    assert.strictEqual(queue.fail(new Error('ERR 1 unknown command')), true);
+    await assert.rejects(reply, /unknown command/);
+    assert.strictEqual(queue.fail(new Error('nothing waiting')), false);
+});
+
+test('a failed write rejects its command only', async () => {
+    const queue = new CommandQueue(async (command) => {
+        if (command === 'bad') throw new Error('write failed');
+    });
+    const bad = queue.enqueue('bad', { expect: /OK/ });
+    const good = queue.enqueue('good');
+    await assert.rejects(bad, /write failed/);
+    await good;
+});
@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DeviceSerialPort = require('../serialport');
+const ClosedLoopController = require('../control');
+const { Pid } = require('../control');
+const { waveforms } = require('../simulator');
+
+async function plantDevice(plant = {}) {
+    const device = new DeviceSerialPort({
+        simulate: { channels: [waveforms.firstOrder('magnet', { low: 0, high: 1, tau: 200, ...plant }), waveforms.constant(0.3)] },
+        interactive: false,
+        debug: false,
+        safety: { processHooks: false }
+    });
+    await device.initialize();
+    return device;
+}
+
+test('on/off control holds the value inside the hysteresis band', async () => {
+    const device = await plantDevice();
+    const controller = new ClosedLoopController(device, {
+        mode: 'onoff', setpoint: 0.5, hysteresis: 0.05, rateHz: 50, minSwitchInterval: 0, duration: 1200
+    });
+    const ticks = [];
+    controller.on('tick', tick => ticks.push(tick));
+
+    const result = await controller.run();
+    assert.strictEqual(result.status, 'completed');
+    assert.ok(result.switches >= 3, `${result.switches} switches`);
+    const settled = ticks.filter(tick => tick.t - ticks[0].t > 400).map(tick => tick.value);
+    assert.ok(settled.every(value => value > 0.3 && value < 0.7), `settled between ${Math.min(...settled)} and ${Math.max(...settled)}`);
+    assert.ok(ticks.every(tick => tick.setpoint === 0.5 && (tick.output === 0 || tick.output === 1)));
+    assert.strictEqual(device.simulator.state.magnet, false);
+    await device.close();
+});
+
+test('rate-limits actuator switching', async () => {
+    const device = await plantDevice({ tau: 20 });
+    const controller = new ClosedLoopController(device, {
+        mode: 'onoff', setpoint: 0.5, hysteresis: 0, rateHz: 50, minSwitchInterval: 200, duration: 800
+    });
+    const result = await controller.run();
+    assert.ok(result.switches <= 5, `${result.switches} switches`);
+    assert.ok(result.deferred > 0);
+    const switches = device.simulator.received.filter(command => command === 'b' || command === 'm').length;
+    assert.ok(switches >= result.switches);
+    await device.close();
+});
+
+test('PID drives the plant towards the setpoint with time-proportioned output', async () => {
+    const device = await plantDevice();
+    const controller = new ClosedLoopController(device, {
+        mode: 'pid', setpoint: 0.6, kp: 2, ki: 2, period: 200, rateHz: 50, minSwitchInterval: 0, duration: 2000
+    });
+    const ticks = [];
+    controller.on('tick', tick => ticks.push(tick));
+    const result = await controller.run();
+    assert.strictEqual(result.status, 'completed');
+    const late = ticks.filter(tick => tick.t - ticks[0].t > 1200);
+    const mean = late.reduce((sum, tick) => sum + tick.value, 0) / late.length;
+    assert.ok(Math.abs(mean - 0.6) < 0.15, `mean ${mean}`);
+    assert.ok(late.some(tick => tick.output > 0 && tick.output < 1));
+    await device.close();
+});
+
+test('the PID integral doesn\'t wind up while the output is saturated', () => {
+    const pid = new Pid({ kp: 1, ki: 10, kd: 0 });
+    for (let i = 0; i < 100; i++) assert.strictEqual(pid.update(5, 0, 0.1), 1);
+    assert.ok(pid.integral <= 1, `integral ${pid.integral}`);
+    // Past the setpoint the output drops right away instead of unwinding first
+    assert.strictEqual(pid.update(-0.5, 1, 0.1), 0);
+});
+
+test('stops and switches the actuator off when readings go stale', async () => {
+    const device = await plantDevice();
+    const controller = new ClosedLoopController(device, {
+        mode: 'pwm', duty: 1, rateHz: 50, staleAfter: 150, duration: 5000
+    });
+    const stale = [];
+    controller.on('stale', event => stale.push(event));
+    controller.once('tick', () => setTimeout(() => device.simulator.set({ responsive: false }), 100));
+
+    const result = await controller.run();
+    assert.strictEqual(result.status, 'stale');
+    assert.strictEqual(stale.length, 1);
+    assert.ok(result.duration < 2000, `${result.duration}ms`);
+    assert.strictEqual(device.state.magnet, false);
+    device.simulator.set({ responsive: true });
+    await device.close();
+});
+
+test('rejects incomplete settings before touching the device', async () => {
+    const device = await plantDevice();
+    await assert.rejects(new ClosedLoopController(device, { mode: 'pid' }).run(), { code: 'ECONTROL', message: /numeric setpoint/ });
+    await assert.rejects(new ClosedLoopController(device, { mode: 'bang', actuator: 'laser' }).run(), { code: 'ECONTROL', message: /unknown mode.*unknown actuator/ });
+    assert.deepStrictEqual(device.simulator.received, []);
+    await device.close();
+});
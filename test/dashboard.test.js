@@ -0,0 +1,143 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const Dashboard = require('../dashboard');
+const FlickerDetector = require('../flicker-detector');
+
+test.beforeEach(() => mock.method(console, 'log', () => {}));
+test.afterEach(() => mock.restoreAll());
+
+// Reads server-sent events until `done(events)` is true
+function readEvents(url, done) {
+    return new Promise((resolve, reject) => {
+        const events = [];
+        const req = http.get(url, (res) => {
+            let buffer = '';
+            res.on('data', (chunk) => {
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) >= 0) {
+                    const block = buffer.slice(0, end);
+                    buffer = buffer.slice(end + 2);
+                    const event = block.match(/^event: (.*)$/m);
+                    const data = block.match(/^data: (.*)$/m);
+                    if (event && data) events.push({ event: event[1], data: JSON.parse(data[1]) });
+                }
+                if (done(events)) {
+                    req.destroy();
+                    resolve(events);
+                }
+            });
+        });
+        req.on('error', reject);
+    });
+}
+
+async function startDashboard() {
+    const detector = new FlickerDetector({
+        device: {
+            simulate: true,
+            interactive: false,
+            debug: false,
+            safety: { interlocks: [{ name: 'not both', forbid: { ac: true, magnet: true } }] }
+        },
+        calibration: false
+    });
+    await detector.initialize();
+    const dashboard = new Dashboard({ device: detector.device, detector, port: 0 });
+    const url = await dashboard.start();
+    return { detector, dashboard, url };
+}
+
+test('serves a self-contained page and streams status and samples', async () => {
+    const { detector, dashboard, url } = await startDashboard();
+    try {
+        const page = await (await fetch(url)).text();
+        assert.match(page, /<canvas|createElement\('canvas'\)/);
+        assert.doesNotMatch(page, /(src|href)=["']https?:/);
+
+        const status = await (await fetch(`${url}api/status`)).json();
+        assert.strictEqual(status.connected, true);
+        assert.strictEqual(status.serialNumber, 'SIM0001');
+        assert.deepStrictEqual(status.channels.map(c => c.name), ['sensor1', 'sensor2']);
+
+        const running = detector.run({ rateHz: 50 });
+        const events = await readEvents(`${url}events`, list => list.filter(e => e.event === 'sample').length >= 3);
+        detector.stop();
+        await running;
+
+        assert.strictEqual(events[0].event, 'hello');
+        assert.deepStrictEqual(events[0].data.actuators, ['magnet', 'ac']);
+        const sample = events.find(e => e.event === 'sample').data;
+        assert.strictEqual(typeof sample.value1, 'number');
+        assert.ok('sensor1' in sample.baselines);
+    } finally {
+        await dashboard.stop();
+        await detector.cleanup();
+    }
+});
+
+test('actuator buttons go through the safety rules', async () => {
+    const { detector, dashboard, url } = await startDashboard();
+    const post = async path => {
+        const response = await fetch(`${url}${path}`, { method: 'POST', headers: { 'Content-Type': 'application/json' } });
+        return { status: response.status, body: await response.json() };
+    };
+    try {
+        let result = await post('api/actuators/ac/on');
+        assert.strictEqual(result.status, 200);
+        assert.strictEqual(result.body.state.ac, true);
+
+        result = await post('api/actuators/magnet/on');
+        assert.strictEqual(result.status, 409);
+        assert.match(result.body.error, /not both/);
+        assert.strictEqual(detector.device.simulator.state.magnet, false);
+
+        assert.strictEqual((await post('api/actuators/laser/on')).status, 404);
+
+        result = await post('api/all-off');
+        assert.strictEqual(result.status, 200);
+        assert.strictEqual(detector.device.simulator.state.ac, false);
+    } finally {
+        await dashboard.stop();
+        await detector.cleanup();
+    }
+});
+
+test('refuses state-changing requests from other origins', async () => {
+    const { detector, dashboard, url } = await startDashboard();
+    const post = async (headers) => {
+        const response = await fetch(`${url}api/actuators/ac/on`, { method: 'POST', headers });
+        return { status: response.status, body: await response.json() };
+    };
+    try {
+        let result = await post({ 'Content-Type': 'application/json', Origin: 'http://evil.example' });
+        assert.strictEqual(result.status, 403);
+        assert.match(result.body.error, /evil\.example/);
+
+        // A form post needs no preflight, so a simple content type is refused too
+        result = await post({ 'Content-Type': 'text/plain', Origin: url.replace(/\/$/, '') });
+        assert.strictEqual(result.status, 415);
+
+        // DNS rebinding: the right origin header but a foreign Host
+        const port = new URL(url).port;
+        const status = await new Promise((resolve, reject) => {
+            const req = http.request(`${url}api/all-off`, {
+                method: 'POST',
+                headers: { Host: `attacker.example:${port}`, 'Content-Type': 'application/json' }
+            }, (res) => { res.resume(); resolve(res.statusCode); });
+            req.on('error', reject);
+            req.end();
+        });
+        assert.strictEqual(status, 403);
+        assert.strictEqual(detector.device.simulator.state.ac, false);
+
+        // The page itself, under either loopback name
+        result = await post({ 'Content-Type': 'application/json', Origin: `http://localhost:${port}` });
+        assert.strictEqual(result.status, 200);
+    } finally {
+        await dashboard.stop();
+        await detector.cleanup();
+    }
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DeviceManager = require('../device-manager');
+const FirmwareSimulator = require('../simulator');
+const { waveforms } = require('../simulator');
+
+function rig() {
+    const left = new FirmwareSimulator({ path: '/dev/ttySIMA', serialNumber: 'A1' });
+    const right = new FirmwareSimulator({
+        path: '/dev/ttySIMB',
+        serialNumber: 'B2',
+        channels: [waveforms.square({ period: 200, duty: 0.5, low: 0.3, high: 1.3 }), waveforms.constant(0.3)]
+    });
+    const manager = new DeviceManager({
+        defaults: { safety: { processHooks: false }, reconnect: { initialDelay: 20, maxDelay: 20 } },
+        devices: [
+            { alias: 'left', serialNumber: 'A1', simulate: left },
+            { serialNumber: 'B2', simulate: right },
+            { alias: 'missing', port: '/dev/ttyNOPE', simulate: new FirmwareSimulator(), reconnect: false }
+        ]
+    });
+    return { manager, left, right };
+}
+
+test('opens every board it can and addresses them by alias or serial number', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'log', () => {});
+    const { manager, left, right } = rig();
+    const errors = [];
+    manager.on('deviceError', ({ device }) => errors.push(device));
+
+    const opened = await manager.openAll();
+    assert.deepStrictEqual(Object.keys(opened), ['left', 'B2', 'missing']);
+    assert.strictEqual(opened.left.ok, true);
+    assert.strictEqual(opened.missing.ok, false);
+    assert.deepStrictEqual(manager.status().map(s => [s.id, s.status]), [['left', 'open'], ['B2', 'open'], ['missing', 'failed']]);
+    assert.deepStrictEqual(errors, ['missing']);
+
+    const states = [];
+    manager.on('stateChange', ({ device, actuator, value }) => states.push([device, actuator, value]));
+    await manager.invoke('A1', 'magnet.on');
+    assert.deepStrictEqual([left.state.magnet, right.state.magnet], [true, false]);
+
+    const results = await manager.broadcast('ac.on');
+    assert.deepStrictEqual(Object.keys(results), ['left', 'B2']);
+    assert.deepStrictEqual([left.state.ac, right.state.ac], [true, true]);
+    assert.deepStrictEqual(states, [['left', 'magnet', true], ['left', 'ac', true], ['B2', 'ac', true]]);
+    assert.throws(() => manager.get('C3'), { code: 'ENODEVICE' });
+
+    await manager.closeAll();
+    assert.deepStrictEqual([left.state, right.state], [{ magnet: false, ac: false }, { magnet: false, ac: false }]);
+});
+
+test('a board that disconnects doesn\'t stop the detectors on the others', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'log', () => {});
+    const { manager, left } = rig();
+    await manager.openAll();
+    const blinks = [];
+    const statuses = [];
+    manager.on('blinkStart', ({ device, channel }) => blinks.push(`${device}/${channel}`));
+    manager.on('status', ({ device, status }) => statuses.push(`${device} ${status}`));
+
+    setTimeout(() => left.unplug(), 100);
+    try {
+        const results = await manager.runDetectors({ rateHz: 50, duration: 1000, baselineWindow: 5, calibration: false });
+        assert.strictEqual(results.B2.ok, true);
+        assert.ok(results.B2.value.totalBlinks >= 3, `${results.B2.value.totalBlinks} blinks`);
+        assert.ok(blinks.includes('B2/sensor1'));
+        assert.ok(statuses.includes('left disconnected'));
+        assert.strictEqual(manager.status().find(s => s.id === 'B2').status, 'open');
+    } finally {
+        await manager.closeAll();
+    }
+});
+
+test('runs an experiment on every board in parallel', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'log', () => {});
+    const { manager, left, right } = rig();
+    await manager.openAll();
+    const steps = [];
+    manager.on('step', ({ device, action }) => steps.push(`${device} ${action}`));
+
+    const results = await manager.runExperiment({
+        name: 'pulse',
+        steps: [{ command: 'magnet.on' }, { wait: 50 }, { command: 'magnet.off' }]
+    }, { recorder: false });
+    assert.deepStrictEqual(Object.values(results).map(r => r.value.status), ['completed', 'completed']);
+    assert.deepStrictEqual(left.received, ['b', 'm', 'm', 'd']);
+    assert.deepStrictEqual(right.received, left.received);
+    assert.strictEqual(steps.filter(s => s.startsWith('left')).length, 2);
+    await manager.closeAll();
+});
+
+test('aborts the experiments running on every board', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'log', () => {});
+    const { manager, left, right } = rig();
+    await manager.openAll();
+    const aborted = [];
+    manager.on('abort', ({ device, reason }) => aborted.push(`${device} ${reason}`));
+
+    const running = manager.runExperiment({
+        name: 'long',
+        steps: [{ command: 'magnet.on' }, { wait: 10000 }, { command: 'magnet.off' }]
+    }, { recorder: false });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    manager.abortExperiments('interrupted');
+    const results = await running;
+    assert.deepStrictEqual(Object.values(results).map(r => r.value.status), ['aborted', 'aborted']);
+    assert.deepStrictEqual(aborted.sort(), ['B2 interrupted', 'left interrupted']);
+    assert.strictEqual(left.state.magnet, false);
+    assert.strictEqual(right.state.magnet, false);
+    await manager.closeAll();
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { main, splitPortOptions, parseChannels, exitCode } = require('../devicectl');
+
+// Runs the CLI with stdout captured; console output goes nowhere
+async function run(argv) {
+    let stdout = '';
+    const capture = { write: (chunk) => { stdout += chunk; } };
+    test.mock.method(console, 'log', () => {});
+    test.mock.method(console, 'error', () => {});
+    try {
+        const code = await main(argv, capture);
+        return { code, stdout };
+    } finally {
+        test.mock.restoreAll();
+    }
+}
+
+test('separates port flags from a delegated command\'s arguments', () => {
+    const { values, rest } = splitPortOptions(['session.jsonl', '--simulate', '--port=/dev/ttyUSB0', '--threshold', '0.5', '--json']);
+    assert.deepStrictEqual(values, { simulate: true, port: '/dev/ttyUSB0' });
+    assert.deepStrictEqual(rest, ['session.jsonl', '--threshold', '0.5', '--json']);
+
+    assert.deepStrictEqual(parseChannels('left=value1, right = value2,value3'), [
+        { name: 'left', key: 'value1' },
+        { name: 'right', key: 'value2' },
+        { name: 'value3', key: 'value3' }
+    ]);
+    assert.strictEqual(parseChannels(undefined), undefined);
+});
+
+test('reads samples as JSON and switches outputs from the simulator', async () => {
+    const read = await run(['read', '--simulate', '--count', '2', '--json']);
+    assert.strictEqual(read.code, 0);
+    const samples = JSON.parse(read.stdout);
+    assert.strictEqual(samples.length, 2);
+    assert.ok(Number.isFinite(samples[0].value1) && Number.isFinite(samples[0].value2));
+
+    const magnet = await run(['magnet', 'on', '--for', '20', '--simulate', '--json']);
+    assert.strictEqual(magnet.code, 0);
+    assert.deepStrictEqual(JSON.parse(magnet.stdout), { actuator: 'magnet', on: false });
+});
+
+test('maps failures to exit codes', async () => {
+    assert.strictEqual(exitCode({ code: 'ENOPORT' }), 3);
+    assert.strictEqual(exitCode({ code: 'ELOCKED' }), 4);
+    assert.strictEqual(exitCode({ code: 'ETIMEDOUT' }), 5);
+    assert.strictEqual(exitCode({ code: 'EINTERLOCK' }), 6);
+    assert.strictEqual(exitCode(new Error('boom')), 1);
+
+    assert.strictEqual((await run(['dance'])).code, 2);
+    assert.strictEqual((await run(['read', '--bogus'])).code, 2);
+    assert.strictEqual((await run(['magnet', 'sideways', '--simulate'])).code, 2);
+
+    const previous = { port: process.env.SERIAL_PORT, config: process.env.SERIAL_PORT_CONFIG };
+    delete process.env.SERIAL_PORT;
+    delete process.env.SERIAL_PORT_CONFIG;
+    try {
+        const missing = await run(['read', '--json']);
+        assert.strictEqual(missing.code, 3);
+        assert.strictEqual(JSON.parse(missing.stdout).code, 'ENOPORT');
+    } finally {
+        if (previous.port !== undefined) process.env.SERIAL_PORT = previous.port;
+        if (previous.config !== undefined) process.env.SERIAL_PORT_CONFIG = previous.config;
+    }
+});
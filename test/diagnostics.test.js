@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DeviceSerialPort = require('../serialport');
+const { probeLineSettings, measureLink, formatReport } = require('../diagnostics');
+
+async function simulatedDevice(simulate = {}, options = {}) {
+    const device = new DeviceSerialPort({ simulate, interactive: false, debug: false, ...options });
+    await device.initialize();
+    return device;
+}
+
+test('finds the baud rate and flow control the board answers at', async () => {
+    const device = await simulatedDevice({ baudRate: 115200, rtscts: false });
+    assert.strictEqual(device.simulator.portRecord.openOpt.rtscts, true);
+
+    const report = await device.diagnose({ baudRates: [9600, 115200], probeTimeout: 50, requests: 5 });
+    assert.deepStrictEqual(report.probe.candidates.map(c => [c.baudRate, c.rtscts, c.ok]), [
+        [9600, true, false],
+        [9600, false, false],
+        [115200, true, false],
+        [115200, false, true]
+    ]);
+    assert.deepStrictEqual(report.probe.found, { baudRate: 115200, rtscts: false });
+    assert.strictEqual(report.settings.baudRate, 115200);
+    assert.strictEqual(report.settings.rtscts, false);
+    assert.strictEqual(report.link.ok, 5);
+    assert.strictEqual(report.healthy, true);
+    assert.deepStrictEqual(report.checks.map(c => c.level), ['warn', 'ok']);
+    assert.match(formatReport(report), /"baudRate": 115200, "rtscts": false/);
+
+    // The device stays usable with the settings that worked
+    assert.ok(Number.isFinite((await device.ReadSensor()).value1));
+    await device.close();
+});
+
+test('reports a board that never answers as unhealthy', async () => {
+    const device = await simulatedDevice();
+    device.simulator.set({ responsive: false });
+    const report = await device.diagnose({ baudRates: [9600], flowControl: [true], probeTimeout: 20 });
+    assert.strictEqual(report.probe.found, null);
+    assert.strictEqual(report.link, null);
+    assert.strictEqual(report.healthy, false);
+    assert.strictEqual(device.baudRate, 9600);
+    await device.close();
+});
+
+test('restores the original line settings when a probe read fails', async () => {
+    const device = await simulatedDevice();
+    device.simulator.set({ responsive: false });
+    const readSample = device.readSample.bind(device);
+    device.readSample = (timeout) => {
+        if (device.baudRate === 115200) return Promise.reject(new Error('port gone'));
+        return readSample(timeout);
+    };
+    await assert.rejects(probeLineSettings(device, { baudRates: [9600, 115200], flowControl: [true], probeTimeout: 20 }), /port gone/);
+    assert.strictEqual(device.baudRate, 9600);
+    assert.strictEqual(device.lineSettings.rtscts, true);
+    await device.close();
+});
+
+test('counts timeouts and garbage in the link measurement', async () => {
+    let n = 0;
+    const device = await simulatedDevice({ random: () => (n++ % 4 === 0 ? 0 : 0.9), dropRate: 0.5 });
+    device.simulator.on('command', () => device.simulator.emitLine('ÿþ?'));
+    const link = await measureLink(device, { requests: 8, timeout: 30 });
+    assert.strictEqual(link.ok, 6);
+    assert.strictEqual(link.timeouts, 2);
+    assert.strictEqual(link.errorRate, 0.25);
+    assert.strictEqual(link.garbage, 8);
+    assert.strictEqual(link.rtt.count, 6);
+    await device.close();
+});
+
+test('reads and drives the modem lines', async () => {
+    const device = await simulatedDevice({ rtscts: false }, { rtscts: false, dataBits: 7, parity: 'even' });
+    assert.deepStrictEqual(device.lineSettings, { dataBits: 7, stopBits: 1, parity: 'even', rtscts: false });
+    assert.strictEqual(device.simulator.portRecord.openOpt.parity, 'even');
+    assert.deepStrictEqual(await device.getModemLines(), { cts: false, dsr: false, dcd: false });
+
+    await device.setModemLines({ dtr: false });
+    assert.deepStrictEqual(device.simulator.modemLines, { dtr: false, rts: true });
+    assert.deepStrictEqual(device.modemOutputs, { dtr: false, rts: true });
+    await device.close();
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const EventPublisher = require('../event-publisher');
+const { subscribe, SCHEMA } = require('../event-publisher');
+const FlickerDetector = require('../flicker-detector');
+
+function nextEvent(events, type) {
+    return new Promise((resolve) => {
+        const poll = setInterval(() => {
+            const event = events.find(e => e.type === type);
+            if (event) {
+                clearInterval(poll);
+                resolve(event);
+            }
+        }, 5);
+    });
+}
+
+test('publishes detector blinks to subscribers', async () => {
+    const publisher = new EventPublisher({ port: 0 });
+    const { port } = await publisher.start();
+    const events = [];
+    const client = subscribe({ port, name: 'test', onEvent: event => events.push(event) });
+    await nextEvent(events, 'subscribed');
+    assert.strictEqual(publisher.subscribers.size, 1);
+
+    const detector = new FlickerDetector({ device: false, channels: [{ name: 'a', key: 'value1', threshold: 0.5 }] });
+    publisher.attach({ detector });
+    const t0 = Date.now();
+    for (let i = 0; i < 10; i++) {
+        detector.update({ t: t0 + i * 50, value1: i >= 5 && i < 8 ? 1.2 : 0.2 });
+    }
+
+    const start = await nextEvent(events, 'blinkStart');
+    assert.strictEqual(start.schema, SCHEMA);
+    assert.strictEqual(start.channel, 'a');
+    assert.strictEqual(start.wallTime, t0 + 250);
+    assert.strictEqual(start.value, 1.2);
+    assert.ok(Math.abs(start.monotonic - (start.wallTime - performance.timeOrigin)) < 1e-6);
+    assert.ok(start.sentAt >= start.wallTime - 1000);
+    const end = await nextEvent(events, 'blinkEnd');
+    assert.strictEqual(end.duration, 150);
+    assert.ok(end.seq > start.seq);
+
+    await client.close();
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.strictEqual(publisher.subscribers.size, 0);
+    await publisher.stop();
+});
+
+test('drops subscribers that stop renewing', async () => {
+    const publisher = new EventPublisher({ port: 0, subscriberTimeoutMs: 30 });
+    const { port } = await publisher.start();
+    const events = [];
+    const client = subscribe({ port, onEvent: event => events.push(event), renewMs: 60000 });
+    await nextEvent(events, 'subscribed');
+
+    publisher.publish('sessionStart', { channels: ['a'] });
+    await nextEvent(events, 'sessionStart');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    publisher.publish('sessionEnd');
+    assert.strictEqual(publisher.subscribers.size, 0);
+
+    await client.close();
+    await publisher.stop();
+});
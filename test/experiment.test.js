@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DeviceSerialPort = require('../serialport');
+const ExperimentRunner = require('../experiment');
+const { validateExperiment, stepsDuration, loadExperiment } = require('../experiment');
+const { loadRecording } = require('../replay');
+const { waveforms } = require('../simulator');
+
+const pulses = {
+    name: 'pulses',
+    rateHz: 50,
+    steps: [
+        { record: 'start', window: 'stimulus' },
+        { command: 'ac.on' },
+        { wait: 100 },
+        { repeat: 3, every: 80, steps: [{ command: 'magnet.on' }, { wait: 30 }, { command: 'magnet.off' }] },
+        { command: 'ac.off' },
+        { mark: 'done' },
+        { record: 'stop' }
+    ]
+};
+
+async function simulatedDevice(simulate = {}, options = {}) {
+    const device = new DeviceSerialPort({ simulate, interactive: false, debug: false, ...options });
+    await device.initialize();
+    return device;
+}
+
+test('runs the steps on schedule and records the window', async () => {
+    const device = await simulatedDevice();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'experiment-'));
+    const runner = new ExperimentRunner(device, pulses, { recorder: { dir, name: 'run' } });
+    const result = await runner.run();
+    await device.close();
+
+    assert.strictEqual(result.status, 'completed');
+    assert.strictEqual(result.planned, 340);
+    const commands = result.steps.filter(s => s.action === 'command');
+    assert.deepStrictEqual(commands.map(s => s.command),
+        ['ac.on', 'magnet.on', 'magnet.off', 'magnet.on', 'magnet.off', 'magnet.on', 'magnet.off', 'ac.off']);
+    assert.deepStrictEqual(commands.map(s => s.scheduled), [0, 100, 130, 180, 210, 260, 290, 340]);
+    assert.deepStrictEqual(commands.map(s => s.step).slice(0, 3), ['2', '4[1].1', '4[1].3']);
+    for (const step of result.steps) {
+        assert.ok(step.late >= 0 && step.late < 50, `step ${step.step} ran ${step.late}ms late`);
+    }
+
+    assert.strictEqual(result.windows.length, 1);
+    assert.strictEqual(result.windows[0].name, 'stimulus');
+    assert.ok(result.windows[0].samples > 5);
+
+    const recording = await loadRecording(result.files[0]);
+    assert.strictEqual(recording.meta.experiment.name, 'pulses');
+    assert.strictEqual(recording.samples.length, result.windows[0].samples);
+    assert.strictEqual(recording.events.filter(e => e.event === 'step').length, result.steps.length);
+});
+
+test('lateness of a command step leaves out the device round trip', async () => {
+    const device = await simulatedDevice({ delay: 80 });
+    const runner = new ExperimentRunner(device, {
+        name: 'slow reads',
+        steps: [{ command: 'sensor.read' }, { command: 'sensor.read' }]
+    }, { recorder: false });
+    const result = await runner.run();
+    await device.close();
+    const [first, second] = result.steps;
+    assert.ok(first.late < 30, `first read logged ${first.late}ms late`);
+    // The second read could only start once the first had its reply
+    assert.ok(second.late >= 70, `second read logged ${second.late}ms late`);
+});
+
+test('aborts on a sample condition and switches everything off', async () => {
+    const device = await simulatedDevice({ channels: [waveforms.follow('ac', { low: 0.2, high: 5 }), waveforms.constant(0.3)] });
+    const runner = new ExperimentRunner(device, {
+        name: 'saturate',
+        rateHz: 50,
+        abort: [{ name: 'saturated', key: 'value1', above: 4 }],
+        steps: [{ record: 'start' }, { command: 'ac.on' }, { wait: 5000 }, { command: 'ac.off' }, { record: 'stop' }]
+    }, { recorder: false });
+    const aborts = [];
+    runner.on('abort', event => aborts.push(event.reason));
+
+    const result = await runner.run();
+    assert.strictEqual(result.status, 'aborted');
+    assert.match(result.error, /saturated/);
+    assert.deepStrictEqual(aborts, ['saturated']);
+    assert.ok(result.duration < 1000);
+    assert.strictEqual(device.stream, null);
+    assert.strictEqual(device.simulator.state.ac, false);
+    assert.strictEqual(device.state.ac, false);
+    await device.close();
+});
+
+test('leaves the outputs off when a step fails', async () => {
+    const device = await simulatedDevice({}, { safety: { interlocks: [{ name: 'not both', forbid: { ac: true, magnet: true } }] } });
+    const runner = new ExperimentRunner(device, {
+        name: 'interlocked',
+        steps: [{ command: 'ac.on' }, { wait: 20 }, { command: 'magnet.on' }, { wait: 1000 }]
+    }, { recorder: false });
+
+    const result = await runner.run();
+    assert.strictEqual(result.status, 'failed');
+    assert.match(result.error, /not both/);
+    assert.strictEqual(device.simulator.state.ac, false);
+    assert.strictEqual(device.simulator.state.magnet, false);
+    await device.close();
+});
+
+test('validates without a device and dry-runs the timeline', async () => {
+    const errors = validateExperiment(loadExperiment({
+        name: 'broken',
+        abort: [{ key: 'value1' }],
+        steps: [
+            { command: 'laser.on' },
+            { wait: -5 },
+            { repeat: 2, every: 100, steps: [{ wait: 150 }] },
+            { record: 'stop' },
+            { dance: true }
+        ]
+    }));
+    const pwm = { commands: { 'pwm.set': { name: 'pwm.set', args: ['channel', 'duty'] } } };
+    assert.deepStrictEqual(validateExperiment({ rateHz: 20, steps: [{ command: 'pwm.set', args: { channel: 1 } }] }, pwm), [
+        'step 1: command "pwm.set" requires "duty"'
+    ]);
+    assert.deepStrictEqual(errors, [
+        'abort 1: needs "above" or "below"',
+        'step 1: unknown command "laser.on"',
+        'step 2: wait must be a non-negative number of ms',
+        'step 3: body takes 150ms, longer than every 100ms',
+        'step 4: no recording window to stop',
+        'step 5: unknown step {"dance":true}'
+    ]);
+    await assert.rejects(new ExperimentRunner(null, { name: 'empty', steps: [] }, { dryRun: true }).run(), { code: 'EEXPERIMENT' });
+
+    const file = path.join(__dirname, '..', 'experiments', 'ac-magnet-pulses.json');
+    assert.deepStrictEqual(validateExperiment(loadExperiment(file)), []);
+    const result = await new ExperimentRunner(null, file, { dryRun: true }).run();
+    assert.strictEqual(result.status, 'completed');
+    assert.strictEqual(result.duration, stepsDuration(loadExperiment(file).steps));
+    assert.strictEqual(result.steps.filter(s => s.command === 'magnet.on').length, 10);
+    assert.ok(result.steps.every(s => s.late === 0));
+});
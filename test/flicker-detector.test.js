@@ -0,0 +1,64 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const FlickerDetector = require('../flicker-detector');
+const DeviceSerialPort = require('../serialport');
+const { waveforms } = require('../simulator');
+
+// Keep the detector's progress output out of the test runner's stdout channel
+test.beforeEach(() => mock.method(console, 'log', () => {}));
+test.afterEach(() => mock.restoreAll());
+
+test('monitors both channels of a shared device with their own thresholds', async () => {
+    let reads = 0;
+    // Channel 1 blinks every fourth reading, channel 2 every sixth with a smaller swing
+    const square1 = waveforms.square({ period: 4, duty: 0.25, low: 0.2, high: 1.2, phase: 1 });
+    const square2 = waveforms.square({ period: 6, duty: 0.5, low: 0.1, high: 0.5, phase: 1 });
+    const device = new DeviceSerialPort({
+        simulate: { channels: [() => square1(reads), () => square2(reads++)] },
+        interactive: false,
+        debug: false
+    });
+    await device.initialize();
+
+    const flicker = new FlickerDetector({
+        device,
+        channels: [
+            { name: 'left', key: 'value1' },
+            { name: 'right', key: 'value2', threshold: 0.3 }
+        ]
+    });
+    const starts = [];
+    flicker.on('blinkStart', event => starts.push(event.channel));
+    flicker.on('blinkStart', () => {
+        if (flicker.channel('left').blinkCount === 6) flicker.stop();
+    });
+    await flicker.run({ rateHz: 200 });
+
+    const summary = flicker.summary();
+    assert.strictEqual(summary.channels.left.blinks, 6);
+    assert.strictEqual(summary.channels.right.blinks, 4);
+    assert.strictEqual(summary.channels.right.threshold, 0.3);
+    assert.strictEqual(summary.totalBlinks, 10);
+    assert.deepStrictEqual(new Set(starts), new Set(['left', 'right']));
+
+    // The detector doesn't own a shared device, so cleanup leaves it open
+    await flicker.cleanup();
+    assert.strictEqual(device.isConnected, true);
+    await device.close();
+});
+
+test('creates and owns its device when given device options', async () => {
+    const flicker = new FlickerDetector({ device: { simulate: true, interactive: false, debug: false } });
+    await flicker.initialize();
+    assert.deepStrictEqual([...flicker.channels.keys()], ['sensor1', 'sensor2']);
+    await flicker.cleanup();
+    assert.strictEqual(flicker.device.isConnected, false);
+});
+
+test('rejects duplicate channel names', () => {
+    assert.throws(() => new FlickerDetector({
+        device: { interactive: false },
+        channels: [{ name: 'a', key: 'value1' }, { name: 'a', key: 'value2' }]
+    }), /Duplicate channel/);
+});
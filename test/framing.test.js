@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseFrame, compileFrame, compileFraming, createLineParser, verifyChecksum, appendChecksum } = require('../framing');
+const { DeviceError } = require('../errors');
+
+test('parses csv and key=value frames', () => {
+    const pair = compileFrame({ channels: ['value1', 'value2'], format: 'auto' });
+    assert.deepStrictEqual(parseFrame('1.25, 0.50', pair), { value1: 1.25, value2: 0.5 });
+    assert.deepStrictEqual(parseFrame('-3 2.5e-3', pair), { value1: -3, value2: 0.0025 });
+    assert.deepStrictEqual(parseFrame('value2=1 value1=-.5 temp=21.5', pair), { value2: 1, value1: -0.5, temp: 21.5 });
+    assert.strictEqual(parseFrame('1.25', pair), null);
+    assert.strictEqual(parseFrame('1.25, 0.5, 7', pair), null);
+    assert.strictEqual(parseFrame('value1=1', pair), null);
+    assert.strictEqual(parseFrame('LED 3', pair), null);
+    assert.strictEqual(parseFrame('OK', pair), null);
+
+    const three = compileFrame({ channels: ['left', 'right', 'ref'], format: 'csv' });
+    assert.deepStrictEqual(parseFrame('1;2;3', three), { left: 1, right: 2, ref: 3 });
+    assert.strictEqual(parseFrame('left=1 right=2 ref=3', three), null);
+
+    assert.throws(() => compileFrame({ format: 'xml' }), DeviceError);
+    assert.throws(() => compileFrame({ channels: [] }), DeviceError);
+});
+
+test('checks per-line checksums', () => {
+    const { checksum } = compileFraming({ checksum: 'xor8' });
+    const line = appendChecksum('1.25, 0.50', checksum);
+    assert.match(line, /^1\.25, 0\.50\*[0-9A-F]{2}$/);
+    assert.deepStrictEqual(verifyChecksum(line, checksum), { ok: true, payload: '1.25, 0.50', error: null });
+    assert.strictEqual(verifyChecksum(line.replace('1.25', '1.35'), checksum).ok, false);
+    assert.strictEqual(verifyChecksum('1.25, 0.50', checksum).ok, true);
+    assert.strictEqual(verifyChecksum('1.25, 0.50', { ...checksum, required: true }).error, 'checksum missing');
+
+    // CRC-8/SMBUS check value
+    const crc8 = compileFraming({ checksum: { algorithm: 'crc8', separator: '#' } }).checksum;
+    assert.strictEqual(appendChecksum('123456789', crc8), '123456789#F4');
+    assert.throws(() => compileFraming({ checksum: 'md5' }), DeviceError);
+    assert.throws(() => compileFraming({ parser: 'psychic' }), DeviceError);
+});
+
+test('line parsers cut the byte stream the configured way', async () => {
+    const collect = (parser, chunks) => new Promise((resolve) => {
+        const lines = [];
+        parser.on('data', line => lines.push(line.toString()));
+        for (const chunk of chunks) parser.write(chunk);
+        setTimeout(() => resolve(lines), 40);
+    });
+    assert.deepStrictEqual(await collect(createLineParser(compileFraming()), ['1.0, 2', '.0\r\n3.0,', ' 4.0\n']),
+        ['1.0, 2.0\r', '3.0, 4.0']);
+    assert.deepStrictEqual(await collect(createLineParser(compileFraming({ parser: 'regex', regex: '[\\r\\n;]+' })), ['a;b\r\nc\n']),
+        ['a', 'b', 'c']);
+    assert.deepStrictEqual(await collect(createLineParser(compileFraming({ parser: 'interByteTimeout', interval: 10 })), ['1.0, ', '2.0']),
+        ['1.0, 2.0']);
+});
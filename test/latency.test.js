@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DeviceSerialPort = require('../serialport');
+const { measureLatency, stages } = require('../latency');
+const { waveforms } = require('../simulator');
+
+test('separates firmware round trip from the physical response', async () => {
+    const device = new DeviceSerialPort({
+        simulate: {
+            // Sensor 1 follows the AC output 40ms late; every reply takes 5ms
+            channels: [waveforms.follow('ac', { low: 0.2, high: 1.2, lag: 40 }), waveforms.constant(0.3)],
+            delay: 5
+        },
+        interactive: false,
+        debug: false
+    });
+    await device.initialize();
+    const writes = [];
+    device.on('write', write => writes.push(write));
+
+    const result = await measureLatency(device, { repetitions: 3, settleMs: 60 });
+    await device.close();
+
+    assert.strictEqual(result.threshold, 0.5);
+    assert.strictEqual(result.trials.length, 6);
+    assert.strictEqual(result.timedOut, 0);
+    assert.deepStrictEqual(result.trials.map(t => t.direction), ['on', 'off', 'on', 'off', 'on', 'off']);
+    for (const direction of ['on', 'off']) {
+        const { roundTrip, response, total } = result[direction];
+        // The simulator's 5ms reply timer may fire up to a millisecond early as measured by performance.now()
+        assert.ok(roundTrip.min >= 4, `round trip ${roundTrip.min}`);
+        assert.ok(response.median >= 25 && response.median <= 80, `response ${response.median}`);
+        assert.ok(total.min >= response.min + roundTrip.min / 2);
+    }
+    assert.strictEqual(device.simulator.state.ac, false);
+    // Switching commands wait for the drain; sensor reads don't
+    assert.ok(writes.some(w => w.command === 'c' && w.drained !== null));
+    assert.ok(writes.filter(w => w.command === 's').every(w => w.drained === null));
+});
+
+test('splits a trial into stages', () => {
+    const result = stages({
+        issued: 1000,
+        drained: 1002,
+        previous: { sent: 1020, received: 1030 },
+        detection: { sent: 1030, received: 1040 }
+    });
+    assert.deepStrictEqual(result, { writeToDrain: 2, roundTrip: 10, response: 33, resolution: 10, total: 40 });
+});
+
+test('refuses a channel that does not respond', async () => {
+    const device = new DeviceSerialPort({ simulate: { channels: [waveforms.constant(0.2), waveforms.constant(0.3)] }, interactive: false, debug: false });
+    await device.initialize();
+    await assert.rejects(measureLatency(device, { repetitions: 1, settleMs: 10 }), { code: 'ENORESPONSE' });
+    await device.close();
+});
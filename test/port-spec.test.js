@@ -0,0 +1,111 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolvePortSpec, matchPorts, findPort } = require('../port-spec');
+const { PortNotFoundError, AmbiguousPortError } = require('../errors');
+const DeviceSerialPort = require('../serialport');
+
+test.beforeEach(() => mock.method(console, 'log', () => {}));
+test.afterEach(() => mock.restoreAll());
+
+const PORTS = [
+    { path: '/dev/ttyUSB0', vendorId: '1A86', productId: '55d4', serialNumber: 'A1', manufacturer: 'WCH.cn' },
+    { path: '/dev/ttyUSB1', vendorId: '1a86', productId: '55d4', serialNumber: 'B2', manufacturer: 'WCH.cn' },
+    { path: '/dev/ttyS0' }
+];
+
+test('parses SERIAL_PORT as a path, key=value pairs or JSON', () => {
+    assert.deepStrictEqual(resolvePortSpec(undefined, { SERIAL_PORT: '/dev/ttyUSB0' }), { path: '/dev/ttyUSB0' });
+    assert.deepStrictEqual(
+        resolvePortSpec(undefined, { SERIAL_PORT: 'vendorId=1a86, productId=55d4' }),
+        { vendorId: '1a86', productId: '55d4' }
+    );
+    assert.deepStrictEqual(resolvePortSpec(undefined, { SERIAL_PORT: '{"serialNumber":"B2"}' }), { serialNumber: 'B2' });
+    assert.strictEqual(resolvePortSpec(undefined, {}), null);
+});
+
+test('an explicit spec wins over the environment', () => {
+    assert.deepStrictEqual(resolvePortSpec({ serialNumber: 'A1' }, { SERIAL_PORT: '/dev/ttyS0' }), { serialNumber: 'A1' });
+});
+
+test('reads the spec from the SERIAL_PORT_CONFIG file', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'port-spec-')), 'port.json');
+    fs.writeFileSync(file, JSON.stringify({ port: { serialNumber: 'B2' }, baudRate: 115200 }));
+    assert.deepStrictEqual(resolvePortSpec(undefined, { SERIAL_PORT_CONFIG: file }), { serialNumber: 'B2' });
+});
+
+test('matches ids case-insensitively and manufacturer by substring', () => {
+    assert.strictEqual(matchPorts(PORTS, { vendorId: '0x1a86', productId: '55D4' }).length, 2);
+    assert.strictEqual(matchPorts(PORTS, { manufacturer: 'wch' }).length, 2);
+    assert.deepStrictEqual(matchPorts(PORTS, { serialNumber: 'b2' }).map(p => p.path), ['/dev/ttyUSB1']);
+});
+
+test('findPort fails clearly on zero or several matches', async () => {
+    const list = async () => PORTS;
+    assert.strictEqual((await findPort({ serialNumber: 'A1' }, list)).path, '/dev/ttyUSB0');
+    await assert.rejects(findPort({ serialNumber: 'nope' }, list), PortNotFoundError);
+    await assert.rejects(findPort({ vendorId: '1a86' }, list), AmbiguousPortError);
+});
+
+async function withEnv(env, run) {
+    const saved = {};
+    for (const key of Object.keys(env)) {
+        saved[key] = process.env[key];
+        if (env[key] === undefined) delete process.env[key];
+        else process.env[key] = env[key];
+    }
+    try {
+        return await run();
+    } finally {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    }
+}
+
+// A device whose port list is PORTS instead of the machine's
+function listedDevice(options = {}) {
+    const device = new DeviceSerialPort({ interactive: false, ...options });
+    device.listPorts = async () => PORTS;
+    device.createInterface = () => assert.fail('prompted for a port');
+    return device;
+}
+
+test('resolves the one listed port matching a spec', async () => {
+    await withEnv({ SERIAL_PORT: undefined, SERIAL_PORT_CONFIG: undefined }, async () => {
+        const device = listedDevice({ port: { manufacturer: 'wch', serialNumber: 'B2' } });
+        assert.strictEqual(await device.resolvePort(), '/dev/ttyUSB1');
+        assert.strictEqual(device.portInfo.serialNumber, 'B2');
+
+        await assert.rejects(listedDevice({ port: { serialNumber: 'C3' } }).resolvePort(), { code: 'ENOPORT' });
+        await assert.rejects(listedDevice({ port: 'vendorId=0x1a86' }).resolvePort(), { code: 'EAMBIGUOUSPORT' });
+    });
+});
+
+test('takes the port from SERIAL_PORT or SERIAL_PORT_CONFIG and never prompts without one', async () => {
+    await withEnv({ SERIAL_PORT: 'serialNumber=A1', SERIAL_PORT_CONFIG: undefined }, async () => {
+        assert.strictEqual(await listedDevice().resolvePort(), '/dev/ttyUSB0');
+    });
+
+    const config = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'port-config-')), 'port.json');
+    fs.writeFileSync(config, JSON.stringify({ port: { serialNumber: 'B2' }, baudRate: 115200 }));
+    await withEnv({ SERIAL_PORT: undefined, SERIAL_PORT_CONFIG: config }, async () => {
+        const device = listedDevice();
+        assert.strictEqual(await device.resolvePort(), '/dev/ttyUSB1');
+        assert.strictEqual(device.baudRate, 115200);
+    });
+
+    await withEnv({ SERIAL_PORT: undefined, SERIAL_PORT_CONFIG: undefined }, async () => {
+        await assert.rejects(listedDevice().resolvePort(), /No serial port specified/);
+    });
+});
+
+test('a bare path is used even when the port list doesn\'t show it', async () => {
+    const device = listedDevice({ port: '/dev/ttyACM7' });
+    assert.strictEqual(await device.resolvePort(), '/dev/ttyACM7');
+    assert.deepStrictEqual(device.portInfo, { path: '/dev/ttyACM7' });
+});
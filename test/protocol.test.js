@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadProtocol, formatCommand } = require('../protocol');
+const DeviceSerialPort = require('../serialport');
+const FirmwareSimulator = require('../simulator');
+const { DeviceError } = require('../errors');
+
+const REVISION_B = {
+    name: 'sensor-board-rev-b',
+    commands: {
+        'sensor.read': { bytes: 's', reply: '^(\\d+\\.\\d+),\\s*(\\d+\\.\\d+)$', parse: 'sensorPair' },
+        'magnet.on': { bytes: 'b' },
+        'led.set': { bytes: 'L{level}', reply: /^LED (\d+)$/, parse: (line, match) => Number(match[1]), timeout: 200 }
+    }
+};
+
+test('compiles reply patterns and named parsers', () => {
+    const protocol = loadProtocol(REVISION_B);
+    assert.ok(protocol.commands['sensor.read'].reply instanceof RegExp);
+    assert.deepStrictEqual(protocol.commands['led.set'].args, ['level']);
+    assert.strictEqual(formatCommand(protocol.commands['led.set'], { level: 7 }), 'L7');
+    assert.throws(() => formatCommand(protocol.commands['led.set']), DeviceError);
+    assert.throws(() => loadProtocol({ commands: { bad: { bytes: 'x', parse: 'nope' } } }), DeviceError);
+});
+
+test('invoke() runs commands from a custom table', async () => {
+    const simulator = new FirmwareSimulator();
+    simulator.on('unknownCommand', (command) => simulator.emitLine(`LED ${command.slice(1)}`));
+    const device = new DeviceSerialPort({ simulate: simulator, protocol: REVISION_B, interactive: false, debug: false });
+    await device.initialize();
+
+    assert.strictEqual(await device.invoke('led.set', { level: 3 }), 3);
+    await device.MagnetOn();
+    assert.strictEqual(simulator.state.magnet, true);
+    await assert.rejects(device.ACOn(), /has no command "ac.on"/);
+    await device.close();
+});
+
+test('firmware error lines fail the waiting command and acks complete it', async () => {
+    const simulator = new FirmwareSimulator({ acks: true });
+    const device = new DeviceSerialPort({
+        simulate: simulator,
+        protocol: {
+            ...require('../protocols/sensor-board'),
+            commands: {
+                ...require('../protocols/sensor-board').commands,
+                'magnet.on': { bytes: 'b', reply: 'ack', effect: { magnet: true } },
+                'laser.on': { bytes: 'L', reply: 'ack' }
+            }
+        },
+        interactive: false,
+        debug: false
+    });
+    await device.initialize();
+    const firmwareErrors = [];
+    device.on('firmwareError', error => firmwareErrors.push(error));
+
+    assert.strictEqual(await device.invoke('magnet.on'), 'OK');
+    await assert.rejects(device.invoke('laser.on'), {
+        name: 'FirmwareError',
+        code: 'EFIRMWARE',
+        firmwareCode: '1',
+        command: 'L',
+        message: 'Firmware error on command "L": unknown command L'
+    });
+    simulator.emitLine('ERROR: brownout');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(firmwareErrors.map(e => [e.command, e.message]), [
+        ['L', 'Firmware error on command "L": unknown command L'],
+        [null, 'Firmware error: brownout']
+    ]);
+    assert.ok(Number.isFinite((await device.ReadSensor()).value1));
+    await device.close();
+});
+
+test('reads N named channels as key=value frames with checksums', async () => {
+    const simulator = new FirmwareSimulator({
+        channels: [() => 1.5, () => 0.25, () => 21],
+        format: 'keyValue',
+        keys: ['left', 'right', 'temp'],
+        checksum: 'xor8'
+    });
+    const device = new DeviceSerialPort({
+        simulate: simulator,
+        protocol: {
+            ...require('../protocols/sensor-board'),
+            framing: { checksum: { algorithm: 'xor8', required: true } },
+            frame: { channels: ['left', 'right', 'temp'], format: 'keyValue' }
+        },
+        interactive: false,
+        debug: false
+    });
+    await device.initialize();
+    const frameErrors = [];
+    device.on('frameError', error => frameErrors.push(error.reason));
+
+    assert.deepStrictEqual(await device.ReadSensor(), { left: 1.5, right: 0.25, temp: 21 });
+
+    // A corrupted line is dropped, so the read waits for the next good frame
+    simulator.once('command', () => simulator.emitLine('left=9.50 right=0.25 temp=21.00*00'));
+    assert.deepStrictEqual(await device.ReadSensor(), { left: 1.5, right: 0.25, temp: 21 });
+    assert.strictEqual(device.frameErrors, 1);
+    assert.match(frameErrors[0], /^checksum mismatch/);
+    await device.close();
+});
+
+test('compiles the binary mode of a protocol', () => {
+    const { binary } = loadProtocol();
+    assert.strictEqual(binary.enter, 'B');
+    assert.deepStrictEqual([...binary.commands['ac.on'].payload], [1, 1]);
+    assert.deepStrictEqual(binary.parseSample(Buffer.from([1, 0, 0, 0, 0, 0, 0, 0x3f, 0, 0, 0xa0, 0x3f])), { deviceTime: 1, value1: 0.5, value2: 1.25 });
+
+    assert.throws(() => loadProtocol({ ...REVISION_B, binary: { commands: { 'laser.on': { id: 9 } } } }), { code: 'EPROTOCOL', message: /no text command/ });
+    assert.throws(() => loadProtocol({ ...REVISION_B, binary: { commands: { 'magnet.on': { id: 0x80 } } } }), { code: 'EPROTOCOL', message: /id between/ });
+    assert.throws(() => new DeviceSerialPort({ protocol: REVISION_B, binary: true, debug: false }), { code: 'EPROTOCOL' });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FlickerDetector = require('../flicker-detector');
+const SessionRecorder = require('../session-recorder');
+const { sessionMeta } = require('../session-recorder');
+const { loadRecording, replay, sweep, scoreDetections, gridPoints } = require('../replay');
+
+// Records a synthetic session: 0.2 baseline with 1.0-high blinks at the given
+// times (ms), plus one 0.7 spike at 2000 ms that only a low threshold picks up
+async function recordSession(blinkTimes, labels = blinkTimes) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+    const detector = new FlickerDetector({ device: false, channels: [{ name: 'a', key: 'value1', threshold: 0.5 }] });
+    const recorder = new SessionRecorder({ dir, name: 'session', maxBytes: 4000 });
+    await recorder.open(sessionMeta({ detector }));
+    recorder.attach({ detector });
+    for (let t = 0; t < 4000; t += 20) {
+        const on = blinkTimes.some(start => t >= start && t < start + 100);
+        detector.update({ t, value1: on ? 1.2 : (t === 2000 ? 0.9 : 0.2), value2: 0 });
+    }
+    for (const t of labels) recorder.record('label', { channel: 'a', t });
+    await recorder.close(detector.summary());
+    return { recorder, live: detector };
+}
+
+test('replaying a recording reproduces the live events', async () => {
+    const { recorder, live } = await recordSession([500, 1500, 3000]);
+    assert.ok(recorder.files.length > 1, 'expected the session to rotate');
+
+    const recording = await loadRecording(recorder.files[0]);
+    const liveStarts = recording.events.filter(e => e.event === 'blinkStart').map(e => e.t);
+    const { events, summary } = await replay(recording);
+
+    assert.deepStrictEqual(events.filter(e => e.event === 'blinkStart').map(e => e.t), liveStarts);
+    assert.strictEqual(summary.channels.a.blinks, live.channel('a').blinkCount);
+    assert.strictEqual(summary.channels.a.threshold, 0.5);
+});
+
+test('realtime replay keeps the original spacing', async () => {
+    const { recorder } = await recordSession([500]);
+    const started = Date.now();
+    await replay(recorder.files[0], { realtime: true, speed: 20 });
+    assert.ok(Date.now() - started >= 3980 / 20 - 5);
+});
+
+test('sweep scores each setting against the labels', async () => {
+    const { recorder } = await recordSession([500, 1500, 3000]);
+    const results = await sweep(recorder.files[0], { grid: { threshold: [0.5, 0.9], minOnMs: [0, 40] } });
+
+    assert.strictEqual(results.length, 4);
+    const best = results[0];
+    assert.deepStrictEqual([best.precision, best.recall], [1, 1]);
+    const noisy = results.find(r => r.settings.threshold === 0.5 && r.settings.minOnMs === 0);
+    assert.strictEqual(noisy.falsePositives, 1);
+    assert.strictEqual(noisy.recall, 1);
+});
+
+test('scoreDetections matches within the tolerance, one label each', () => {
+    const score = scoreDetections(
+        [{ channel: 'a', t: 100 }, { channel: 'a', t: 110 }, { channel: 'b', t: 500 }],
+        [{ channel: 'a', t: 105 }, { channel: 'b', t: 900 }],
+        50
+    );
+    assert.deepStrictEqual([score.truePositives, score.falsePositives, score.falseNegatives], [1, 2, 1]);
+});
+
+test('gridPoints expands every combination', () => {
+    assert.strictEqual(gridPoints({ a: [1, 2], b: [3, 4, 5] }).length, 6);
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionRecorder = require('../session-recorder');
+const { parseLegacyLog, loadSessions, analyze, writeReports, failureKind } = require('../report');
+
+const LEGACY_LOG = `=== Flicker Event Log ===
+Test started: 2024-10-23T18:23:27.156Z
+Detection threshold: 0.75
+
+[2024-10-23T18:23:38.388Z] Flicker detected by sensor 1 (value: 1.180)
+[2024-10-23T18:23:40.388Z] Flicker detected by sensor 1 (value: 1.020)
+[2024-10-23T18:23:41.000Z] Device disconnected: port closed
+[2024-10-23T18:23:42.000Z] Device reconnected
+[2024-10-23T18:23:43.388Z] Flicker detected by sensor 1 (value: 1.200)
+[2024-10-23T18:23:44.000Z] Flicker detected by sensor 2 (value: 0.900)
+
+Test completed after 30.1 seconds
+Sensor 1 flicker events: 3
+Sensor 2 flicker events: 1
+Sensor 1 average rate: 0.10 events/sec
+Sensor 2 average rate: 0.03 events/sec
+`;
+
+const LEGACY_CSV = `Timestamp,Event,Total Blinks
+2024-10-24T09:46:03.576Z,"Test failed: Failed to open port /dev/tty.usbmodemCH55x1: Error Resource temporarily unavailable Cannot lock port"
+2024-10-24T09:46:03.580Z,"Session ended",0
+`;
+
+async function logsDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-'));
+    fs.writeFileSync(path.join(dir, 'flicker_events_2024-10-23T18-23-27-155Z.log'), LEGACY_LOG);
+    fs.mkdirSync(path.join(dir, 'sensor1'));
+    fs.writeFileSync(path.join(dir, 'sensor1', 'flicker_log_2024-10-24T09-45-56-922Z.csv'), LEGACY_CSV);
+
+    const recorder = new SessionRecorder({ dir: path.join(dir, 'sessions'), name: 'session_2024-10-25' });
+    const start = Date.parse('2024-10-25T12:00:00.000Z');
+    await recorder.open({ startTime: new Date(start).toISOString(), channels: [{ name: 'sensor1', key: 'value1', threshold: 0.6 }] });
+    for (let i = 0; i < 20; i++) {
+        recorder.record('event', { event: 'blinkStart', channel: 'sensor1', t: start + 1000 + i * 500 });
+        recorder.record('event', { event: 'blinkEnd', channel: 'sensor1', t: start + 1100 + i * 500, duration: 100 });
+    }
+    recorder.record('event', { event: 'failed', t: start + 12000, error: 'Port /dev/ttyUSB0 is locked by another process', code: 'ELOCKED' });
+    await recorder.close({ duration: 12, channels: { sensor1: { blinks: 20 } } });
+    return dir;
+}
+
+test('parses the legacy text log', () => {
+    const session = parseLegacyLog('flicker_events_x.log', LEGACY_LOG);
+    assert.strictEqual(session.start, Date.parse('2024-10-23T18:23:27.156Z'));
+    assert.strictEqual(session.duration, 30.1);
+    assert.deepStrictEqual(session.thresholds, { sensor1: 0.75, sensor2: 0.75 });
+    assert.deepStrictEqual(Object.values(session.channels).map(c => [c.blinks.length, c.reported]), [[3, 3], [1, 1]]);
+    assert.deepStrictEqual(session.failures.map(f => f.kind), ['disconnected']);
+    assert.deepStrictEqual(session.events.map(e => e.event), ['reconnected']);
+
+    const { sensor1 } = analyze(session);
+    assert.strictEqual(sensor1.intervals.mean, 2500);
+    assert.strictEqual(sensor1.histogram.reduce((sum, bin) => sum + bin.count, 0), 2);
+});
+
+test('reads every log format and filters by date', async () => {
+    const dir = await logsDir();
+    const sessions = await loadSessions({ dir });
+    assert.deepStrictEqual(sessions.map(s => s.source), ['log', 'csv', 'recording']);
+
+    const [, csv, recording] = sessions;
+    assert.deepStrictEqual(csv.failures.map(f => f.kind), ['port-locked']);
+    assert.strictEqual(csv.channels.sensor1.reported, 0);
+    assert.strictEqual(recording.channels.sensor1.blinks.length, 20);
+    assert.deepStrictEqual(recording.channels.sensor1.durations.slice(0, 2), [100, 100]);
+    assert.deepStrictEqual(recording.thresholds, { sensor1: 0.6 });
+    assert.strictEqual(recording.duration, 12);
+    assert.deepStrictEqual(recording.failures.map(f => f.kind), ['port-locked']);
+
+    assert.deepStrictEqual((await loadSessions({ dir, from: '2024-10-24' })).map(s => s.source), ['csv', 'recording']);
+    assert.deepStrictEqual((await loadSessions({ dir, to: '2024-10-24' })).map(s => s.source), ['log', 'csv']);
+    assert.deepStrictEqual((await loadSessions({ dir, from: '2024-10-24', to: '2024-10-24' })).map(s => s.source), ['csv']);
+});
+
+test('a text log is left out when its recording is there too', async () => {
+    const dir = await logsDir();
+    fs.appendFileSync(path.join(dir, 'flicker_events_2024-10-23T18-23-27-155Z.log'), 'Session recording: logs/sessions/session_2024-10-25.jsonl\n');
+    const sessions = await loadSessions({ dir });
+    assert.deepStrictEqual(sessions.map(s => s.source), ['csv', 'recording']);
+});
+
+test('writes HTML and Markdown reports with inline charts', async () => {
+    const dir = await logsDir();
+    const sessions = await loadSessions({ dir });
+    const out = path.join(dir, 'reports');
+
+    const html = await writeReports(sessions, { out });
+    assert.deepStrictEqual(html.map(file => path.basename(file)), [
+        'flicker_events_2024-10-23T18-23-27-155Z.html',
+        'flicker_log_2024-10-24T09-45-56-922Z.html',
+        'session_2024-10-25.html',
+        'comparison.html'
+    ]);
+    const recording = fs.readFileSync(html[2], 'utf8');
+    assert.match(recording, /<polyline /);
+    assert.match(recording, /<rect /);
+    assert.match(recording, /<td>port-locked<\/td>/);
+    const comparison = fs.readFileSync(html[3], 'utf8');
+    assert.match(comparison, /<td>port-locked<\/td><td>2<\/td>/);
+    assert.match(comparison, /<td>sensor1<\/td><td>3<\/td><td>23<\/td>/);
+
+    const markdown = await writeReports(sessions, { out, format: 'markdown', compare: false });
+    assert.strictEqual(markdown.length, 3);
+    const text = fs.readFileSync(markdown[0], 'utf8');
+    assert.match(text, /^# Flicker session 2024-10-23 18:23:27Z/);
+    assert.match(text, /\| sensor1 \| 3 \| 0\.1 \| 0\.75 \| 2500 \|/);
+    assert.match(text, /<svg /);
+});
+
+test('classifies failures', () => {
+    assert.strictEqual(failureKind('Error Resource temporarily unavailable Cannot lock port'), 'port-locked');
+    assert.strictEqual(failureKind('anything', 'ENOPORT'), 'no-port');
+    assert.strictEqual(failureKind('Command "sensor.read" got no reply within 1000ms'), 'timeout');
+    assert.strictEqual(failureKind('boom'), 'error');
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RingBuffer = require('../ring-buffer');
+
+test('keeps the newest items and reports what it overwrote', () => {
+    const buffer = new RingBuffer(3);
+    assert.strictEqual(buffer.push(1), undefined);
+    buffer.push(2);
+    buffer.push(3);
+    assert.strictEqual(buffer.isFull, true);
+    assert.strictEqual(buffer.push(4), 1);
+    assert.deepStrictEqual(buffer.toArray(), [2, 3, 4]);
+    assert.strictEqual(buffer.shift(), 2);
+    assert.strictEqual(buffer.length, 2);
+});
+
+test('rejects a non-positive capacity', () => {
+    assert.throws(() => new RingBuffer(0), RangeError);
+});
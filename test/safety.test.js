@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DeviceSerialPort = require('../serialport');
+const FirmwareSimulator = require('../simulator');
+const { InterlockError } = require('../errors');
+
+async function openDevice(safety, { binary = false } = {}) {
+    const simulator = new FirmwareSimulator({ binary });
+    const device = new DeviceSerialPort({ simulate: simulator, safety, binary, interactive: false, debug: false });
+    await device.initialize();
+    return { device, simulator };
+}
+
+test('tracks actuator state and emits changes', async () => {
+    const { device } = await openDevice({ processHooks: false });
+    const changes = [];
+    device.on('stateChange', change => changes.push(change));
+
+    await device.MagnetOn();
+    await device.ACOn();
+    await device.MagnetOn();
+    assert.deepStrictEqual(device.state, { magnet: true, ac: true });
+    assert.deepStrictEqual(changes.map(c => [c.actuator, c.value]), [['magnet', true], ['ac', true]]);
+    await device.close();
+});
+
+test('interlocks reject a forbidden combination in either order', async () => {
+    const { device, simulator } = await openDevice({
+        processHooks: false,
+        interlocks: [{ name: 'no AC while magnet on', forbid: { magnet: true, ac: true } }]
+    });
+
+    await device.MagnetOn();
+    await assert.rejects(device.ACOn(), InterlockError);
+    await device.MagnetOff();
+    await device.ACOn();
+    await assert.rejects(device.invoke('magnet.on'), /no AC while magnet on/);
+    assert.deepStrictEqual(simulator.state, { magnet: false, ac: true });
+    await device.close();
+});
+
+test('the watchdog switches an output off after its maximum on-time', async () => {
+    const { device, simulator } = await openDevice({ processHooks: false, maxOnTime: { magnet: 30 } });
+    const watchdog = new Promise(resolve => device.once('watchdog', resolve));
+    // The watchdog timer is unref'd so it never holds the process open by itself
+    const keepAlive = setInterval(() => {}, 10);
+
+    await device.MagnetOn();
+    assert.deepStrictEqual(await watchdog, { actuator: 'magnet', maxOnTime: 30 });
+    clearInterval(keepAlive);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.strictEqual(device.state.magnet, false);
+    assert.strictEqual(simulator.state.magnet, false);
+    await device.close();
+});
+
+test('close switches every output off', async () => {
+    const { device, simulator } = await openDevice({ processHooks: false });
+    await device.MagnetOn();
+    await device.ACOn();
+    await device.close();
+    assert.deepStrictEqual(simulator.state, { magnet: false, ac: false });
+    assert.deepStrictEqual(device.state, { magnet: false, ac: false });
+});
+
+test('a crash in binary mode switches every output off with packets', async () => {
+    const before = process.listeners('uncaughtExceptionMonitor');
+    const { device, simulator } = await openDevice({}, { binary: true });
+    assert.strictEqual(device.mode, 'binary');
+    await device.MagnetOn();
+    await device.ACOn();
+    const [onUncaught] = process.listeners('uncaughtExceptionMonitor').filter(listener => !before.includes(listener));
+    onUncaught(new Error('crash'));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepStrictEqual(simulator.state, { magnet: false, ac: false });
+    assert.strictEqual(simulator.mode, 'binary');
+    await device.close();
+});
+
+test('process hooks are installed while open and removed on close', async () => {
+    const before = process.listenerCount('SIGINT');
+    const { device } = await openDevice();
+    assert.strictEqual(process.listenerCount('SIGINT'), before + 1);
+    await device.close();
+    assert.strictEqual(process.listenerCount('SIGINT'), before);
+});
+
+test('boards in one process share a single set of process hooks', async () => {
+    const before = process.listenerCount('SIGINT');
+    const first = await openDevice();
+    const second = await openDevice();
+    assert.strictEqual(process.listenerCount('SIGINT'), before + 1);
+    await first.device.close();
+    assert.strictEqual(process.listenerCount('SIGINT'), before + 1);
+    await second.device.close();
+    assert.strictEqual(process.listenerCount('SIGINT'), before);
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DeviceSerialPort = require('../serialport');
+const { readCapture, formatCapture, CaptureReplay, playCapture } = require('../serial-capture');
+const { encodePacket, MESSAGES } = require('../binary-protocol');
+const { logger, setDebug, escapeBytes } = require('../logging');
+
+const deviceOptions = { interactive: false, debug: false, reconnect: false, safety: { processHooks: false } };
+
+// A hand-made capture: `chunks` are [ms, 'tx' | 'rx', bytes] after the open
+function capture(chunks) {
+    const t0 = 1000;
+    return {
+        file: null,
+        meta: { type: 'meta', t: t0, schema: 'serial-capture/1', startTime: new Date(t0).toISOString(), port: '/dev/ttyUSB0', baudRate: 9600, delimiter: '\n' },
+        records: [
+            { type: 'event', t: t0, event: 'open' },
+            ...chunks.map(([ms, type, bytes]) => ({ type, t: t0 + ms, data: Buffer.from(bytes).toString('hex') }))
+        ]
+    };
+}
+
+test('captures every chunk both ways and annotates them', async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'capture-')), 'link.jsonl');
+    const device = new DeviceSerialPort({ ...deviceOptions, simulate: { acks: true }, capture: file });
+    await device.initialize();
+    await device.readSample();
+    await device.invoke('magnet.on');
+    await device.close();
+
+    const { meta, records } = await readCapture(file);
+    assert.strictEqual(meta.port, '/dev/ttySIM0');
+    assert.deepStrictEqual(records.slice(0, 4).map(r => r.event || r.type), ['open', 'tx', 'rx', 'tx']);
+    assert.strictEqual(records[records.length - 1].event, 'close');
+    assert.strictEqual(Buffer.from(records[1].data, 'hex').toString(), 's\n');
+    assert.ok(records.every((record, i) => i === 0 || record.t >= records[i - 1].t));
+
+    const text = formatCapture({ meta, records });
+    assert.match(text, /TX {5}2 {2}73 0a {2,}\|s\.\|/);
+    assert.match(text, /<- line "1\.30, 0\.30\\r\\n"/);
+    assert.match(text, /-> command "b\\n"/);
+    assert.doesNotMatch(formatCapture({ meta, records }, { annotate: false }), /<-/);
+});
+
+test('annotates packets and bad frames split across chunks', () => {
+    const hello = encodePacket(MESSAGES.HELLO, 0, [1, 2, 200, 0]);
+    const broken = Buffer.from(encodePacket(MESSAGES.ACK, 3));
+    broken[2] ^= 0xff;
+    const recorded = capture([
+        [1, 'tx', 'B\n'],
+        [5, 'rx', hello.subarray(0, 4)],
+        [6, 'rx', Buffer.concat([hello.subarray(4), broken])]
+    ]);
+    recorded.records.splice(1, 0, { type: 'event', t: 1000, event: 'mode', mode: 'binary' });
+    const text = formatCapture(recorded);
+    assert.match(text, /<- packet HELLO #0 version 1, 2 channels, 200 Hz/);
+    assert.match(text, /<- bad frame .*CRC mismatch/);
+    assert.match(text, /--  mode binary/);
+    assert.match(text, /0 lines, 1 packets, 1 bad frames received/);
+});
+
+test('replays a capture with its chunk boundaries and timing', async () => {
+    const replay = new CaptureReplay(capture([
+        [10, 'tx', 's\n'],
+        // A line split mid-number, then a reply that came too late
+        [15, 'rx', '1.2'],
+        [40, 'rx', '5, 0.50\r\n'],
+        [50, 'tx', 's\n'],
+        [400, 'rx', '1.30, 0.60\r\n']
+    ]));
+    const device = new DeviceSerialPort({ ...deviceOptions, replay });
+    const chunks = [];
+    replay.on('chunk', chunk => chunks.push(chunk.toString()));
+    await device.initialize();
+
+    const sample = await device.readSample(200);
+    assert.deepStrictEqual([sample.value1, sample.value2], [1.25, 0.5]);
+    assert.deepStrictEqual(chunks, ['1.2', '5, 0.50\r\n']);
+    await assert.rejects(device.readSample(200), { code: 'ETIMEDOUT' });
+    assert.deepStrictEqual(replay.mismatches, []);
+
+    // Writes the capture doesn't have are reported
+    await device.invoke('ac.on');
+    await device.close({ keepOutputs: true });
+    assert.deepStrictEqual(replay.mismatches[0], { index: 2, expected: null, actual: Buffer.from('c\n').toString('hex') });
+});
+
+test('plays the host side of a capture through the parsers', async () => {
+    const replay = new CaptureReplay(capture([
+        [5, 'tx', 's\n'],
+        [8, 'rx', 'garbage\x01\r\n0.5'],
+        [9, 'rx', '0, 0.25\r\n']
+    ]), { speed: 4 });
+    const device = new DeviceSerialPort({ ...deviceOptions, replay });
+    await device.initialize();
+    const events = [];
+    const result = await playCapture(device, replay, { onEvent: (name, detail) => events.push([name, detail]) });
+    await device.close({ keepOutputs: true });
+    assert.deepStrictEqual(events, [['response', 'garbage\x01'], ['response', '0.50, 0.25']]);
+    assert.deepStrictEqual(result.mismatches, []);
+});
+
+test('a capture with nothing left to receive leaves no timer behind', async () => {
+    const replay = new CaptureReplay(capture([[5, 'tx', 'b\n']]));
+    const device = new DeviceSerialPort({ ...deviceOptions, replay });
+    await device.initialize();
+    const timers = () => process.getActiveResourcesInfo().filter(type => type === 'Timeout').length;
+    const before = timers();
+    const result = await playCapture(device, replay, { timeout: 60000 });
+    assert.deepStrictEqual(result.mismatches, []);
+    assert.ok(timers() <= before, `${timers() - before} timer(s) left running`);
+    assert.strictEqual(replay.listenerCount('end'), 0);
+    await device.close({ keepOutputs: true });
+});
+
+test('diagnostic output is namespaced and switchable at runtime', () => {
+    const raw = logger('raw');
+    const port = logger('port');
+    setDebug(false);
+    assert.ok(!raw.enabled && !port.enabled);
+    setDebug(true);
+    assert.ok(raw.enabled && port.enabled);
+    setDebug('-serial-device:raw');
+    assert.ok(!raw.enabled && port.enabled);
+    setDebug(false);
+    assert.ok(!port.enabled);
+    assert.strictEqual(escapeBytes(Buffer.from('1.25,\t0.5\r\n\x00')), '1.25,\\t0.5\\r\\n\\x00');
+});
@@ -0,0 +1,247 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MockBinding } = require('@serialport/binding-mock');
+const DeviceSerialPort = require('../serialport');
+const FirmwareSimulator = require('../simulator');
+const { waveforms } = require('../simulator');
+const { CommandTimeoutError, DisconnectedError, PortLockedError, PortNotFoundError, AmbiguousPortError } = require('../errors');
+
+async function openDevice(simulatorOptions = {}) {
+    const simulator = new FirmwareSimulator(simulatorOptions);
+    const device = new DeviceSerialPort({ simulate: simulator, interactive: false, debug: false });
+    await device.initialize();
+    return { device, simulator };
+}
+
+test('initializes against the simulator without prompting', async () => {
+    const { device, simulator } = await openDevice();
+    assert.strictEqual(device.portPath, simulator.path);
+    assert.strictEqual(device.port.isOpen, true);
+    await device.close();
+});
+
+test('finds the simulator by serial number', async () => {
+    const simulator = new FirmwareSimulator({ serialNumber: 'RIG42' });
+    const device = new DeviceSerialPort({ simulate: simulator, port: { serialNumber: 'RIG42' }, interactive: false, debug: false });
+    await device.initialize();
+    assert.strictEqual(device.portInfo.serialNumber, 'RIG42');
+    await device.close();
+});
+
+// Two boards of the same model (serial numbers 1 and 2) and an onboard UART (3), as SerialPort.list() reports them
+function mockPorts() {
+    MockBinding.reset();
+    MockBinding.createPort('/dev/ttyUSB0', { vendorId: '1a86', productId: '55d4', manufacturer: 'WCH.cn' });
+    MockBinding.createPort('/dev/ttyUSB1', { vendorId: '1A86', productId: '55D4', manufacturer: 'WCH.cn' });
+    MockBinding.createPort('/dev/ttyS0', { manufacturer: undefined });
+}
+
+async function withEnv(env, run) {
+    const saved = {};
+    for (const key of Object.keys(env)) {
+        saved[key] = process.env[key];
+        if (env[key] === undefined) delete process.env[key];
+        else process.env[key] = env[key];
+    }
+    try {
+        return await run();
+    } finally {
+        for (const [key, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    }
+}
+
+const mockOptions = { binding: MockBinding, interactive: false, debug: false, reconnect: false, safety: { processHooks: false } };
+
+test('opens the one port matching a spec and fails clearly otherwise', async () => {
+    mockPorts();
+    const device = new DeviceSerialPort({ ...mockOptions, port: { manufacturer: 'wch', serialNumber: '2' } });
+    await device.initialize();
+    assert.strictEqual(device.portPath, '/dev/ttyUSB1');
+    assert.strictEqual(device.port.isOpen, true);
+    await device.close({ keepOutputs: true });
+
+    await assert.rejects(new DeviceSerialPort({ ...mockOptions, port: { serialNumber: '9' } }).initialize(), PortNotFoundError);
+    await assert.rejects(new DeviceSerialPort({ ...mockOptions, port: 'vendorId=0x1a86' }).initialize(), { code: 'EAMBIGUOUSPORT' });
+    await assert.rejects(new DeviceSerialPort({ ...mockOptions, port: { productId: '55d4' } }).initialize(), AmbiguousPortError);
+    MockBinding.reset();
+});
+
+test('takes the port from SERIAL_PORT or SERIAL_PORT_CONFIG and never prompts without one', async () => {
+    mockPorts();
+    await withEnv({ SERIAL_PORT: 'serialNumber=1', SERIAL_PORT_CONFIG: undefined }, async () => {
+        const device = new DeviceSerialPort(mockOptions);
+        await device.initialize();
+        assert.strictEqual(device.portPath, '/dev/ttyUSB0');
+        await device.close({ keepOutputs: true });
+    });
+
+    const config = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'port-config-')), 'port.json');
+    fs.writeFileSync(config, JSON.stringify({ port: { serialNumber: '2' }, baudRate: 115200, rtscts: false }));
+    await withEnv({ SERIAL_PORT: undefined, SERIAL_PORT_CONFIG: config }, async () => {
+        const device = new DeviceSerialPort(mockOptions);
+        await device.initialize();
+        assert.strictEqual(device.portPath, '/dev/ttyUSB1');
+        assert.strictEqual(device.baudRate, 115200);
+        assert.strictEqual(device.lineSettings.rtscts, false);
+        await device.close({ keepOutputs: true });
+    });
+
+    await withEnv({ SERIAL_PORT: undefined, SERIAL_PORT_CONFIG: undefined }, async () => {
+        const device = new DeviceSerialPort(mockOptions);
+        device.createInterface = () => assert.fail('prompted for a port');
+        await assert.rejects(device.initialize(), { code: 'ENOPORT' });
+    });
+    MockBinding.reset();
+});
+
+test('a bare path is opened even when the port list doesn\'t show it', async () => {
+    mockPorts();
+    const device = new DeviceSerialPort({ ...mockOptions, binding: { ...MockBinding, list: async () => [], open: options => MockBinding.open(options) }, port: '/dev/ttyS0' });
+    await device.initialize();
+    assert.deepStrictEqual(device.portInfo, { path: '/dev/ttyS0' });
+    await device.close({ keepOutputs: true });
+    MockBinding.reset();
+});
+
+test('ReadSensor parses the two channel values', async () => {
+    const { device } = await openDevice({
+        channels: [waveforms.constant(1.25), waveforms.constant(0.5)]
+    });
+    assert.deepStrictEqual(await device.ReadSensor(), { value1: 1.25, value2: 0.5 });
+    await device.close();
+});
+
+test('concurrent reads each resolve with their own reply', async () => {
+    let n = 0;
+    const { device, simulator } = await openDevice({
+        channels: [() => ++n, waveforms.constant(0)],
+        delay: () => 5 + Math.round(Math.random() * 10)
+    });
+    simulator.on('command', () => simulator.emitLine('stray line'));
+
+    const readings = await Promise.all([device.ReadSensor(), device.ReadSensor(), device.ReadSensor()]);
+    assert.deepStrictEqual(readings.map(r => r.value1), [1, 2, 3]);
+    await device.close();
+});
+
+test('actuator commands reach the firmware in order', async () => {
+    const { device, simulator } = await openDevice();
+    await Promise.all([device.MagnetOn(), device.ACOn(), device.ReadSensor(), device.ACOff()]);
+    assert.deepStrictEqual(simulator.received, ['b', 'c', 's', 'd']);
+    assert.deepStrictEqual(simulator.state, { magnet: true, ac: false });
+    await device.MagnetOff();
+    assert.strictEqual(simulator.state.magnet, false);
+    await device.close();
+});
+
+test('a dropped reply times out without blocking the next command', async () => {
+    const { device, simulator } = await openDevice({ channels: [waveforms.constant(1), waveforms.constant(2)] });
+    simulator.set({ dropRate: 1 });
+    await assert.rejects(device.sendCommand('s', { expect: /,/, timeout: 50 }), CommandTimeoutError);
+    simulator.set({ dropRate: 0 });
+    assert.deepStrictEqual(await device.ReadSensor(), { value1: 1, value2: 2 });
+    await device.close();
+});
+
+test('reconnects after the device is unplugged and replugged', async () => {
+    const simulator = new FirmwareSimulator({ channels: [waveforms.constant(1), waveforms.constant(2)] });
+    const device = new DeviceSerialPort({
+        simulate: simulator,
+        interactive: false,
+        debug: false,
+        reconnect: { initialDelay: 10, maxDelay: 40 },
+        setupCommands: ['d']
+    });
+    await device.initialize();
+    const disconnected = new Promise(resolve => device.once('disconnected', resolve));
+    const pending = device.sendCommand('s', { expect: /,/, timeout: 1000 });
+
+    simulator.unplug();
+    const sentBefore = simulator.received.length;
+    await disconnected;
+    await assert.rejects(pending, DisconnectedError);
+    assert.strictEqual(device.isConnected, false);
+
+    setTimeout(() => simulator.plug(), 50);
+    await device.waitForConnection();
+    assert.deepStrictEqual(await device.ReadSensor(), { value1: 1, value2: 2 });
+    // Setup command replayed, then every output switched off before normal traffic resumes
+    assert.deepStrictEqual(simulator.received.slice(sentBefore), ['d', 'm', 'd', 's']);
+    await device.close();
+});
+
+test('a port lost while reconnecting fails that attempt instead of starting a second loop', async () => {
+    const simulator = new FirmwareSimulator();
+    const device = new DeviceSerialPort({
+        simulate: simulator,
+        interactive: false,
+        debug: false,
+        reconnect: { initialDelay: 10, maxDelay: 20 },
+        setupCommands: ['d']
+    });
+    await device.initialize();
+    const events = [];
+    for (const event of ['disconnected', 'reconnecting', 'reconnected']) device.on(event, () => events.push(event));
+
+    simulator.unplug();
+    await new Promise(resolve => device.once('disconnected', resolve));
+    // Unplugged again as soon as the first attempt sends its setup command
+    simulator.once('command', () => {
+        simulator.unplug();
+        setTimeout(() => simulator.plug(), 30);
+    });
+    simulator.plug();
+    await device.waitForConnection();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.strictEqual(events.filter(e => e === 'disconnected').length, 1);
+    assert.strictEqual(events.filter(e => e === 'reconnected').length, 1);
+    assert.ok(events.includes('reconnecting'));
+    assert.strictEqual(device.isConnected, true);
+    await device.close();
+});
+
+test('a locked port is reported as a retryable PortLockedError', async () => {
+    const simulator = new FirmwareSimulator();
+    const first = new DeviceSerialPort({ simulate: simulator, interactive: false, debug: false });
+    const second = new DeviceSerialPort({ simulate: simulator, interactive: false, debug: false });
+    await first.initialize();
+    const error = await second.initialize().catch(e => e);
+    assert.ok(error instanceof PortLockedError);
+    assert.strictEqual(error.retryable, true);
+    await first.close();
+});
+
+test('streams timestamped samples through an async iterator', async () => {
+    let n = 0;
+    const { device } = await openDevice({ channels: [() => ++n, waveforms.constant(0.5)] });
+    const samples = [];
+    for await (const sample of device.samples({ rateHz: 100 })) {
+        samples.push(sample);
+        if (samples.length === 5) break;
+    }
+
+    assert.deepStrictEqual(samples.map(s => s.value1), [1, 2, 3, 4, 5]);
+    for (let i = 1; i < samples.length; i++) {
+        assert.ok(samples[i].t > samples[i - 1].t);
+    }
+    assert.strictEqual(device.stream, null);
+    assert.strictEqual(device.lastStreamStats.samples >= 5, true);
+    await device.close();
+});
+
+test('counts dropped and late samples', async () => {
+    const { device, simulator } = await openDevice({ delay: 30 });
+    simulator.set({ dropRate: 0.5 });
+    device.startStream({ rateHz: 100, timeout: 20 });
+    await new Promise(resolve => setTimeout(resolve, 200));
+    const stats = device.stopStream();
+    assert.ok(stats.dropped > 0);
+    assert.ok(stats.late > 0);
+    await device.close();
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionRecorder = require('../session-recorder');
+const { readSession, sessionMeta, csvEscape, csvParse } = require('../session-recorder');
+const FlickerDetector = require('../flicker-detector');
+
+function tmpDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'session-'));
+}
+
+async function collect(file) {
+    const records = [];
+    for await (const record of readSession(file)) records.push(record);
+    return records;
+}
+
+async function recordSession(format, extra = {}) {
+    const detector = new FlickerDetector({ device: { interactive: false }, channels: [{ name: 'a', key: 'value1' }] });
+    const recorder = new SessionRecorder({ dir: tmpDir(), format, ...extra });
+    await recorder.open({ ...sessionMeta({ detector }), note: 'with "quotes", commas\nand newlines' });
+    recorder.attach({ detector });
+    [0.2, 0.2, 1.2, 1.2, 0.2].forEach((value1, i) => detector.update({ t: i * 50, value1, value2: 0 }));
+    await recorder.close(detector.summary());
+    return recorder;
+}
+
+for (const format of ['jsonl', 'csv']) {
+    test(`round-trips a session through ${format}`, async () => {
+        const recorder = await recordSession(format);
+        const records = await collect(recorder.file);
+
+        assert.deepStrictEqual(records.map(r => r.type), ['meta', 'sample', 'sample', 'sample', 'event', 'sample', 'sample', 'event', 'end']);
+        assert.strictEqual(records[0].schema, 'flicker-session/1');
+        assert.strictEqual(records[0].note, 'with "quotes", commas\nand newlines');
+        assert.strictEqual(records[0].channels[0].threshold, 0.75);
+        assert.deepStrictEqual(records[3], { type: 'sample', t: 100, value1: 1.2, value2: 0 });
+        assert.strictEqual(records[4].event, 'blinkStart');
+        assert.strictEqual(records[4].channel, 'a');
+        assert.strictEqual(records[7].duration, 100);
+        assert.strictEqual(records[8].summary.totalBlinks, 1);
+    });
+}
+
+test('rotates files and repeats the header', async () => {
+    const recorder = await recordSession('jsonl', { maxBytes: 600, name: 'rotating' });
+    assert.ok(recorder.files.length > 1);
+    assert.strictEqual(path.basename(recorder.files[1]), 'rotating.1.jsonl');
+    const second = await collect(recorder.files[1]);
+    assert.strictEqual(second[0].type, 'meta');
+    assert.strictEqual(second[0].part, 1);
+});
+
+test('reads back csv fields that span lines', async () => {
+    const recorder = new SessionRecorder({ dir: tmpDir(), format: 'csv' });
+    await recorder.open();
+    recorder.record('event', { event: 'watchdog\r\nfired', channel: 'a\nb', reason: 'line one\nline two' });
+    await recorder.close();
+    const records = await collect(recorder.file);
+
+    assert.deepStrictEqual(records.map(r => r.type), ['meta', 'event', 'end']);
+    assert.strictEqual(records[1].event, 'watchdog\r\nfired');
+    assert.strictEqual(records[1].channel, 'a\nb');
+    assert.strictEqual(records[1].reason, 'line one\nline two');
+});
+
+test('holds lines back until the file stream drains', async () => {
+    const recorder = new SessionRecorder({ dir: tmpDir(), maxBufferedLines: 1 });
+    await recorder.open();
+    const stream = recorder.stream;
+    recorder.record('event', { event: 'bulk', data: 'x'.repeat(stream.writableHighWaterMark) });
+    assert.strictEqual(recorder.draining, true);
+    recorder.record('sample', { value1: 1 });
+    assert.strictEqual(recorder.buffer.length, 1);
+    assert.strictEqual(stream.writableLength > stream.writableHighWaterMark, true);
+
+    await new Promise(resolve => stream.once('drain', resolve));
+    assert.strictEqual(recorder.draining, false);
+    assert.strictEqual(recorder.buffer.length, 0);
+    await recorder.close();
+    const records = await collect(recorder.file);
+    assert.deepStrictEqual(records.map(r => r.type), ['meta', 'event', 'sample', 'end']);
+});
+
+test('csv helpers quote and unquote fields', () => {
+    const fields = ['plain', 'a,b', 'say "hi"', 'Error Resource temporarily unavailable Cannot lock port'];
+    assert.deepStrictEqual(csvParse(fields.map(csvEscape).join(',')), fields);
+});